@@ -0,0 +1,295 @@
+// Notes on Session State for the Greeting Components
+
+// GreetingIfStatement, GreetingTernary and UserName in condtional-rendering.js
+// take isLoggedIn / name as props. In an app those come from a session, and a
+// session isn't known on the first render: it has to be restored from storage
+// and maybe refreshed first. Rendering `isLoggedIn={false}` during that check
+// flashes "Please log in." for users who are logged in. So the session has
+// three states, not two:
+// - "pending": still checking, render a skeleton,
+// - "authenticated": user and token known,
+// - "anonymous": nobody is logged in.
+// AuthProvider talks to a pluggable adapter (a real API, or
+// createFakeAuthAdapter in tests), persists the session, refreshes the token
+// before it expires and logs out when refreshing fails.
+
+const React = require("react");
+const { GreetingIfStatement, UserName } = require("./condtional-rendering");
+
+const { createContext, useCallback, useContext, useEffect, useMemo, useReducer, useRef } = React;
+
+// 1. Adapters
+
+// An auth adapter:
+//   login(credentials) -> Promise<session>
+//   refresh(session)   -> Promise<session>   (rejects when the session is no longer valid)
+//   logout(session)    -> Promise<void>
+// A session is { user: { id, name, role }, token, refreshToken, expiresAt } (expiresAt in ms).
+
+// Local fake: users in memory, short-lived tokens, optional latency
+function createFakeAuthAdapter({ users = [], tokenTtl = 15 * 60 * 1000, latency = 0, now = Date.now } = {}) {
+  const refreshTokens = new Map(); // refreshToken -> user id
+  let issued = 0;
+
+  const delay = value => new Promise(resolve => setTimeout(() => resolve(value), latency));
+
+  const issue = user => {
+    issued++;
+    const refreshToken = `fake-refresh-${issued}`;
+    refreshTokens.set(refreshToken, user.id);
+    return {
+      user: { id: user.id, name: user.name, role: user.role },
+      token: `fake-token-${issued}`,
+      refreshToken,
+      expiresAt: now() + tokenTtl
+    };
+  };
+
+  return {
+    async login({ username, password }) {
+      await delay();
+      const user = users.find(candidate => candidate.username === username && candidate.password === password);
+      if (!user) throw new Error("Invalid username or password");
+      return issue(user);
+    },
+    async refresh(session) {
+      await delay();
+      const userId = refreshTokens.get(session.refreshToken);
+      const user = users.find(candidate => candidate.id === userId);
+      if (!user) throw new Error("Session expired");
+      refreshTokens.delete(session.refreshToken); // refresh tokens are single use
+      return issue(user);
+    },
+    async logout(session) {
+      await delay();
+      refreshTokens.delete(session.refreshToken);
+    },
+    // Test helper: invalidate every session, e.g. after a password change
+    revokeAll() {
+      refreshTokens.clear();
+    }
+  };
+}
+
+// Where the session is kept between reloads: load() -> string | null, save(string), clear()
+function createLocalSessionStorage(key = "auth-session") {
+  return {
+    load: () => window.localStorage.getItem(key),
+    save: value => window.localStorage.setItem(key, value),
+    clear: () => window.localStorage.removeItem(key)
+  };
+}
+
+// 2. State
+const initialState = { status: "pending", session: null, error: null, busy: false };
+
+function authReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      return { ...state, busy: true, error: null };
+    case "authenticated":
+      return { status: "authenticated", session: action.session, error: null, busy: false };
+    case "anonymous":
+      return { status: "anonymous", session: null, error: action.error || null, busy: false };
+    case "failed":
+      // A failed login leaves the current session alone
+      return { ...state, error: action.error, busy: false };
+    default:
+      return state;
+  }
+}
+
+function readStoredSession(storage) {
+  try {
+    const raw = storage && storage.load();
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// 3. Provider and hook
+const AuthContext = createContext(null);
+
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// <AuthProvider
+//   adapter={createFakeAuthAdapter({ users })}
+//   storage={createLocalSessionStorage()}   // or null to keep nothing
+//   refreshBefore={60 * 1000}               // refresh this long before the token expires,
+//                                           // at most half of the token's remaining lifetime
+//   minRefreshDelay={1000}                  // never refresh sooner than this after a session is set
+//   now={Date.now}
+// >
+function AuthProvider({ adapter, storage, refreshBefore = 60 * 1000, minRefreshDelay = 1000, now = Date.now, children }) {
+  const [state, dispatch] = useReducer(authReducer, initialState);
+  // Every action takes a ticket; a response only applies if no later action started.
+  // Otherwise a slow refresh could log the user back in after they logged out.
+  const ticket = useRef(0);
+  const sessionStorage = useMemo(
+    () => (storage === undefined && typeof window !== "undefined" ? createLocalSessionStorage() : storage),
+    [storage]
+  );
+
+  const persist = useCallback(session => {
+    if (!sessionStorage) return;
+    try {
+      if (session) sessionStorage.save(JSON.stringify(session));
+      else sessionStorage.clear();
+    } catch {
+      // Storage unavailable: the session still works until reload
+    }
+  }, [sessionStorage]);
+
+  const settle = useCallback((current, session, error) => {
+    if (current !== ticket.current) return;
+    persist(session);
+    dispatch(session ? { type: "authenticated", session } : { type: "anonymous", error });
+  }, [persist]);
+
+  const refresh = useCallback(async (session = state.session) => {
+    if (!session) return null;
+    const current = ++ticket.current;
+    dispatch({ type: "start" });
+    try {
+      const next = await adapter.refresh(session);
+      settle(current, next);
+      return next;
+    } catch (error) {
+      settle(current, null, error);
+      return null;
+    }
+  }, [adapter, settle, state.session]);
+
+  const login = useCallback(async credentials => {
+    const current = ++ticket.current;
+    dispatch({ type: "start" });
+    try {
+      const session = await adapter.login(credentials);
+      settle(current, session);
+      return { ok: true };
+    } catch (error) {
+      if (current === ticket.current) dispatch({ type: "failed", error });
+      return { ok: false, error };
+    }
+  }, [adapter, settle]);
+
+  const logout = useCallback(async () => {
+    const session = state.session;
+    ++ticket.current;
+    persist(null);
+    dispatch({ type: "anonymous" });
+    // Logging out locally never waits for (or fails because of) the server
+    if (session) await adapter.logout(session).catch(() => {});
+  }, [adapter, persist, state.session]);
+
+  // Restore on mount: a valid stored session is used as is, an expired one is refreshed
+  useEffect(() => {
+    const stored = readStoredSession(sessionStorage);
+    if (!stored) {
+      dispatch({ type: "anonymous" });
+    } else if (stored.expiresAt > now()) {
+      dispatch({ type: "authenticated", session: stored });
+    } else {
+      refresh(stored);
+    }
+  }, []);
+
+  // Refresh shortly before the token expires. Tokens that live shorter than
+  // refreshBefore would be due again as soon as they arrive, so the lead is
+  // capped at half the remaining lifetime and the delay has a floor: no tight
+  // refresh loop, even for tokens that come back already expired.
+  // setTimeout fires at once for delays above 2^31-1 ms (~24.8 days), so
+  // long-lived tokens wait in steps.
+  useEffect(() => {
+    if (state.status !== "authenticated") return undefined;
+    const remaining = state.session.expiresAt - now();
+    const due = now() + Math.max(minRefreshDelay, remaining - Math.min(refreshBefore, remaining / 2));
+    let timer;
+    const arm = () => {
+      const wait = Math.max(0, due - now());
+      timer = wait > MAX_TIMEOUT ? setTimeout(arm, MAX_TIMEOUT) : setTimeout(() => refresh(state.session), wait);
+    };
+    arm();
+    return () => clearTimeout(timer);
+  }, [state.status, state.session, refreshBefore, minRefreshDelay]);
+
+  const value = useMemo(() => ({
+    status: state.status,
+    user: state.session ? state.session.user : null,
+    token: state.session ? state.session.token : null,
+    error: state.error,
+    busy: state.busy,
+    isPending: state.status === "pending",
+    isLoggedIn: state.status === "authenticated",
+    login,
+    logout,
+    refresh
+  }), [state, login, logout, refresh]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error("useAuth must be used inside <AuthProvider>");
+  return context;
+}
+
+// 4. The greeting components, fed from the session
+function GreetingSkeleton() {
+  return <h1 aria-busy="true" aria-label="Loading" className="skeleton" />;
+}
+
+// Pending renders the skeleton; only a settled session decides the greeting
+function AuthGreeting() {
+  const { isPending, isLoggedIn } = useAuth();
+  if (isPending) return <GreetingSkeleton />;
+  return <GreetingIfStatement isLoggedIn={isLoggedIn} />;
+}
+
+function AuthUserName() {
+  const { isPending, user } = useAuth();
+  if (isPending) return <GreetingSkeleton />;
+  return <UserName name={user && user.name} />;
+}
+
+function LoginForm() {
+  const { login, logout, isLoggedIn, busy, error } = useAuth();
+
+  if (isLoggedIn) return <button onClick={logout}>Log out</button>;
+
+  return (
+    <form
+      onSubmit={e => {
+        e.preventDefault();
+        const form = new FormData(e.currentTarget);
+        login({ username: form.get("username"), password: form.get("password") });
+      }}
+    >
+      <input name="username" aria-label="Username" autoComplete="username" />
+      <input name="password" aria-label="Password" type="password" autoComplete="current-password" />
+      <button type="submit" disabled={busy}>{busy ? "Logging in…" : "Log in"}</button>
+      {error && <p role="alert">{error.message}</p>}
+    </form>
+  );
+}
+
+// const adapter = createFakeAuthAdapter({ users: [{ id: 1, username: "ada", password: "secret", name: "Ada", role: "admin" }] });
+// <AuthProvider adapter={adapter}>
+//   <AuthGreeting />
+//   <AuthUserName />
+//   <LoginForm />
+// </AuthProvider>
+
+module.exports = {
+  createFakeAuthAdapter,
+  createLocalSessionStorage,
+  authReducer,
+  AuthProvider,
+  useAuth,
+  GreetingSkeleton,
+  AuthGreeting,
+  AuthUserName,
+  LoginForm
+};
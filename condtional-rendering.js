@@ -1,21 +1,35 @@
 // Notes on Conditional Rendering in React
 
+const React = require("react");
+// Strings go through t() (see i18n.js). Dashboards ask for a permission
+// (see permissions.js) instead of comparing role names.
+const { useTranslation } = require("./i18n");
+const { PermissionsProvider, usePermission, Can } = require("./permissions");
+
+// The dashboards take the user's `role` as a prop; without it they use the
+// roles of the surrounding <PermissionsProvider>.
+function withRole(role, element) {
+  return role === undefined ? element : <PermissionsProvider roles={role}>{element}</PermissionsProvider>;
+}
+
 // 1. Using if Statement (Block-Level Rendering)
 // For more complex conditions, use the standard if statement inside a function.
 function GreetingIfStatement({ isLoggedIn }) {
+  const { t } = useTranslation();
   if (isLoggedIn) {
-    return <h1>Welcome back!</h1>;
+    return <h1>{t("greeting.welcomeBack")}</h1>;
   } else {
-    return <h1>Please log in.</h1>;
+    return <h1>{t("greeting.pleaseLogIn")}</h1>;
   }
 }
 
 // 2. Using Ternary Operator (Inline Rendering)
 // Best for simple conditional rendering.
 function GreetingTernary({ isLoggedIn }) {
+  const { t } = useTranslation();
   return (
     <div>
-      {isLoggedIn ? <h1>Welcome back!</h1> : <h1>Please log in.</h1>}
+      {isLoggedIn ? <h1>{t("greeting.welcomeBack")}</h1> : <h1>{t("greeting.pleaseLogIn")}</h1>}
     </div>
   );
 }
@@ -23,9 +37,10 @@ function GreetingTernary({ isLoggedIn }) {
 // 3. Using Logical && (Short-Circuit Rendering)
 // When you only want to render something if the condition is true.
 function NotificationLogicalAnd({ hasNewMessages }) {
+  const { t } = useTranslation();
   return (
     <div>
-      {hasNewMessages && <h2>You have new messages!</h2>}
+      {hasNewMessages && <h2>{t("notifications.newMessages")}</h2>}
     </div>
   );
 }
@@ -36,18 +51,26 @@ function NotificationLogicalAnd({ hasNewMessages }) {
 // 4. Using || for Default Rendering
 // Use the logical || operator to display a default value when the condition is falsy.
 function UserName({ name }) {
-  return <h1>{name || "Guest"}</h1>;
+  const { t } = useTranslation();
+  return <h1>{name || t("user.guest")}</h1>;
 }
 
 // 5. Using an Immediately Invoked Function (IIFE)
 // For more complex or nested conditions.
 function DashboardIIFE({ role }) {
+  return withRole(role, <DashboardIIFEContent />);
+}
+
+function DashboardIIFEContent() {
+  const { t } = useTranslation();
+  const isAdmin = usePermission("admin:panel");
+  const canView = usePermission("dashboard:view");
   return (
     <div>
       {(() => {
-        if (role === "admin") return <h1>Welcome, Admin!</h1>;
-        if (role === "user") return <h1>Welcome, User!</h1>;
-        return <h1>Please sign in.</h1>;
+        if (isAdmin) return <h1>{t("dashboard.welcomeAdmin")}</h1>;
+        if (canView) return <h1>{t("dashboard.welcomeUser")}</h1>;
+        return <h1>{t("dashboard.pleaseSignIn")}</h1>;
       })()}
     </div>
   );
@@ -56,22 +79,106 @@ function DashboardIIFE({ role }) {
 // 6. Using Conditional Components
 // For cleaner JSX, break conditional logic into smaller components.
 function AdminPanel() {
-  return <h1>Admin Panel</h1>;
+  const { t } = useTranslation();
+  return <h1>{t("dashboard.adminPanel")}</h1>;
 }
 
 function UserPanel() {
-  return <h1>User Panel</h1>;
+  const { t } = useTranslation();
+  return <h1>{t("dashboard.userPanel")}</h1>;
+}
+
+function SignInPrompt() {
+  const { t } = useTranslation();
+  return <h1>{t("dashboard.pleaseSignIn")}</h1>;
+}
+
+// Admins get the admin panel, anyone who may view the dashboard the user
+// panel, and guests (no permissions) a sign-in prompt
+function DashboardWithPermissions() {
+  return (
+    <div>
+      <Can permission="admin:panel" fallback={<Can permission="dashboard:view" fallback={<SignInPrompt />}><UserPanel /></Can>}>
+        <AdminPanel />
+      </Can>
+    </div>
+  );
 }
 
 function DashboardConditionalComponents({ role }) {
-  return <div>{role === "admin" ? <AdminPanel /> : <UserPanel />}</div>;
+  return withRole(role, <DashboardWithPermissions />);
 }
 
 // 7. Returning null for No Rendering
 // If you want a component to render nothing, return null.
 function NotificationNull({ show }) {
+  const { t } = useTranslation();
   if (!show) return null;
-  return <h2>You have new notifications!</h2>;
+  return <h2>{t("notifications.newNotifications")}</h2>;
+}
+
+// 8. Declarative Show / Switch / Match
+// Components instead of IIFEs and &&. The condition is only ever tested, never
+// rendered, so 0, NaN or "" from `when` can't end up on the page.
+// Children may be a function: it is only called when that branch is shown,
+// and receives the (truthy) `when` value.
+function resolveChildren(children, value) {
+  return typeof children === "function" ? children(value) : children;
+}
+
+function Show({ when, fallback = null, children }) {
+  return when ? resolveChildren(children, when) : fallback;
+}
+
+// Only meaningful as a child of <Switch>; on its own it behaves like <Show>.
+function Match({ when, children }) {
+  return when ? resolveChildren(children, when) : null;
+}
+
+// Renders the first <Match> whose `when` is truthy, otherwise `fallback`.
+function Switch({ fallback = null, children }) {
+  const matches = React.Children.toArray(children);
+  for (const child of matches) {
+    if (React.isValidElement(child) && child.type === Match && child.props.when) {
+      return resolveChildren(child.props.children, child.props.when);
+    }
+  }
+  return fallback;
+}
+
+// DashboardIIFE without the IIFE
+function DashboardSwitch({ role }) {
+  return withRole(role, <DashboardSwitchContent />);
+}
+
+function DashboardSwitchContent() {
+  const { t } = useTranslation();
+  const isAdmin = usePermission("admin:panel");
+  const canView = usePermission("dashboard:view");
+  return (
+    <div>
+      <Switch fallback={<h1>{t("dashboard.pleaseSignIn")}</h1>}>
+        <Match when={isAdmin}>
+          <h1>{t("dashboard.welcomeAdmin")}</h1>
+        </Match>
+        <Match when={canView}>
+          <h1>{t("dashboard.welcomeUser")}</h1>
+        </Match>
+      </Switch>
+    </div>
+  );
+}
+
+// NotificationLogicalAnd without the 0 pitfall: hasNewMessages may be a count
+function NotificationShow({ hasNewMessages }) {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <Show when={hasNewMessages}>
+        {() => <h2>{t("notifications.newMessages")}</h2>}
+      </Show>
+    </div>
+  );
 }
 
 // Which Approach Should You Use?
@@ -79,7 +186,8 @@ const recommendations = {
   ternary: "For simple, concise conditional rendering.",
   ifStatements: "For more complex logic or multiple conditions.",
   logicalAnd: "For rendering something based on a single true condition.",
-  conditionalComponents: "For better readability when rendering different UI blocks."
+  conditionalComponents: "For better readability when rendering different UI blocks.",
+  declarative: "Show / Switch / Match for several branches or values that may be 0 or NaN."
 };
 
 // Exporting the Notes for Later Use
@@ -91,7 +199,14 @@ module.exports = {
   DashboardIIFE,
   AdminPanel,
   UserPanel,
+  SignInPrompt,
+  DashboardWithPermissions,
   DashboardConditionalComponents,
   NotificationNull,
+  Show,
+  Switch,
+  Match,
+  DashboardSwitch,
+  NotificationShow,
   recommendations
 };
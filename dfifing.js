@@ -2,65 +2,517 @@
 
 /**
  * Diffing in React
- * 
+ *
  * Diffing refers to the process of comparing the current virtual DOM (VDOM)
  * with a previous version to determine what has changed so that React can
  * efficiently update the actual DOM.
- * 
+ *
  * React uses a virtual DOM to minimize direct updates to the actual DOM, which
  * improves performance and responsiveness. The diffing algorithm helps React
  * identify which parts of the UI have changed, and only updates those parts in
  * the browser's DOM.
- * 
+ *
+ * This file contains a small working diff engine so the rules below can be
+ * run instead of only read. A VDOM node is a plain object:
+ *
+ *   { type, props, key, children }
+ *
+ * where `type` is a tag name ("ul") or a function component, and text nodes
+ * are plain strings. `diff(oldTree, newTree)` returns an ordered list of
+ * patches; `applyPatches(tree, patches)` replays them so the result can be
+ * checked against the new tree.
+ *
+ * Patch operations (paths are arrays of child indexes from the root):
+ *   { op: "create",      path, node }         insert a new node at path
+ *   { op: "remove",      path }               remove the node at path
+ *   { op: "replace",     path, node }         throw away the subtree at path
+ *   { op: "set-prop",    path, name, value }  add or change one prop
+ *   { op: "remove-prop", path, name }         drop one prop
+ *   { op: "move",        path, from, to }     reorder a child of the parent at path
+ *   { op: "text-update", path, value }        change the text of a text node
+ *
  * The main steps of the diffing process in React:
  */
 
-// 1. **Reconciliation:** 
-// When a state or prop changes, React creates a new virtual DOM tree representing the updated UI. 
-// The previous and new virtual DOM trees are then compared to identify the differences.
+// =============================================
+// VDOM helpers
+// =============================================
 
-function explainReconciliation() {
-    console.log('Reconciliation is the process of comparing the previous virtual DOM with the new one.');
+// Build a VDOM node, JSX style: h("li", { key: 1 }, "Apple")
+function h(type, props, ...children) {
+  const { key = null, ...rest } = props || {};
+  return { type, props: rest, key, children: normalizeChildren(children) };
+}
+
+// Flatten arrays and drop null/undefined/booleans the same way React does.
+function normalizeChildren(children) {
+  const result = [];
+  (children || []).forEach(child => {
+    if (Array.isArray(child)) {
+      result.push(...normalizeChildren(child));
+    } else if (child === null || child === undefined || typeof child === "boolean") {
+      return;
+    } else if (typeof child === "number") {
+      result.push(String(child));
+    } else {
+      result.push(child);
+    }
+  });
+  return result;
+}
+
+function isTextNode(node) {
+  return typeof node === "string";
+}
+
+function isComponentNode(node) {
+  return !isTextNode(node) && typeof node.type === "function";
+}
+
+// Call function components until only host (tag) and text nodes remain.
+function render(node) {
+  if (node === null || node === undefined) return null;
+  if (isTextNode(node)) return node;
+  if (typeof node === "number") return String(node);
+
+  if (isComponentNode(node)) {
+    const output = node.type({ ...node.props, children: node.children });
+    return render(output);
+  }
+
+  return {
+    type: node.type,
+    props: { ...node.props },
+    key: node.key === undefined ? null : node.key,
+    children: normalizeChildren(node.children).map(render).filter(child => child !== null)
+  };
+}
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+// =============================================
+// Diff engine
+// =============================================
+
+/**
+ * Compare two VDOM trees and return the ordered patch list that turns the
+ * old tree into the new one. Pass `{ mode: "index" }` to ignore keys and
+ * match children by position only.
+ */
+function diff(oldTree, newTree, options = {}) {
+  const patches = [];
+  diffNode(oldTree, newTree, [], patches, options);
+  return patches;
+}
+
+function diffNode(oldNode, newNode, path, patches, options) {
+  if (oldNode === null || oldNode === undefined) {
+    if (newNode !== null && newNode !== undefined) {
+      patches.push({ op: "create", path, node: render(newNode) });
+    }
+    return;
+  }
+
+  if (newNode === null || newNode === undefined) {
+    patches.push({ op: "remove", path });
+    return;
+  }
+
+  // Text nodes only ever change their text.
+  if (isTextNode(oldNode) && isTextNode(newNode)) {
+    if (oldNode !== newNode) {
+      patches.push({ op: "text-update", path, value: newNode });
+    }
+    return;
   }
-  
-  // 2. **Keyed Diffing:**
-  // React uses a heuristic to compare nodes in the DOM efficiently. It relies on the "key" attribute in lists 
-  // to match items between the old and new VDOM trees. This helps React identify which elements in a list 
-  // have changed, been added, or removed, so it can update only the necessary DOM elements.
-  
-  function explainKeyedDiffing() {
-    console.log('Keyed diffing helps React efficiently compare list items by using the "key" attribute.');
+
+  // Different element types (or text vs element): React does not try to
+  // reuse anything below this point, the whole subtree is rebuilt.
+  if (isTextNode(oldNode) || isTextNode(newNode) || oldNode.type !== newNode.type) {
+    patches.push({ op: "replace", path, node: render(newNode) });
+    return;
+  }
+
+  // Same component type: skip the subtree when shouldComponentUpdate says so,
+  // otherwise compare what both versions render.
+  if (isComponentNode(oldNode)) {
+    const { shouldComponentUpdate } = newNode.type;
+    if (shouldComponentUpdate && !shouldComponentUpdate(oldNode.props, newNode.props)) {
+      return;
+    }
+    diffNode(render(oldNode), render(newNode), path, patches, options);
+    return;
   }
-  
-  // 3. **Component-level Diffing:**
-  // React compares each component’s state and props to detect changes. If a component’s state or props change, 
-  // React will re-render that component and update only the DOM elements related to that component.
-  
-  function explainComponentLevelDiffing() {
-    console.log('Component-level diffing compares the state and props of components to detect changes.');
+
+  diffProps(oldNode.props || {}, newNode.props || {}, path, patches);
+  reconcileChildren(
+    normalizeChildren(oldNode.children),
+    normalizeChildren(newNode.children),
+    options,
+    path,
+    patches
+  );
+}
+
+function diffProps(oldProps, newProps, path, patches) {
+  Object.keys(oldProps).forEach(name => {
+    if (name === "children") return;
+    if (!Object.prototype.hasOwnProperty.call(newProps, name)) {
+      patches.push({ op: "remove-prop", path, name });
+    }
+  });
+
+  Object.keys(newProps).forEach(name => {
+    if (name === "children") return;
+    const oldValue = oldProps[name];
+    const newValue = newProps[name];
+    const same = name === "style" ? shallowEqual(oldValue, newValue) : Object.is(oldValue, newValue);
+    if (!same || !Object.prototype.hasOwnProperty.call(oldProps, name)) {
+      patches.push({ op: "set-prop", path, name, value: newValue });
+    }
+  });
+}
+
+// Children are matched by key when they have one, otherwise by position.
+// In "index" mode keys are ignored, which is what index keys (or no keys) give you.
+function childMatchKey(child, index, mode) {
+  if (mode !== "index" && !isTextNode(child) && child.key !== null && child.key !== undefined) {
+    return `key:${child.key}`;
   }
-  
-  // 4. **Efficient Updates:**
-  // React minimizes the number of changes made to the actual DOM by applying updates only to the elements 
-  // that have changed, instead of re-rendering the entire DOM. This is important for performance, as direct 
-  // DOM manipulations are slower than virtual DOM diffing.
-  
-  function explainEfficientUpdates() {
-    console.log('Efficient updates mean React only updates the parts of the DOM that have changed.');
+  return `index:${index}`;
+}
+
+// Indexes (into `sequence`) of one longest strictly increasing subsequence.
+function longestIncreasingSubsequence(sequence) {
+  const tails = []; // tails[k] = index of the smallest tail of a run of length k + 1
+  const previous = new Array(sequence.length);
+
+  sequence.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sequence[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = [];
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index !== -1) {
+    result.unshift(index);
+    index = previous[index];
+  }
+  return result;
+}
+
+/**
+ * Reconcile one list of children. Matched children that form the longest
+ * increasing run of old positions stay where they are; every other matched
+ * child costs exactly one move, which is the minimum.
+ *
+ * Returns the patches plus operation counts so keyed and index strategies
+ * can be compared. `options.mode` is "keyed" (default) or "index".
+ */
+function reconcileChildren(oldChildren, newChildren, options = {}, parentPath = [], patches = []) {
+  const { mode = "keyed" } = options;
+  const stats = { inserts: 0, removals: 0, moves: 0, updates: 0 };
+  const firstPatch = patches.length;
+
+  const oldIndexByKey = new Map();
+  oldChildren.forEach((child, index) => {
+    const matchKey = childMatchKey(child, index, mode);
+    if (!oldIndexByKey.has(matchKey)) oldIndexByKey.set(matchKey, index);
+  });
+
+  // Pair every new child with the old child it reuses (or -1 for a new one).
+  // Duplicate keys only match once, later duplicates are treated as new.
+  const sources = newChildren.map((child, index) => {
+    const matchKey = childMatchKey(child, index, mode);
+    if (!oldIndexByKey.has(matchKey)) return -1;
+    const oldIndex = oldIndexByKey.get(matchKey);
+    oldIndexByKey.delete(matchKey);
+    return oldIndex;
+  });
+
+  // 1. Remove old children nobody reuses, from the end so indexes stay valid.
+  const reused = new Set(sources.filter(index => index !== -1));
+  for (let index = oldChildren.length - 1; index >= 0; index--) {
+    if (!reused.has(index)) {
+      patches.push({ op: "remove", path: [...parentPath, index] });
+      stats.removals++;
+    }
+  }
+
+  // 2. Children in the LIS keep their place. Walk the new order right to left
+  // and put every other child directly before the one that follows it.
+  const matchedPositions = [];
+  sources.forEach((oldIndex, newIndex) => {
+    if (oldIndex !== -1) matchedPositions.push(newIndex);
+  });
+  const stable = new Set(
+    longestIncreasingSubsequence(matchedPositions.map(newIndex => sources[newIndex]))
+      .map(position => matchedPositions[position])
+  );
+
+  // `current` holds old indexes in DOM order, -(newIndex + 1) for created nodes.
+  const current = oldChildren.map((_, index) => index).filter(index => reused.has(index));
+  let anchor = null;
+  for (let newIndex = newChildren.length - 1; newIndex >= 0; newIndex--) {
+    const oldIndex = sources[newIndex];
+    const entry = oldIndex === -1 ? -(newIndex + 1) : oldIndex;
+
+    if (oldIndex !== -1 && stable.has(newIndex)) {
+      anchor = entry;
+      continue;
+    }
+
+    let from = -1;
+    if (oldIndex !== -1) {
+      from = current.indexOf(oldIndex);
+      current.splice(from, 1);
+    }
+    const to = anchor === null ? current.length : current.indexOf(anchor);
+    current.splice(to, 0, entry);
+    anchor = entry;
+
+    if (oldIndex === -1) {
+      patches.push({ op: "create", path: [...parentPath, to], node: render(newChildren[newIndex]) });
+      stats.inserts++;
+    } else if (from !== to) {
+      patches.push({ op: "move", path: parentPath, from, to });
+      stats.moves++;
+    }
   }
-  
-  // You can expand or add more related information in this file, like how React uses `shouldComponentUpdate`
-  // or how hooks affect rendering. Example of adding a new concept:
-  
-  function explainShouldComponentUpdate() {
-    console.log('shouldComponentUpdate allows React to skip rendering when props or state have not changed.');
+
+  // 3. Everything is in its final position now, diff the reused children.
+  newChildren.forEach((newChild, newIndex) => {
+    const oldIndex = sources[newIndex];
+    if (oldIndex === -1) return;
+    const before = patches.length;
+    diffNode(oldChildren[oldIndex], newChild, [...parentPath, newIndex], patches, options);
+    if (patches.length > before) stats.updates++;
+  });
+
+  return { patches: patches.slice(firstPatch), ...stats };
+}
+
+// =============================================
+// Applying patches
+// =============================================
+
+/**
+ * Replay a patch list on a copy of `tree`. Useful for checking that
+ * `applyPatches(render(a), diff(a, b))` deep-equals `render(b)`.
+ */
+function applyPatches(tree, patches) {
+  let root = tree === null || tree === undefined ? null : clone(render(tree));
+
+  patches.forEach(patch => {
+    const { op, path } = patch;
+
+    if (path.length === 0 && op !== "move") {
+      if (op === "create" || op === "replace") root = clone(patch.node);
+      else if (op === "remove") root = null;
+      else if (op === "text-update") root = patch.value;
+      else applyPropPatch(root, patch);
+      return;
+    }
+
+    if (op === "move") {
+      const children = nodeAt(root, path).children;
+      const [child] = children.splice(patch.from, 1);
+      children.splice(patch.to, 0, child);
+      return;
+    }
+
+    const parent = nodeAt(root, path.slice(0, -1));
+    const index = path[path.length - 1];
+
+    switch (op) {
+      case "create":
+        parent.children.splice(index, 0, clone(patch.node));
+        break;
+      case "remove":
+        parent.children.splice(index, 1);
+        break;
+      case "replace":
+        parent.children[index] = clone(patch.node);
+        break;
+      case "text-update":
+        parent.children[index] = patch.value;
+        break;
+      default:
+        applyPropPatch(parent.children[index], patch);
+    }
+  });
+
+  return root;
+}
+
+function applyPropPatch(node, patch) {
+  if (patch.op === "set-prop") node.props[patch.name] = patch.value;
+  else if (patch.op === "remove-prop") delete node.props[patch.name];
+  else throw new Error(`Unknown patch op: ${patch.op}`);
+}
+
+function nodeAt(root, path) {
+  return path.reduce((node, index) => node.children[index], root);
+}
+
+// Copies nodes but keeps prop values (event handlers, style objects) by reference.
+function clone(node) {
+  if (isTextNode(node)) return node;
+  return {
+    type: node.type,
+    props: { ...node.props },
+    key: node.key,
+    children: node.children.map(clone)
+  };
+}
+
+// =============================================
+// The rules, as runnable examples
+// =============================================
+
+// 1. **Reconciliation:**
+// When a state or prop changes, React creates a new virtual DOM tree representing the updated UI.
+// The previous and new virtual DOM trees are then compared to identify the differences.
+
+function explainReconciliation() {
+  console.log('Reconciliation is the process of comparing the previous virtual DOM with the new one.');
+  const before = h("div", { className: "card" }, h("h1", null, "Hello"), h("p", null, "Old text"));
+  const after = h("div", { className: "card active" }, h("h1", null, "Hello"), h("span", null, "New text"));
+  console.log(diff(before, after));
+}
+
+// 2. **Keyed Diffing:**
+// React uses a heuristic to compare nodes in the DOM efficiently. It relies on the "key" attribute in lists
+// to match items between the old and new VDOM trees. This helps React identify which elements in a list
+// have changed, been added, or removed, so it can update only the necessary DOM elements.
+
+function explainKeyedDiffing() {
+  console.log('Keyed diffing helps React efficiently compare list items by using the "key" attribute.');
+  const before = h("ul", null, h("li", { key: "a" }, "Apple"), h("li", { key: "b" }, "Banana"));
+  const after = h("ul", null, h("li", { key: "c" }, "Cherry"), h("li", { key: "a" }, "Apple"), h("li", { key: "b" }, "Banana"));
+  console.log(diff(before, after)); // a single create, nothing else touched
+  console.log(diff(before, after, { mode: "index" })); // two text updates and a create
+  console.table(compareKeyStrategies());
+}
+
+// Same data shapes as keyslists.js, each rendered with the key that example uses.
+const keyShapes = {
+  BadKeyExample: {
+    items: [
+      { text: 'Item 1', category: 'A' },
+      { text: 'Item 2', category: 'A' }
+    ],
+    getKey: item => item.category
+  },
+  SimpleList: {
+    items: ['Apple', 'Banana', 'Orange'],
+    getKey: (item, index) => index
+  },
+  ListWithIds: {
+    items: [
+      { id: 'a1', text: 'First Item' },
+      { id: 'a2', text: 'Second Item' },
+      { id: 'a3', text: 'Third Item' }
+    ],
+    getKey: item => item.id
   }
-  
-  // Call functions to print explanations to the console:
+};
+
+const listScenarios = {
+  prepend: items => [typeof items[0] === 'string' ? 'Mango' : { id: 'a0', text: 'New Item', category: 'B' }, ...items],
+  reverse: items => [...items].reverse(),
+  removeFirst: items => items.slice(1)
+};
+
+function renderList(items, getKey) {
+  return items.map((item, index) => h("li", { key: getKey(item, index) }, typeof item === 'string' ? item : item.text));
+}
+
+// Count operations for every shape x scenario, reconciled by key and by index.
+function compareKeyStrategies() {
+  const rows = [];
+  Object.entries(keyShapes).forEach(([shape, { items, getKey }]) => {
+    Object.entries(listScenarios).forEach(([scenario, change]) => {
+      const before = renderList(items, getKey);
+      const after = renderList(change(items), getKey);
+      ["keyed", "index"].forEach(mode => {
+        const { patches, inserts, removals, moves, updates } = reconcileChildren(before, after, { mode });
+        rows.push({ shape, scenario, mode, inserts, removals, moves, updates, totalPatches: patches.length });
+      });
+    });
+  });
+  return rows;
+}
+
+// 3. **Component-level Diffing:**
+// React compares each component’s state and props to detect changes. If a component’s state or props change,
+// React will re-render that component and update only the DOM elements related to that component.
+
+function explainComponentLevelDiffing() {
+  console.log('Component-level diffing compares the state and props of components to detect changes.');
+  const Greeting = ({ name }) => h("h1", null, `Hi ${name}`);
+  const Farewell = ({ name }) => h("h1", null, `Hi ${name}`);
+  console.log(diff(h(Greeting, { name: "Ann" }), h(Greeting, { name: "Bob" }))); // text-update
+  console.log(diff(h(Greeting, { name: "Ann" }), h(Farewell, { name: "Ann" }))); // replace, same output or not
+}
+
+// 4. **Efficient Updates:**
+// React minimizes the number of changes made to the actual DOM by applying updates only to the elements
+// that have changed, instead of re-rendering the entire DOM. This is important for performance, as direct
+// DOM manipulations are slower than virtual DOM diffing.
+
+function explainEfficientUpdates() {
+  console.log('Efficient updates mean React only updates the parts of the DOM that have changed.');
+  const rows = count => h("table", null, ...Array.from({ length: count }, (_, i) => h("tr", { key: i }, `Row ${i}`)));
+  console.log(`${diff(rows(100), rows(101)).length} patch(es) to add one row to a 100 row table`);
+}
+
+// You can expand or add more related information in this file, like how React uses `shouldComponentUpdate`
+// or how hooks affect rendering. Example of adding a new concept:
+
+function explainShouldComponentUpdate() {
+  console.log('shouldComponentUpdate allows React to skip rendering when props or state have not changed.');
+  const Price = ({ amount }) => h("span", null, `$${amount.toFixed(2)}`);
+  Price.shouldComponentUpdate = (oldProps, newProps) => !shallowEqual(oldProps, newProps);
+  console.log(diff(h(Price, { amount: 5 }), h(Price, { amount: 5 }))); // [] - subtree skipped
+}
+
+// Call functions to print explanations to the console (node dfifing.js):
+if (require.main === module) {
   explainReconciliation();
   explainKeyedDiffing();
   explainComponentLevelDiffing();
   explainEfficientUpdates();
   explainShouldComponentUpdate();
-  
-  
\ No newline at end of file
+}
+
+module.exports = {
+  h,
+  render,
+  normalizeChildren,
+  diff,
+  reconcileChildren,
+  longestIncreasingSubsequence,
+  compareKeyStrategies,
+  applyPatches,
+  shallowEqual,
+  explainReconciliation,
+  explainKeyedDiffing,
+  explainComponentLevelDiffing,
+  explainEfficientUpdates,
+  explainShouldComponentUpdate
+};
@@ -0,0 +1,271 @@
+// Notes on Feature Flags for Conditional Rendering
+
+// The conditions in condtional-rendering.js are booleans passed in as props
+// (isLoggedIn, hasNewMessages, show). A feature flag is the same kind of
+// boolean, except it's decided by configuration instead of by the caller:
+// - flags live in flags.json with a default value,
+// - per-environment values override the default,
+// - rules target user attributes or a percentage of users; the first rule that
+//   matches wins,
+// - percentage rollouts hash flag name + user id, so the same user always gets
+//   the same answer and different flags roll out to different users,
+// - in development a panel can override any flag locally.
+//
+// Flag format:
+// "newDashboard": {
+//   "default": false,
+//   "environments": { "development": true },
+//   "variants": ["a", "b"],            // optional, for non-boolean flags
+//   "rules": [
+//     { "attributes": { "role": ["admin"] }, "value": true },
+//     { "environments": ["production"], "rollout": { "percentage": 25, "by": "id" }, "value": true }
+//   ]
+// }
+
+const React = require("react");
+const defaultFlags = require("./flags.json");
+const { Show, GreetingTernary, DashboardSwitch, DashboardConditionalComponents } = require("./condtional-rendering");
+const { useTranslation } = require("./i18n");
+
+const { createContext, useContext, useEffect, useMemo, useState } = React;
+
+// 1. Evaluation (no React, usable on the server too)
+
+// FNV-1a, 32 bit: fast, stable across platforms, good enough spread for buckets
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// 0 <= bucket < 100, with two decimals so 0.5% rollouts work
+function rolloutBucket(flagName, userKey) {
+  return (hashString(`${flagName}:${userKey}`) % 10000) / 100;
+}
+
+function attributesMatch(expected, user) {
+  return Object.entries(expected).every(([name, allowed]) => {
+    const actual = user[name];
+    return Array.isArray(allowed) ? allowed.includes(actual) : allowed === actual;
+  });
+}
+
+function ruleMatches(rule, name, { user, environment }) {
+  if (rule.environments && !rule.environments.includes(environment)) return false;
+  if (rule.attributes && !attributesMatch(rule.attributes, user)) return false;
+  if (rule.rollout) {
+    const userKey = user[rule.rollout.by || "id"];
+    // Without a key there's nothing stable to hash, so the user stays out
+    if (userKey === undefined || userKey === null) return false;
+    if (rolloutBucket(name, String(userKey)) >= rule.rollout.percentage) return false;
+  }
+  return true;
+}
+
+// Returns { value, reason } so the override panel can show why
+function evaluateFlag(name, flag, { user = {}, environment = "development" } = {}) {
+  const rules = flag.rules || [];
+  for (let i = 0; i < rules.length; i++) {
+    if (ruleMatches(rules[i], name, { user, environment })) {
+      return { value: rules[i].value, reason: `rule ${i + 1}` };
+    }
+  }
+  if (flag.environments && environment in flag.environments) {
+    return { value: flag.environments[environment], reason: `environment "${environment}"` };
+  }
+  return { value: flag.default, reason: "default" };
+}
+
+function evaluateFlags(flags, context) {
+  const result = {};
+  Object.keys(flags).forEach(name => {
+    result[name] = evaluateFlag(name, flags[name], context);
+  });
+  return result;
+}
+
+// 2. Provider, hook and <Feature>
+const OVERRIDES_KEY = "feature-flag-overrides";
+
+function loadOverrides(environment) {
+  if (environment === "production" || typeof window === "undefined") return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(OVERRIDES_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+const FlagsContext = createContext(null);
+const anonymousUser = {};
+
+function FlagsProvider({
+  flags = defaultFlags,
+  user = anonymousUser,
+  environment = process.env.NODE_ENV || "development",
+  children
+}) {
+  const [overrides, setOverrides] = useState(() => loadOverrides(environment));
+  const overridesEnabled = environment !== "production";
+
+  useEffect(() => {
+    if (!overridesEnabled || typeof window === "undefined") return;
+    try {
+      window.localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+    } catch {
+      // Storage unavailable (private mode, quota): overrides last until reload
+    }
+  }, [overrides, overridesEnabled]);
+
+  const evaluated = useMemo(() => evaluateFlags(flags, { user, environment }), [flags, user, environment]);
+
+  const value = useMemo(() => {
+    const active = overridesEnabled ? overrides : {};
+    const values = {};
+    Object.keys(evaluated).forEach(name => {
+      values[name] = name in active ? active[name] : evaluated[name].value;
+    });
+    return {
+      flags,
+      environment,
+      evaluated,
+      values,
+      overrides: active,
+      overridesEnabled,
+      setOverride: (name, flagValue) => setOverrides(current => ({ ...current, [name]: flagValue })),
+      clearOverride: name => setOverrides(({ [name]: removed, ...rest }) => rest),
+      clearOverrides: () => setOverrides({})
+    };
+  }, [flags, environment, evaluated, overrides, overridesEnabled]);
+
+  return <FlagsContext.Provider value={value}>{children}</FlagsContext.Provider>;
+}
+
+function useFlags() {
+  const context = useContext(FlagsContext);
+  if (!context) throw new Error("useFlag must be used inside <FlagsProvider>");
+  return context;
+}
+
+function useFlag(name) {
+  const { values } = useFlags();
+  if (!(name in values)) {
+    if (process.env.NODE_ENV !== "production") console.warn(`[featureFlags] Unknown flag "${name}"`);
+    return false;
+  }
+  return values[name];
+}
+
+// <Feature name="messageBadge">…</Feature> renders when the flag is truthy;
+// <Feature name="greetingStyle" is="friendly">…</Feature> for variants
+function Feature({ name, is, fallback = null, children }) {
+  const value = useFlag(name);
+  return (
+    <Show when={is === undefined ? Boolean(value) : value === is} fallback={fallback}>
+      {children}
+    </Show>
+  );
+}
+
+// 3. Development override panel
+function FlagOverridePanel() {
+  const { flags, evaluated, values, overrides, overridesEnabled, setOverride, clearOverride, clearOverrides } = useFlags();
+  if (!overridesEnabled) return null;
+
+  return (
+    <section aria-label="Feature flag overrides">
+      <h2>Feature flags</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Flag</th>
+            <th>Value</th>
+            <th>Why</th>
+            <th>Override</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(flags).map(name => {
+            const options = flags[name].variants || [true, false];
+            const overridden = name in overrides;
+            return (
+              <tr key={name} title={flags[name].description}>
+                <td>{name}</td>
+                <td>{String(values[name])}</td>
+                <td>{overridden ? "local override" : evaluated[name].reason}</td>
+                <td>
+                  <select
+                    aria-label={`Override ${name}`}
+                    value={overridden ? String(overrides[name]) : ""}
+                    onChange={e => {
+                      if (e.target.value === "") clearOverride(name);
+                      else setOverride(name, options.find(option => String(option) === e.target.value));
+                    }}
+                  >
+                    <option value="">(no override)</option>
+                    {options.map(option => (
+                      <option key={String(option)} value={String(option)}>
+                        {String(option)}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <button onClick={clearOverrides} disabled={Object.keys(overrides).length === 0}>
+        Clear overrides
+      </button>
+    </section>
+  );
+}
+
+// Example: the notification badge and greeting from condtional-rendering.js behind flags
+function FlaggedHeader({ isLoggedIn, unreadCount }) {
+  const { t } = useTranslation();
+  const greetingStyle = useFlag("greetingStyle");
+  return (
+    <header>
+      {greetingStyle === "friendly" && isLoggedIn ? <h1>{t("greeting.friendly")}</h1> : <GreetingTernary isLoggedIn={isLoggedIn} />}
+      <Feature name="messageBadge">
+        <Show when={unreadCount > 0}>
+          <span>{t("notifications.unreadBadge", { count: unreadCount })}</span>
+        </Show>
+      </Feature>
+    </header>
+  );
+}
+
+// newDashboard switches the dashboard to the declarative DashboardSwitch
+function FlaggedDashboard({ role }) {
+  return (
+    <Feature name="newDashboard" fallback={<DashboardConditionalComponents role={role} />}>
+      <DashboardSwitch role={role} />
+    </Feature>
+  );
+}
+
+// <FlagsProvider user={{ id: "u-42", role: "admin", country: "DE" }} environment="development">
+//   <FlaggedHeader isLoggedIn unreadCount={3} />
+//   <FlaggedDashboard role="admin" />
+//   <FlagOverridePanel />
+// </FlagsProvider>
+
+module.exports = {
+  hashString,
+  rolloutBucket,
+  evaluateFlag,
+  evaluateFlags,
+  FlagsProvider,
+  useFlags,
+  useFlag,
+  Feature,
+  FlagOverridePanel,
+  FlaggedHeader,
+  FlaggedDashboard
+};
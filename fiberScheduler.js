@@ -0,0 +1,317 @@
+// Notes on Interruptible (Time-Sliced) Rendering
+
+/**
+ * dfifing.js compares two trees in one synchronous call. Since React 18 the
+ * render phase is split into small units of work (one per fiber) so it can
+ * pause, let the browser handle input, and throw away a half-finished render
+ * when something more urgent comes in. Only the commit is synchronous.
+ *
+ * This file is a small model of that loop:
+ * - every update is scheduled in a priority lane (user input beats default
+ *   beats background work),
+ * - rendering walks the tree one fiber at a time and yields once its time
+ *   slice is used up,
+ * - a higher-priority update aborts the work in progress, which restarts
+ *   from the last committed tree once the urgent update is committed,
+ * - skipped low-priority updates are rebased on top, so the final state is
+ *   the same as if every update had been applied in order.
+ *
+ * The clock is injected, so under Node a fake clock makes every interleaving
+ * deterministic and easy to assert on through `getLog()`.
+ */
+
+const { diff, normalizeChildren } = require("./dfifing");
+
+// Lower number = higher priority. NoLane marks an already committed update that
+// is kept only for rebasing: every later render applies it.
+const NoLane = 0;
+const Lanes = {
+  UserInput: 1,
+  Default: 2,
+  Background: 3
+};
+
+const laneNames = Object.fromEntries(Object.entries(Lanes).map(([name, lane]) => [lane, name]));
+
+// =============================================
+// Clocks
+// =============================================
+
+const realClock = {
+  now: () => Date.now()
+};
+
+// Time only moves when a test (or a simulated unit of work) advances it.
+function createFakeClock(start = 0) {
+  let time = start;
+  return {
+    now: () => time,
+    advance(ms) {
+      time += ms;
+    }
+  };
+}
+
+// =============================================
+// Fibers
+// =============================================
+
+// One fiber per VDOM node, linked child -> sibling -> return like React's.
+function createFiber(vnode, parent) {
+  return { vnode, child: null, sibling: null, return: parent, renderedChildren: [] };
+}
+
+// Render one fiber and create fibers for its children. Returns the next unit of work.
+function performUnitOfWork(fiber) {
+  const { vnode } = fiber;
+
+  if (typeof vnode !== "string") {
+    const output = typeof vnode.type === "function"
+      ? vnode.type({ ...vnode.props, children: vnode.children })
+      : vnode.children;
+
+    let previous = null;
+    normalizeChildren([output]).forEach(childVNode => {
+      const childFiber = createFiber(childVNode, fiber);
+      fiber.renderedChildren.push(childFiber);
+      if (previous) previous.sibling = childFiber;
+      else fiber.child = childFiber;
+      previous = childFiber;
+    });
+  }
+
+  if (fiber.child) return fiber.child;
+
+  let next = fiber;
+  while (next) {
+    if (next.sibling) return next.sibling;
+    next = next.return;
+  }
+  return null;
+}
+
+// Turn a finished fiber tree back into a host tree dfifing.js can diff.
+function toHostTree(fiber) {
+  const { vnode } = fiber;
+  if (typeof vnode === "string") return vnode;
+
+  const children = fiber.renderedChildren.map(toHostTree).filter(child => child !== null);
+  if (typeof vnode.type === "function") return children.length ? children[0] : null;
+
+  return { type: vnode.type, props: { ...vnode.props }, key: vnode.key === undefined ? null : vnode.key, children };
+}
+
+// =============================================
+// Scheduler
+// =============================================
+
+/**
+ * Create a scheduler for a root component `App(state)`.
+ *
+ * Options:
+ *   clock        { now() } used to measure time slices (default: Date.now)
+ *   timeSlice    ms of work allowed before yielding (default: 5)
+ *   onUnitOfWork called after each fiber, e.g. fiber => clock.advance(1)
+ *   onCommit     called with { lane, state, tree, patches } after each commit
+ */
+function createScheduler(App, initialState, options = {}) {
+  const {
+    clock = realClock,
+    timeSlice = 5,
+    onUnitOfWork = () => {},
+    onCommit = () => {}
+  } = options;
+
+  let baseState = initialState;
+  let committedState = initialState;
+  let committedTree = null;
+  let queue = [];
+  let workInProgress = null;
+  let nextUpdateId = 1;
+  const log = [];
+
+  function record(type, details = {}) {
+    log.push({ type, time: clock.now(), ...details });
+  }
+
+  function highestPendingLane() {
+    return queue.reduce(
+      (best, update) => (update.lane !== NoLane && (best === null || update.lane < best) ? update.lane : best),
+      null
+    );
+  }
+
+  function hasHigherPriorityWork() {
+    const lane = highestPendingLane();
+    return workInProgress !== null && lane !== null && lane < workInProgress.lane;
+  }
+
+  /**
+   * Queue an update. `update` is a function of the previous state (or a new
+   * state value) and runs during the next render that includes its lane.
+   */
+  function scheduleUpdate(update, lane = Lanes.Default) {
+    const id = nextUpdateId++;
+    queue.push({ id, lane, update: typeof update === "function" ? update : () => update });
+    record("schedule", { id, lane: laneNames[lane] });
+    return id;
+  }
+
+  // Apply every update whose lane is included in this render. Skipped updates
+  // (and everything after the first skip) stay queued and are replayed later
+  // on top of the base state, which is how React keeps the final state ordered.
+  function processQueue(renderLane) {
+    let state = baseState;
+    let nextBaseState = null;
+    const remaining = [];
+    const applied = [];
+
+    queue.forEach(entry => {
+      if (entry.lane > renderLane) {
+        if (nextBaseState === null) nextBaseState = state;
+        remaining.push(entry);
+        return;
+      }
+      state = entry.update(state);
+      applied.push(entry.id);
+      if (nextBaseState !== null) remaining.push({ ...entry, lane: NoLane });
+    });
+
+    return {
+      state,
+      nextBaseState: nextBaseState === null ? state : nextBaseState,
+      remaining,
+      applied,
+      processed: queue.length
+    };
+  }
+
+  function prepareFreshStack(lane) {
+    const processed = processQueue(lane);
+    const root = createFiber({ type: App, props: { state: processed.state }, key: null, children: [] }, null);
+    workInProgress = { lane, root, next: root, units: 0, ...processed };
+    record("start", { lane: laneNames[lane], updates: processed.applied });
+  }
+
+  function commitRoot() {
+    const { lane, root, state, nextBaseState, remaining, processed, units } = workInProgress;
+    const tree = toHostTree(root);
+    const patches = diff(committedTree, tree);
+
+    committedTree = tree;
+    committedState = state;
+    baseState = nextBaseState;
+    // Updates scheduled during this render were never looked at and stay queued.
+    queue = [...remaining, ...queue.slice(processed)];
+    workInProgress = null;
+
+    record("commit", { lane: laneNames[lane], units, patches: patches.length });
+    onCommit({ lane, state, tree, patches });
+  }
+
+  /**
+   * Run one time slice. Returns true while there is more work to do.
+   */
+  function performSlice() {
+    const sliceStart = clock.now();
+    const lane = highestPendingLane();
+
+    if (workInProgress && lane !== null && lane < workInProgress.lane) {
+      record("abort", { lane: laneNames[workInProgress.lane], units: workInProgress.units, by: laneNames[lane] });
+      workInProgress = null;
+    }
+
+    if (!workInProgress) {
+      if (lane === null) return false;
+      prepareFreshStack(lane);
+    }
+
+    while (workInProgress.next) {
+      const fiber = workInProgress.next;
+      workInProgress.next = performUnitOfWork(fiber);
+      workInProgress.units++;
+      onUnitOfWork(fiber);
+
+      if (!workInProgress.next) break;
+      if (clock.now() - sliceStart >= timeSlice || hasHigherPriorityWork()) {
+        record("yield", { lane: laneNames[workInProgress.lane], units: workInProgress.units });
+        return true;
+      }
+    }
+
+    commitRoot();
+    return queue.length > 0;
+  }
+
+  // Keep running slices until nothing is queued. `betweenSlices` is where a
+  // test can inject updates, the way input events land between browser tasks.
+  function runUntilIdle({ betweenSlices = () => {}, maxSlices = 10000 } = {}) {
+    let slices = 0;
+    while (performSlice()) {
+      slices++;
+      if (slices >= maxSlices) throw new Error(`Scheduler did not settle after ${maxSlices} slices`);
+      betweenSlices(slices);
+    }
+    return slices;
+  }
+
+  return {
+    scheduleUpdate,
+    performSlice,
+    runUntilIdle,
+    getState: () => committedState,
+    getTree: () => committedTree,
+    getLog: () => log.slice(),
+    isRendering: () => workInProgress !== null
+  };
+}
+
+// =============================================
+// Example: a slow background list interrupted by typing
+// =============================================
+
+function explainInterruptibleRendering() {
+  const clock = createFakeClock();
+  const SearchPage = ({ state }) => ({
+    type: "div",
+    props: {},
+    key: null,
+    children: [
+      { type: "input", props: { value: state.query }, key: null, children: [] },
+      {
+        type: "ul",
+        props: {},
+        key: null,
+        children: state.results.map(result => ({ type: "li", props: {}, key: result, children: [result] }))
+      }
+    ]
+  });
+
+  const scheduler = createScheduler(SearchPage, { query: "", results: [] }, {
+    clock,
+    timeSlice: 5,
+    onUnitOfWork: () => clock.advance(1) // every fiber "costs" 1ms
+  });
+
+  const results = Array.from({ length: 20 }, (_, i) => `Result ${i}`);
+  scheduler.scheduleUpdate(state => ({ ...state, results }), Lanes.Background);
+  scheduler.runUntilIdle({
+    betweenSlices: slice => {
+      if (slice === 2) scheduler.scheduleUpdate(state => ({ ...state, query: "re" }), Lanes.UserInput);
+    }
+  });
+
+  console.table(scheduler.getLog());
+  console.log(scheduler.getState().query, scheduler.getState().results.length); // "re" 20
+}
+
+if (require.main === module) {
+  explainInterruptibleRendering();
+}
+
+module.exports = {
+  Lanes,
+  createFakeClock,
+  createScheduler,
+  explainInterruptibleRendering
+};
@@ -0,0 +1,107 @@
+// Notes on Translating the Conditional Rendering Examples
+
+// The components in condtional-rendering.js pick *which* message to show;
+// this file decides *how* that message reads in the user's language:
+// - catalogs in locales/<locale>.json map keys to messages,
+// - messages use the ICU MessageFormat subset in messageFormat.js, e.g.
+//     "{count, plural, =0 {no messages} one {# message} other {# messages}}"
+// - a locale falls back along a chain, e.g. de-AT -> de -> en, and a message is
+//   formatted with the plural rules of the catalog it came from,
+// - a missing key renders the key itself and is reported once.
+// Components call `const { t } = useTranslation()` and `t("greeting.welcomeBack")`.
+// Without an <I18nProvider> they get English, so nothing changes for existing callers.
+// i18nExtract.js lists keys used in code that are missing from a catalog.
+
+const React = require("react");
+const { formatMessage, fallbackChain } = require("./messageFormat");
+const en = require("./locales/en.json");
+const de = require("./locales/de.json");
+const deAT = require("./locales/de-AT.json");
+
+const { createContext, useContext, useEffect, useMemo, useState } = React;
+
+const defaultCatalogs = { en, de, "de-AT": deAT };
+
+// 1. Lookup
+const reportedMissing = new Set();
+
+function warnMissingKey(key, locale) {
+  if (process.env.NODE_ENV === "production" || reportedMissing.has(`${locale}:${key}`)) return;
+  reportedMissing.add(`${locale}:${key}`);
+  console.warn(`[i18n] Missing message "${key}" for locale ${locale}`);
+}
+
+// Plain function, usable outside React (server, tests)
+function createTranslator({ catalogs = defaultCatalogs, locale = "en", fallbackLocale = "en", onMissingKey = warnMissingKey } = {}) {
+  const chain = fallbackChain(locale, fallbackLocale).filter(candidate => catalogs[candidate]);
+
+  return function t(key, values) {
+    for (const candidate of chain) {
+      const message = catalogs[candidate][key];
+      if (message !== undefined) return formatMessage(message, values, candidate);
+    }
+    onMissingKey(key, locale);
+    return key;
+  };
+}
+
+// 2. Provider and hook
+const I18nContext = createContext({
+  locale: "en",
+  setLocale: () => {},
+  t: createTranslator()
+});
+
+function I18nProvider({ locale: initialLocale = "en", catalogs = defaultCatalogs, fallbackLocale = "en", onMissingKey, children }) {
+  const [locale, setLocale] = useState(initialLocale);
+
+  useEffect(() => setLocale(initialLocale), [initialLocale]);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    availableLocales: Object.keys(catalogs),
+    t: createTranslator({ catalogs, locale, fallbackLocale, onMissingKey })
+  }), [locale, catalogs, fallbackLocale, onMissingKey]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+function useTranslation() {
+  return useContext(I18nContext);
+}
+
+function LocaleSwitcher() {
+  const { locale, setLocale, availableLocales = ["en"] } = useTranslation();
+  return (
+    <select aria-label="Language" value={locale} onChange={e => setLocale(e.target.value)}>
+      {availableLocales.map(candidate => (
+        <option key={candidate} value={candidate}>
+          {candidate}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Plurals: the count chooses the sentence, the catalog decides the grammar
+function NewMessageCount({ count }) {
+  const { t } = useTranslation();
+  return <h2>{t("notifications.newMessageCount", { count })}</h2>;
+}
+
+// <I18nProvider locale="de-AT">
+//   <LocaleSwitcher />
+//   <GreetingIfStatement isLoggedIn />   -> "Servus, willkommen zurück!"
+//   <UserName />                         -> "Gast" (from de)
+//   <NewMessageCount count={1} />        -> "Du hast 1 neue Nachricht."
+// </I18nProvider>
+
+module.exports = {
+  defaultCatalogs,
+  createTranslator,
+  I18nProvider,
+  useTranslation,
+  LocaleSwitcher,
+  NewMessageCount
+};
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Finds translation keys used in code that are missing from the catalogs (see i18n.js)
+//
+// Usage: node i18nExtract.js <file or directory>... [--locales <dir>] [--default en] [--json]
+//
+// Collects every t("some.key") / i18n.t("some.key") call and compares the keys
+// with locales/<locale>.json:
+// - missing:  used in code, not in the catalog. For the default locale this is
+//             an error (the raw key would be shown); for other locales the
+//             report says which locale in the fallback chain provides it.
+// - unused:   in the catalog, never used in code
+// - dynamic:  t(someVariable) can't be checked, listed so it can be reviewed
+// - invalid:  a message that doesn't parse as ICU
+//
+// Exits with code 1 when the default locale is missing a key or a message is invalid.
+
+const fs = require("fs");
+const path = require("path");
+const { parseSource, walk, collectFiles } = require("./keyLint");
+const { parseMessage, fallbackChain } = require("./messageFormat");
+
+function isTranslateCall(node) {
+  if (node.type !== "CallExpression") return false;
+  const callee = node.callee;
+  if (callee.type === "Identifier") return callee.name === "t";
+  return callee.type === "MemberExpression" && !callee.computed && callee.property.name === "t";
+}
+
+// -> [{ key, file, line }] and [{ file, line }] for calls without a literal key
+function extractKeys(code, filename) {
+  const keys = [];
+  const dynamic = [];
+  walk(parseSource(code, filename), node => {
+    if (!isTranslateCall(node) || node.arguments.length === 0) return;
+    const [first] = node.arguments;
+    const where = { file: filename, line: node.loc.start.line };
+    if (first.type === "StringLiteral") keys.push({ key: first.value, ...where });
+    else if (first.type === "TemplateLiteral" && first.expressions.length === 0) keys.push({ key: first.quasis[0].value.cooked, ...where });
+    else dynamic.push(where);
+  });
+  return { keys, dynamic };
+}
+
+function loadCatalogs(dir) {
+  const catalogs = {};
+  fs.readdirSync(dir)
+    .filter(name => path.extname(name) === ".json")
+    .forEach(name => {
+      catalogs[path.basename(name, ".json")] = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    });
+  return catalogs;
+}
+
+function checkCatalogs(used, catalogs, defaultLocale) {
+  const usedKeys = [...new Set(used.map(entry => entry.key))].sort();
+  const firstUse = key => used.find(entry => entry.key === key);
+
+  return Object.keys(catalogs).sort().map(locale => {
+    const catalog = catalogs[locale];
+    const chain = fallbackChain(locale, defaultLocale).filter(candidate => catalogs[candidate]);
+
+    const missing = usedKeys
+      .filter(key => !(key in catalog))
+      .map(key => ({
+        key,
+        usedAt: firstUse(key),
+        fallsBackTo: chain.find(candidate => candidate !== locale && key in catalogs[candidate]) || null
+      }));
+
+    const invalid = [];
+    Object.entries(catalog).forEach(([key, message]) => {
+      try {
+        parseMessage(message);
+      } catch (error) {
+        invalid.push({ key, message: error.message });
+      }
+    });
+
+    return {
+      locale,
+      missing,
+      unused: Object.keys(catalog).filter(key => !usedKeys.includes(key)).sort(),
+      invalid
+    };
+  });
+}
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function main(args) {
+  const json = args.includes("--json");
+  const localesDir = readOption(args, "--locales", path.join(__dirname, "locales"));
+  const defaultLocale = readOption(args, "--default", "en");
+  const targets = args.filter((arg, i) => !arg.startsWith("--") && !["--locales", "--default"].includes(args[i - 1]));
+  if (targets.length === 0) {
+    console.error("Usage: node i18nExtract.js <file or directory>... [--locales <dir>] [--default en] [--json]");
+    return 2;
+  }
+
+  const used = [];
+  const dynamic = [];
+  targets.flatMap(target => collectFiles(target)).forEach(file => {
+    const result = extractKeys(fs.readFileSync(file, "utf8"), file);
+    used.push(...result.keys);
+    dynamic.push(...result.dynamic);
+  });
+
+  const catalogs = loadCatalogs(localesDir);
+  if (!catalogs[defaultLocale]) {
+    console.error(`No catalog for the default locale "${defaultLocale}" in ${localesDir}`);
+    return 2;
+  }
+  const report = checkCatalogs(used, catalogs, defaultLocale);
+
+  if (json) {
+    console.log(JSON.stringify({ keys: [...new Set(used.map(entry => entry.key))].sort(), dynamic, locales: report }, null, 2));
+  } else {
+    report.forEach(({ locale, missing, unused, invalid }) => {
+      console.log(`${locale}: ${missing.length} missing, ${unused.length} unused, ${invalid.length} invalid`);
+      missing.forEach(({ key, usedAt, fallsBackTo }) => {
+        const fallback = fallsBackTo ? `falls back to ${fallsBackTo}` : "NOT TRANSLATED";
+        console.log(`  missing  ${key}  (${usedAt.file}:${usedAt.line}, ${fallback})`);
+      });
+      unused.forEach(key => console.log(`  unused   ${key}`));
+      invalid.forEach(({ key, message }) => console.log(`  invalid  ${key}: ${message}`));
+    });
+    dynamic.forEach(({ file, line }) => console.log(`${file}:${line}  dynamic key, check by hand`));
+  }
+
+  const broken = report.some(({ locale, missing, invalid }) => invalid.length > 0 || (locale === defaultLocale && missing.length > 0));
+  return broken ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { extractKeys, checkCatalogs, main };
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// Static checker for the "Common Mistakes to Avoid" listed at the bottom of keyslists.js
+//
+// Usage: node keyLint.js <file or directory>... [--json]
+//        (npm run lint:keys lints the whole repo; directories in .gitignore are skipped)
+//
+// Parses JS/JSX/TS files and reports .map() callbacks that:
+// - missing-key:    return JSX without a key
+// - index-key:      use the map index as key while the array is changed elsewhere
+//                   in the component (setter called, push/splice/sort..., reassigned)
+// - random-key:     build the key from Math.random(), Date.now(), new Date() etc.
+// - non-unique-key: use a field that has duplicate values in the local data (error)
+//                   or whose name does not look like an id (warning)
+//
+// Exits with code 1 when any error is found.
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("@babel/parser");
+
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx"];
+const MUTATING_METHODS = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"];
+const RANDOM_CALLS = ["Math.random", "Date.now", "crypto.randomUUID", "uuid", "uuidv4", "nanoid", "performance.now"];
+const ID_LIKE_FIELD = /^(id|_id|key|uuid|guid|slug)$|(Id|_id|Key|Uuid)$/;
+
+// =============================================
+// AST helpers
+// =============================================
+
+function parseSource(code, filename) {
+  const ext = path.extname(filename);
+  const plugins = ext === ".ts" ? ["typescript"] : ext === ".tsx" ? ["jsx", "typescript"] : ["jsx"];
+  return parse(code, { sourceType: "unambiguous", plugins, errorRecovery: true });
+}
+
+// Depth-first walk, calling visit(node, ancestors)
+function walk(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== "string") return;
+  visit(node, ancestors);
+  const nextAncestors = [...ancestors, node];
+  Object.keys(node).forEach(field => {
+    if (field === "loc" || field === "start" || field === "end" || field.endsWith("Comments")) return;
+    const value = node[field];
+    if (Array.isArray(value)) value.forEach(child => walk(child, visit, nextAncestors));
+    else if (value && typeof value.type === "string") walk(value, visit, nextAncestors);
+  });
+}
+
+function isFunction(node) {
+  return ["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"].includes(node.type);
+}
+
+function calleeName(node) {
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    const object = calleeName(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+// The outermost function around a node is treated as the component
+function enclosingComponent(ancestors) {
+  const index = ancestors.findIndex(isFunction);
+  if (index === -1) return { node: null, name: null };
+
+  const fn = ancestors[index];
+  if (fn.id) return { node: fn, name: fn.id.name };
+  const declarator = ancestors.slice(0, index).reverse().find(node => node.type === "VariableDeclarator");
+  return { node: fn, name: declarator && declarator.id.type === "Identifier" ? declarator.id.name : null };
+}
+
+// Expressions a callback can return: arrow bodies, return statements, and
+// both sides of conditionals / the right side of &&.
+function returnedExpressions(callback) {
+  const results = [];
+  const collect = expression => {
+    if (!expression) return;
+    if (expression.type === "ConditionalExpression") {
+      collect(expression.consequent);
+      collect(expression.alternate);
+    } else if (expression.type === "LogicalExpression") {
+      collect(expression.right);
+    } else {
+      results.push(expression);
+    }
+  };
+
+  if (callback.body.type !== "BlockStatement") {
+    collect(callback.body);
+    return results;
+  }
+
+  walk(callback.body, (node, ancestors) => {
+    if (node.type !== "ReturnStatement") return;
+    if (ancestors.slice(ancestors.indexOf(callback.body) + 1).some(isFunction)) return;
+    collect(node.argument);
+  });
+  return results;
+}
+
+function keyAttribute(jsx) {
+  if (jsx.type !== "JSXElement") return { key: null, hasSpread: false };
+  const attributes = jsx.openingElement.attributes;
+  return {
+    key: attributes.find(attr => attr.type === "JSXAttribute" && attr.name.name === "key") || null,
+    hasSpread: attributes.some(attr => attr.type === "JSXSpreadAttribute")
+  };
+}
+
+// =============================================
+// What the component does with the mapped array
+// =============================================
+
+function describeArray(componentNode, arrayName) {
+  const info = { mutated: false, literal: null };
+  if (!componentNode || !arrayName) return info;
+
+  let setterName = null;
+  walk(componentNode, node => {
+    if (node.type !== "VariableDeclarator") return;
+
+    if (node.id.type === "Identifier" && node.id.name === arrayName && node.init && node.init.type === "ArrayExpression") {
+      info.literal = node.init;
+    }
+
+    const isUseState = node.init && node.init.type === "CallExpression" && /(^|\.)useState$/.test(calleeName(node.init.callee) || "");
+    const elements = node.id.type === "ArrayPattern" ? node.id.elements : [];
+    if (isUseState && elements[0] && elements[0].name === arrayName) {
+      if (elements[1]) setterName = elements[1].name;
+      const initial = node.init.arguments[0];
+      if (initial && initial.type === "ArrayExpression") info.literal = initial;
+    }
+  });
+
+  walk(componentNode, node => {
+    if (node.type === "CallExpression") {
+      const name = calleeName(node.callee);
+      if (setterName && name === setterName) info.mutated = true;
+      if (MUTATING_METHODS.some(method => name === `${arrayName}.${method}`)) info.mutated = true;
+    }
+    if (node.type === "AssignmentExpression") {
+      const target = node.left.type === "MemberExpression" ? node.left.object : node.left;
+      if (target.type === "Identifier" && target.name === arrayName) info.mutated = true;
+    }
+  });
+
+  return info;
+}
+
+function literalFieldValues(arrayLiteral, field) {
+  return arrayLiteral.elements
+    .filter(element => element && element.type === "ObjectExpression")
+    .map(object => object.properties.find(prop => prop.type === "ObjectProperty" && (prop.key.name || prop.key.value) === field))
+    .filter(prop => prop && "value" in prop.value)
+    .map(prop => prop.value.value);
+}
+
+// =============================================
+// Checks
+// =============================================
+
+function checkMapCall(call, ancestors, report) {
+  const callback = call.arguments[0];
+  if (!callback || !isFunction(callback)) return;
+
+  const jsxResults = returnedExpressions(callback).filter(node => node.type === "JSXElement" || node.type === "JSXFragment");
+  if (jsxResults.length === 0) return;
+
+  const component = enclosingComponent(ancestors);
+  const arrayName = call.callee.object.type === "Identifier" ? call.callee.object.name : null;
+  const itemParam = callback.params[0] && callback.params[0].type === "Identifier" ? callback.params[0].name : null;
+  const indexParam = callback.params[1] && callback.params[1].type === "Identifier" ? callback.params[1].name : null;
+
+  jsxResults.forEach(jsx => {
+    const { key, hasSpread } = keyAttribute(jsx);
+    if (!key) {
+      if (!hasSpread) {
+        report(jsx, "missing-key", "error", `.map() returns ${jsx.type === "JSXFragment" ? "a <> fragment, which cannot take" : "JSX without"} a key`, component.name);
+      }
+      return;
+    }
+
+    const expression = key.value && key.value.type === "JSXExpressionContainer" ? key.value.expression : null;
+    if (!expression) return;
+
+    // Keys built from random or time-based values change on every render
+    let randomCall = null;
+    walk(expression, node => {
+      if (node.type === "CallExpression" && RANDOM_CALLS.includes(calleeName(node.callee))) randomCall = calleeName(node.callee);
+      if (node.type === "NewExpression" && calleeName(node.callee) === "Date") randomCall = "new Date";
+    });
+    if (randomCall) {
+      report(key, "random-key", "error", `key built from ${randomCall}() changes on every render`, component.name);
+      return;
+    }
+
+    // Index keys only matter when the list can change
+    let usesIndex = false;
+    walk(expression, node => {
+      if (node.type === "Identifier" && indexParam && node.name === indexParam) usesIndex = true;
+    });
+    if (usesIndex) {
+      const { mutated } = describeArray(component.node, arrayName);
+      if (mutated) {
+        report(key, "index-key", "error", `index used as key but "${arrayName}" is changed elsewhere in the component`, component.name);
+      }
+      return;
+    }
+
+    // key={item.field}: check the local data for duplicates, else judge by name
+    if (expression.type === "MemberExpression" && !expression.computed &&
+        expression.object.type === "Identifier" && expression.object.name === itemParam) {
+      const field = expression.property.name;
+      const { literal } = describeArray(component.node, arrayName);
+      if (literal) {
+        const values = literalFieldValues(literal, field);
+        const duplicates = values.filter((value, index) => values.indexOf(value) !== index);
+        if (duplicates.length) {
+          report(key, "non-unique-key", "error", `key "${itemParam}.${field}" has duplicate values in "${arrayName}": ${[...new Set(duplicates)].map(v => JSON.stringify(v)).join(", ")}`, component.name);
+        }
+        return;
+      }
+      if (!ID_LIKE_FIELD.test(field)) {
+        report(key, "non-unique-key", "warning", `key "${itemParam}.${field}" does not look like a unique id`, component.name);
+      }
+    }
+  });
+}
+
+function lintSource(code, filename = "input.jsx") {
+  const problems = [];
+  const ast = parseSource(code, filename);
+
+  const report = (node, rule, severity, message, component) => {
+    problems.push({
+      file: filename,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      rule,
+      severity,
+      message,
+      component
+    });
+  };
+
+  walk(ast.program, (node, ancestors) => {
+    if (
+      node.type === "CallExpression" &&
+      node.callee.type === "MemberExpression" &&
+      !node.callee.computed &&
+      node.callee.property.name === "map"
+    ) {
+      checkMapCall(node, ancestors, report);
+    }
+  });
+
+  return problems;
+}
+
+// =============================================
+// CLI
+// =============================================
+
+// Directories named in <root>/.gitignore (plain "dir/" or "dir" lines; no
+// globs), so build output such as ssr/dist is not linted
+function readIgnoredDirectories(root = process.cwd()) {
+  let lines;
+  try {
+    lines = fs.readFileSync(path.join(root, ".gitignore"), "utf8").split("\n");
+  } catch {
+    return [];
+  }
+  return lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#") && !line.startsWith("!") && !/[*?[]/.test(line))
+    .map(line => path.resolve(root, line.replace(/^\//, "").replace(/\/$/, "")));
+}
+
+function collectFiles(target, ignored = readIgnoredDirectories()) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) return [target];
+  return fs.readdirSync(target)
+    .filter(name => name !== "node_modules" && !name.startsWith("."))
+    .flatMap(name => {
+      const fullPath = path.join(target, name);
+      if (fs.statSync(fullPath).isDirectory()) {
+        return ignored.includes(path.resolve(fullPath)) ? [] : collectFiles(fullPath, ignored);
+      }
+      return SOURCE_EXTENSIONS.includes(path.extname(name)) ? [fullPath] : [];
+    });
+}
+
+function main(args) {
+  const json = args.includes("--json");
+  const targets = args.filter(arg => !arg.startsWith("--"));
+  if (targets.length === 0) {
+    console.error("Usage: node keyLint.js <file or directory>... [--json]");
+    return 2;
+  }
+
+  const problems = targets
+    .flatMap(target => collectFiles(target))
+    .flatMap(file => lintSource(fs.readFileSync(file, "utf8"), file));
+
+  if (json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    problems.forEach(p => {
+      const where = p.component ? ` (in ${p.component})` : "";
+      console.log(`${p.file}:${p.line}:${p.column}  ${p.severity}  ${p.rule}  ${p.message}${where}`);
+    });
+    const errors = problems.filter(p => p.severity === "error").length;
+    console.log(`\n${problems.length} problem(s), ${errors} error(s)`);
+  }
+
+  return problems.some(p => p.severity === "error") ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { lintSource, main, parseSource, walk, collectFiles, readIgnoredDirectories };
@@ -0,0 +1,204 @@
+// =============================================
+// Runtime Key Validation for Rendered Lists
+// =============================================
+
+// keyslists.js lists the rules for keys; this checks them while the app runs.
+// It watches one list across renders and reports:
+// - duplicate-key:  two siblings share a key (BadKeyExample's item.category)
+// - unstable-key:   the same item got a different key than last render
+// - random-key:     the key looks like Math.random() or Date.now() output
+// - index-key:      index keys on a list that was reordered, inserted into
+//                   or deleted from (fine for static lists, see SimpleList)
+//
+// Development only: in production builds everything here is a no-op.
+
+import React, { createContext, useContext, useEffect, useRef } from 'react';
+
+const isDev = typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+
+// =============================================
+// 1. Reporters
+// =============================================
+
+const consoleReporter = (report) => {
+  console.warn(`[keys] ${report.list}: ${report.message}`);
+};
+
+// Collects reports instead of printing them, for tests
+const createCollectingReporter = () => {
+  const reports = [];
+  const reporter = (report) => {
+    reports.push(report);
+  };
+  reporter.reports = reports;
+  reporter.clear = () => {
+    reports.length = 0;
+  };
+  return reporter;
+};
+
+const KeyReporterContext = createContext(consoleReporter);
+
+const KeyValidationProvider = ({ reporter, children }) => (
+  <KeyReporterContext.Provider value={reporter}>{children}</KeyReporterContext.Provider>
+);
+
+// =============================================
+// 2. Checks
+// =============================================
+
+// Item identity is what "the same item" means across renders
+const defaultGetIdentity = item => (item && typeof item === 'object' && 'id' in item ? item.id : item);
+
+const looksRandom = (key) => {
+  const value = typeof key === 'string' && /^-?\d+(\.\d+)?$/.test(key) ? Number(key) : key;
+  if (typeof value === 'number') {
+    if (value > 0 && value < 1 && !Number.isInteger(value)) return 'looks like Math.random()';
+    if (Number.isInteger(value) && value > 1e12 && value < 1e13) return 'looks like Date.now()';
+  }
+  return null;
+};
+
+const isIndexKeyed = (keys) => keys.length > 0 && keys.every((key, index) => String(key) === String(index));
+
+// Anything other than appending at the end changes which item sits at an index
+const changedBeyondAppend = (previous, current) => {
+  if (current.length < previous.length) return true;
+  return previous.some((identity, index) => !Object.is(identity, current[index]));
+};
+
+const findKeyProblems = (previous, current) => {
+  const problems = [];
+
+  const seen = new Map();
+  current.keys.forEach((key, index) => {
+    if (seen.has(key)) {
+      problems.push({
+        type: 'duplicate-key',
+        key,
+        indexes: [seen.get(key), index],
+        message: `Duplicate key "${key}" at indexes ${seen.get(key)} and ${index}.`
+      });
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  current.keys.forEach((key, index) => {
+    const reason = looksRandom(key);
+    if (reason) {
+      problems.push({ type: 'random-key', key, index, message: `Key "${key}" at index ${index} ${reason}.` });
+    }
+  });
+
+  if (!previous) return problems;
+
+  const previousKeyByIdentity = new Map();
+  previous.identities.forEach((identity, index) => {
+    previousKeyByIdentity.set(identity, previous.keys[index]);
+  });
+
+  const indexKeyed = isIndexKeyed(current.keys);
+  if (!indexKeyed) {
+    current.identities.forEach((identity, index) => {
+      if (!previousKeyByIdentity.has(identity)) return;
+      const before = previousKeyByIdentity.get(identity);
+      const after = current.keys[index];
+      if (!Object.is(before, after)) {
+        problems.push({
+          type: 'unstable-key',
+          key: after,
+          previousKey: before,
+          index,
+          message: `Item at index ${index} changed key from "${before}" to "${after}" between renders.`
+        });
+      }
+    });
+  }
+
+  if (indexKeyed && changedBeyondAppend(previous.identities, current.identities)) {
+    problems.push({
+      type: 'index-key',
+      message: 'Index keys on a list whose items were reordered, inserted or removed; use a stable id instead.'
+    });
+  }
+
+  return problems;
+};
+
+// =============================================
+// 3. Hook and Wrapper Component
+// =============================================
+
+// useKeyValidation(items, { getKey, getIdentity, name, reporter })
+// getKey must return the same key the list renders with.
+const useKeyValidation = (items, options) => {
+  const contextReporter = useContext(KeyReporterContext);
+  const previous = useRef(null);
+  const reported = useRef(new Set());
+
+  const {
+    getKey,
+    getIdentity = defaultGetIdentity,
+    name = 'list',
+    reporter = contextReporter
+  } = options;
+
+  useEffect(() => {
+    if (!isDev) return;
+
+    const current = {
+      keys: items.map((item, index) => getKey(item, index)),
+      identities: items.map(getIdentity)
+    };
+
+    findKeyProblems(previous.current, current).forEach(problem => {
+      // Report each distinct problem once per list, not on every render.
+      // Random and unstable keys change every time, so those dedupe by position.
+      const signature = problem.type === 'duplicate-key'
+        ? `${problem.type}:${problem.key}`
+        : `${problem.type}:${problem.index}`;
+      if (reported.current.has(signature)) return;
+      reported.current.add(signature);
+      reporter({ list: name, ...problem });
+    });
+
+    previous.current = current;
+  });
+};
+
+// Renders a keyed <ul> and validates it. The key comes from getKey, so what
+// is validated is exactly what React sees.
+const KeyValidatedList = ({ items, getKey, getIdentity, renderItem, name, reporter }) => {
+  useKeyValidation(items, { getKey, getIdentity, name, reporter });
+
+  return (
+    <ul>
+      {items.map((item, index) => (
+        <React.Fragment key={getKey(item, index)}>
+          {renderItem(item, index)}
+        </React.Fragment>
+      ))}
+    </ul>
+  );
+};
+
+// Example usage:
+// const reporter = createCollectingReporter();
+// <KeyValidatedList
+//   name="BadKeyExample"
+//   items={[{ text: 'Item 1', category: 'A' }, { text: 'Item 2', category: 'A' }]}
+//   getKey={item => item.category}
+//   renderItem={item => <li>{item.text}</li>}
+//   reporter={reporter}
+// />
+// reporter.reports -> [{ list: 'BadKeyExample', type: 'duplicate-key', key: 'A', ... }]
+
+export {
+  useKeyValidation,
+  KeyValidatedList,
+  KeyValidationProvider,
+  consoleReporter,
+  createCollectingReporter,
+  findKeyProblems
+};
@@ -2,7 +2,17 @@
 // Complete Guide to React Lists and Keys
 // =============================================
 
-import React, { useState } from 'react';
+import React, {
+  forwardRef,
+  useCallback,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState
+} from 'react';
+import { useListQuery } from './listQuery';
+import { createLocalStorageAdapter, useListHistory } from './listHistory';
 
 // =============================================
 // 1. Basic List Rendering
@@ -51,37 +61,45 @@ const ListWithIds = () => {
 // 3. Dynamic Lists with State
 // =============================================
 
-const DynamicList = () => {
-  const [items, setItems] = useState([
+// useListHistory (listHistory.js) owns the items: ids come from a counter that
+// also works on an empty list, changes can be undone, and the list is saved.
+const dynamicListStorage = typeof window !== 'undefined'
+  ? createLocalStorageAdapter('keyslists.dynamic-list')
+  : undefined;
+
+const DynamicList = ({ storage = dynamicListStorage }) => {
+  const {
+    items,
+    addItem,
+    removeItem,
+    updateItem,
+    beginGroup,
+    endGroup,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useListHistory([
     { id: 1, text: 'Item 1' },
     { id: 2, text: 'Item 2' }
-  ]);
-  
-  // Add new item
-  const addItem = () => {
-    const newId = Math.max(...items.map(item => item.id)) + 1;
-    setItems([...items, { id: newId, text: `Item ${newId}` }]);
-  };
-  
-  // Remove item
-  const removeItem = (id) => {
-    setItems(items.filter(item => item.id !== id));
-  };
-  
-  // Update item
-  const updateItem = (id, newText) => {
-    setItems(items.map(item => 
-      item.id === id ? { ...item, text: newText } : item
-    ));
-  };
+  ], { storage });
   
   return (
     <div>
-      <button onClick={addItem}>Add Item</button>
+      <button onClick={() => addItem(id => `Item ${id}`)}>Add Item</button>
+      <button onClick={undo} disabled={!canUndo}>Undo</button>
+      <button onClick={redo} disabled={!canRedo}>Redo</button>
       <ul>
         {items.map(item => (
           <li key={item.id}>
-            {item.text}
+            {/* Everything typed between focus and blur is one undo step */}
+            <input
+              aria-label={`Item ${item.id}`}
+              value={item.text}
+              onFocus={beginGroup}
+              onBlur={endGroup}
+              onChange={(e) => updateItem(item.id, e.target.value)}
+            />
             <button onClick={() => removeItem(item.id)}>Remove</button>
             <button onClick={() => updateItem(item.id, `Updated ${item.text}`)}>
               Update
@@ -167,38 +185,44 @@ const ListWithForms = () => {
 // 6. List with Sorting and Filtering
 // =============================================
 
+// The stored items never change order; useListQuery (listQuery.js) derives
+// the sorted / filtered / searched view from them.
+const sortableListSearchFields = ['text'];
+
 const SortableList = () => {
-  const [items, setItems] = useState([
+  const [items] = useState([
     { id: 1, text: 'Apple', category: 'fruit' },
     { id: 2, text: 'Banana', category: 'fruit' },
     { id: 3, text: 'Carrot', category: 'vegetable' }
   ]);
   
-  // Filter items
-  const filterByCategory = (category) => {
-    return items.filter(item => item.category === category);
-  };
-  
-  // Sort items
-  const sortItems = () => {
-    const sorted = [...items].sort((a, b) => a.text.localeCompare(b.text));
-    setItems(sorted);
-  };
+  const { items: visibleItems, query, toggleSort, setFilter, setSearch } = useListQuery(items, {
+    searchFields: sortableListSearchFields
+  });
+  const textSort = query.sort.find(key => key.field === 'text');
   
   return (
     <div>
-      <button onClick={sortItems}>Sort Alphabetically</button>
-      
-      <h3>All Items</h3>
-      <ul>
-        {items.map(item => (
-          <li key={item.id}>{item.text}</li>
-        ))}
-      </ul>
+      <button onClick={() => toggleSort('text')}>
+        Sort Alphabetically {textSort ? `(${textSort.direction})` : ''}
+      </button>
+      <input
+        placeholder="Search"
+        value={query.search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      <select
+        value={query.filters.category || ''}
+        onChange={(e) => setFilter('category', e.target.value)}
+      >
+        <option value="">All categories</option>
+        <option value="fruit">Fruits only</option>
+        <option value="vegetable">Vegetables only</option>
+      </select>
       
-      <h3>Fruits Only</h3>
+      <h3>Items</h3>
       <ul>
-        {filterByCategory('fruit').map(item => (
+        {visibleItems.map(item => (
           <li key={item.id}>{item.text}</li>
         ))}
       </ul>
@@ -246,11 +270,12 @@ const GoodKeyExample = () => {
 // 8. Performance Optimized List
 // =============================================
 
-const OptimizedList = React.memo(({ items }) => {
+// ItemComponent lets callers swap in an instrumented item (see renderProfiler.js)
+const OptimizedList = React.memo(({ items, ItemComponent = ListItem }) => {
   return (
     <ul>
       {items.map(item => (
-        <ListItem key={item.id} item={item} />
+        <ItemComponent key={item.id} item={item} />
       ))}
     </ul>
   );
@@ -260,51 +285,325 @@ const ListItem = React.memo(({ item }) => {
   return <li>{item.text}</li>;
 });
 
+// Windowed variant for lists too long to mount at once (tens of thousands of rows).
+// Only the rows inside the viewport plus `overscan` rows on each side are rendered;
+// padding on the <ul> stands in for everything above and below.
+//
+// - Fixed heights: pass `itemHeight`.
+// - Variable heights: omit it; rows start at `estimatedItemHeight` and are
+//   measured after they render (override `measureElement` in tests, jsdom
+//   has no layout).
+// - The viewport is the `height` prop, so tests can pick any size.
+// - ref.current.scrollToItem(id, { align: 'start' | 'center' | 'end' })
+
+// offsets[i] = top of row i, offsets[items.length] = total height
+const computeOffsets = (items, getHeight) => {
+  const offsets = [0];
+  items.forEach((item, index) => {
+    offsets.push(offsets[index] + getHeight(item));
+  });
+  return offsets;
+};
+
+const findVisibleRange = (offsets, scrollTop, viewportHeight, overscan) => {
+  const count = offsets.length - 1;
+  if (count === 0) return { start: 0, end: 0 };
+
+  // Binary search for the first row whose bottom is below scrollTop
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] <= scrollTop) low = mid + 1;
+    else high = mid;
+  }
+
+  let end = low;
+  while (end < count && offsets[end] < scrollTop + viewportHeight) end++;
+
+  return {
+    start: Math.max(0, low - overscan),
+    end: Math.min(count, end + overscan) // exclusive
+  };
+};
+
+const defaultMeasureElement = el => el.getBoundingClientRect().height;
+
+const VirtualizedList = forwardRef(({
+  items,
+  height,
+  itemHeight,
+  estimatedItemHeight = 40,
+  overscan = 5,
+  ItemComponent = ListItem,
+  measureElement = defaultMeasureElement
+}, ref) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const containerRef = useRef(null);
+  const listRef = useRef(null);
+  const measuredHeights = useRef(new Map()); // item.id -> px
+
+  const getHeight = useCallback(
+    item => itemHeight ?? measuredHeights.current.get(item.id) ?? estimatedItemHeight,
+    [itemHeight, estimatedItemHeight]
+  );
+
+  // measureVersion invalidates the offsets whenever a row's measured height changes
+  const offsets = useMemo(() => computeOffsets(items, getHeight), [items, getHeight, measureVersion]);
+  const { start, end } = findVisibleRange(offsets, scrollTop, height, overscan);
+  const visibleItems = items.slice(start, end);
+
+  // Measure the rendered rows (variable height mode only)
+  useLayoutEffect(() => {
+    if (itemHeight !== undefined || !listRef.current) return;
+    let changed = false;
+    Array.from(listRef.current.children).forEach((el, i) => {
+      const item = visibleItems[i];
+      const measured = measureElement(el);
+      if (item && measured > 0 && measuredHeights.current.get(item.id) !== measured) {
+        measuredHeights.current.set(item.id, measured);
+        changed = true;
+      }
+    });
+    if (changed) setMeasureVersion(version => version + 1);
+  });
+
+  useImperativeHandle(ref, () => ({
+    scrollToItem(id, { align = 'start' } = {}) {
+      const index = items.findIndex(item => item.id === id);
+      if (index === -1) return;
+      const rowTop = offsets[index];
+      const rowHeight = offsets[index + 1] - rowTop;
+      const maxScroll = Math.max(0, offsets[items.length] - height);
+      const target = align === 'center'
+        ? rowTop - (height - rowHeight) / 2
+        : align === 'end' ? rowTop + rowHeight - height : rowTop;
+      const next = Math.min(maxScroll, Math.max(0, target));
+      if (containerRef.current) containerRef.current.scrollTop = next;
+      setScrollTop(next);
+    }
+  }), [items, offsets, height]);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ height, overflowY: 'auto' }}
+    >
+      <ul
+        ref={listRef}
+        style={{
+          margin: 0,
+          paddingTop: offsets[start],
+          paddingBottom: offsets[items.length] - offsets[end]
+        }}
+      >
+        {visibleItems.map(item => (
+          <ItemComponent key={item.id} item={item} />
+        ))}
+      </ul>
+    </div>
+  );
+});
+
 // =============================================
 // 9. List with Drag and Drop
 // =============================================
 
-const DraggableList = () => {
+// Move the items at `fromIndexes` so they land, in their original order,
+// in the gap before `toIndex` (0..items.length) of the original list.
+// Inserting at the drop position keeps every other item where it was,
+// unlike swapping the dragged and target items.
+const moveItems = (items, fromIndexes, toIndex) => {
+  const selected = new Set(fromIndexes);
+  const moving = items.filter((_, index) => selected.has(index));
+  const rest = items.filter((_, index) => !selected.has(index));
+  const insertAt = toIndex - fromIndexes.filter(index => index < toIndex).length;
+  return [...rest.slice(0, insertAt), ...moving, ...rest.slice(insertAt)];
+};
+
+const visuallyHidden = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap'
+};
+
+// Controlled: the parent owns `items` and applies onReorder(fromIndexes, toIndex),
+// e.g. with moveItems. Click selects, Ctrl/Cmd+click toggles, Shift+click
+// selects a range; dragging a selected item drags the whole selection.
+// Keyboard: Space picks up, arrow keys move, Space/Enter drops, Escape cancels.
+const DraggableList = ({ items, onReorder, getLabel = item => item.text }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [lastSelectedIndex, setLastSelectedIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [grab, setGrab] = useState(null); // { fromIndexes, position } while moving with the keyboard
+  const [announcement, setAnnouncement] = useState('');
+  const draggingIndexes = useRef([]);
+  const itemRefs = useRef([]);
+
+  const indexesOf = (ids) => items
+    .map((item, index) => (ids.includes(item.id) ? index : -1))
+    .filter(index => index !== -1);
+
+  // Block position among the items that are not moving -> gap in the original list
+  const positionToIndex = (fromIndexes, position) => {
+    const rest = items.map((_, index) => index).filter(index => !fromIndexes.includes(index));
+    return position < rest.length ? rest[position] : items.length;
+  };
+
+  const describe = (indexes) => (indexes.length === 1
+    ? getLabel(items[indexes[0]])
+    : `${indexes.length} items`);
+
+  // ---- Selection ----
+  const handleClick = (e, index) => {
+    const id = items[index].id;
+    if (e.shiftKey && lastSelectedIndex !== null) {
+      const [start, end] = [lastSelectedIndex, index].sort((a, b) => a - b);
+      setSelectedIds(items.slice(start, end + 1).map(item => item.id));
+      return;
+    }
+    if (e.ctrlKey || e.metaKey) {
+      setSelectedIds(ids => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]));
+    } else {
+      setSelectedIds([id]);
+    }
+    setLastSelectedIndex(index);
+  };
+
+  // ---- Pointer drag and drop ----
+  const handleDragStart = (e, index) => {
+    const id = items[index].id;
+    const ids = selectedIds.includes(id) ? selectedIds : [id];
+    if (!selectedIds.includes(id)) setSelectedIds([id]);
+    draggingIndexes.current = indexesOf(ids);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', ids.join(','));
+  };
+
+  // Drop above the target when the pointer is in its top half, below otherwise
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const fromIndexes = draggingIndexes.current;
+    if (fromIndexes.length && dropIndex !== null) {
+      onReorder(fromIndexes, dropIndex);
+      setAnnouncement(`Moved ${describe(fromIndexes)}.`);
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    draggingIndexes.current = [];
+    setDropIndex(null);
+  };
+
+  // ---- Keyboard reordering ----
+  const handleKeyDown = (e, index) => {
+    if (!grab) {
+      if (e.key === ' ') {
+        e.preventDefault();
+        const ids = selectedIds.includes(items[index].id) ? selectedIds : [items[index].id];
+        const fromIndexes = indexesOf(ids);
+        const position = index - fromIndexes.filter(from => from < index).length;
+        setSelectedIds(ids);
+        setGrab({ fromIndexes, position });
+        setDropIndex(positionToIndex(fromIndexes, position));
+        setAnnouncement(`Picked up ${describe(fromIndexes)}, position ${position + 1} of ${items.length - fromIndexes.length + 1}. Use the arrow keys to move, Space to drop, Escape to cancel.`);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const next = Math.min(items.length - 1, Math.max(0, index + (e.key === 'ArrowDown' ? 1 : -1)));
+        itemRefs.current[next]?.focus();
+      }
+      return;
+    }
+
+    const { fromIndexes, position } = grab;
+    const lastPosition = items.length - fromIndexes.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const next = Math.min(lastPosition, Math.max(0, position + (e.key === 'ArrowDown' ? 1 : -1)));
+      setGrab({ fromIndexes, position: next });
+      setDropIndex(positionToIndex(fromIndexes, next));
+      setAnnouncement(`${describe(fromIndexes)}, position ${next + 1} of ${lastPosition + 1}.`);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      onReorder(fromIndexes, positionToIndex(fromIndexes, position));
+      setGrab(null);
+      setDropIndex(null);
+      setAnnouncement(`Dropped ${describe(fromIndexes)} at position ${position + 1} of ${lastPosition + 1}.`);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setGrab(null);
+      setDropIndex(null);
+      setAnnouncement(`Reorder cancelled. ${describe(fromIndexes)} returned to its original position.`);
+    }
+  };
+
+  const dropLine = '2px solid #3b82f6';
+
+  return (
+    <div>
+      <p id="draggable-list-help" style={visuallyHidden}>
+        Press Space to pick up the selected items, use the arrow keys to move them, Space to drop and Escape to cancel.
+      </p>
+      <ul role="listbox" aria-multiselectable="true" aria-describedby="draggable-list-help">
+        {items.map((item, index) => (
+          <li
+            key={item.id}
+            ref={el => { itemRefs.current[index] = el; }}
+            role="option"
+            tabIndex={0}
+            aria-selected={selectedIds.includes(item.id)}
+            aria-grabbed={grab ? grab.fromIndexes.includes(index) : undefined}
+            draggable
+            onClick={(e) => handleClick(e, index)}
+            onKeyDown={(e) => handleKeyDown(e, index)}
+            onDragStart={(e) => handleDragStart(e, index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={handleDrop}
+            onDragEnd={handleDragEnd}
+            style={{
+              cursor: 'move',
+              borderTop: dropIndex === index ? dropLine : undefined,
+              borderBottom: dropIndex === items.length && index === items.length - 1 ? dropLine : undefined,
+              fontWeight: selectedIds.includes(item.id) ? 'bold' : undefined
+            }}
+          >
+            {getLabel(item)}
+          </li>
+        ))}
+      </ul>
+      <div role="status" aria-live="assertive" style={visuallyHidden}>
+        {announcement}
+      </div>
+    </div>
+  );
+};
+
+// Parent owns the data and applies the reorder
+const DraggableListExample = () => {
   const [items, setItems] = useState([
     { id: 1, text: 'Draggable 1' },
     { id: 2, text: 'Draggable 2' },
     { id: 3, text: 'Draggable 3' }
   ]);
-  
-  const handleDragStart = (e, id) => {
-    e.dataTransfer.setData('text/plain', id.toString());
-  };
-  
-  const handleDrop = (e, targetId) => {
-    e.preventDefault();
-    const draggedId = parseInt(e.dataTransfer.getData('text/plain'));
-    const newItems = [...items];
-    const draggedIndex = items.findIndex(item => item.id === draggedId);
-    const targetIndex = items.findIndex(item => item.id === targetId);
-    
-    // Swap items
-    [newItems[draggedIndex], newItems[targetIndex]] = 
-    [newItems[targetIndex], newItems[draggedIndex]];
-    
-    setItems(newItems);
+
+  const handleReorder = (fromIndexes, toIndex) => {
+    setItems(current => moveItems(current, fromIndexes, toIndex));
   };
-  
-  return (
-    <ul>
-      {items.map(item => (
-        <li
-          key={item.id}
-          draggable
-          onDragStart={(e) => handleDragStart(e, item.id)}
-          onDragOver={(e) => e.preventDefault()}
-          onDrop={(e) => handleDrop(e, item.id)}
-          style={{ cursor: 'move' }}
-        >
-          {item.text}
-        </li>
-      ))}
-    </ul>
-  );
+
+  return <DraggableList items={items} onReorder={handleReorder} />;
 };
 
 // =============================================
@@ -349,5 +648,10 @@ export {
   BadKeyExample,
   GoodKeyExample,
   OptimizedList,
-  DraggableList
+  ListItem,
+  VirtualizedList,
+  findVisibleRange,
+  DraggableList,
+  DraggableListExample,
+  moveItems
 };
\ No newline at end of file
@@ -0,0 +1,227 @@
+// =============================================
+// Paged Data Source and Infinite Scrolling
+// =============================================
+
+// The lists in keyslists.js render arrays declared inline. Real lists come
+// from a backend one page at a time. createPagedDataSource pages through any
+// fetchPage function using offset or cursor pagination and:
+// - drops items it has already seen (offset pages shift when rows are
+//   inserted upstream, so the same id can come back on the next page),
+// - retries failed pages with backoff before reporting an error,
+// - knows when the end of the list is reached.
+// useInfiniteList loads the next page when a sentinel row at the bottom
+// scrolls into view (IntersectionObserver). createFakeBackend serves pages
+// from memory so all of this runs offline and in tests.
+
+import React, { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+
+// =============================================
+// 1. Fake Backend
+// =============================================
+
+// createFakeBackend(items, { latency, shouldFail })
+// shouldFail(requestNumber) -> true makes that request reject
+const createFakeBackend = (initialItems, { latency = 100, shouldFail = () => false } = {}) => {
+  const items = [...initialItems];
+  let requests = 0;
+
+  const respond = (build) => new Promise((resolve, reject) => {
+    requests++;
+    const requestNumber = requests;
+    setTimeout(() => {
+      if (shouldFail(requestNumber)) reject(new Error(`Request ${requestNumber} failed`));
+      else resolve(build());
+    }, latency);
+  });
+
+  return {
+    // GET /items?offset=20&limit=10 -> { items, total }
+    fetchOffset: ({ offset, limit }) => respond(() => ({
+      items: items.slice(offset, offset + limit),
+      total: items.length
+    })),
+    // GET /items?cursor=abc&limit=10 -> { items, nextCursor }
+    // The cursor is the id of the last item returned, so inserts don't shift pages.
+    fetchCursor: ({ cursor, limit }) => respond(() => {
+      const start = cursor === null ? 0 : items.findIndex(item => String(item.id) === cursor) + 1;
+      const page = items.slice(start, start + limit);
+      const last = page[page.length - 1];
+      return { items: page, nextCursor: start + limit < items.length && last ? String(last.id) : null };
+    }),
+    // Simulate another user adding a row while we page
+    insert: (item, index = 0) => {
+      items.splice(index, 0, item);
+    },
+    get requestCount() {
+      return requests;
+    }
+  };
+};
+
+// =============================================
+// 2. Data Source
+// =============================================
+
+const defaultRetryDelay = attempt => Math.min(250 * 2 ** attempt, 4000);
+
+// createPagedDataSource({
+//   fetchPage,             // ({ offset, cursor, limit }) => Promise<{ items, total?, nextCursor? }>
+//   mode: 'offset',        // or 'cursor'
+//   pageSize: 20,
+//   maxRetries: 2,         // automatic retries per page before status becomes 'error'
+//   retryDelay,            // attempt => ms
+//   getId: item => item.id
+// })
+const createPagedDataSource = ({
+  fetchPage,
+  mode = 'offset',
+  pageSize = 20,
+  maxRetries = 2,
+  retryDelay = defaultRetryDelay,
+  getId = item => item.id
+}) => {
+  const listeners = new Set();
+  let seenIds = new Set();
+  let offset = 0;
+  let cursor = null;
+  let generation = 0; // bumped by reset() so late responses are ignored
+  let state = { items: [], status: 'idle', error: null, hasMore: true };
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  const fetchWithRetry = async (request, currentGeneration) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchPage(request);
+      } catch (error) {
+        if (attempt >= maxRetries || currentGeneration !== generation) throw error;
+        await wait(retryDelay(attempt));
+      }
+    }
+  };
+
+  const loadNext = async () => {
+    if (state.status === 'loading' || !state.hasMore) return;
+    const currentGeneration = generation;
+    setState({ status: 'loading', error: null });
+
+    try {
+      const request = mode === 'cursor' ? { cursor, limit: pageSize } : { offset, limit: pageSize };
+      const page = await fetchWithRetry(request, currentGeneration);
+      if (currentGeneration !== generation) return;
+
+      const fresh = page.items.filter(item => !seenIds.has(getId(item)));
+      fresh.forEach(item => seenIds.add(getId(item)));
+
+      let hasMore;
+      if (mode === 'cursor') {
+        cursor = page.nextCursor ?? null;
+        hasMore = cursor !== null;
+      } else {
+        offset += page.items.length;
+        hasMore = page.items.length === pageSize && (page.total === undefined || offset < page.total);
+      }
+
+      setState({
+        items: [...state.items, ...fresh],
+        status: hasMore ? 'idle' : 'done',
+        hasMore
+      });
+    } catch (error) {
+      if (currentGeneration !== generation) return;
+      setState({ status: 'error', error });
+    }
+  };
+
+  return {
+    loadNext,
+    // After an error, try the same page again
+    retry: () => {
+      if (state.status === 'error') {
+        setState({ status: 'idle' });
+        return loadNext();
+      }
+      return Promise.resolve();
+    },
+    reset: () => {
+      generation++;
+      seenIds = new Set();
+      offset = 0;
+      cursor = null;
+      setState({ items: [], status: 'idle', error: null, hasMore: true });
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => state
+  };
+};
+
+// =============================================
+// 3. Hook and Component
+// =============================================
+
+// Attach sentinelRef to an element after the last row. It is a callback ref,
+// so a sentinel that unmounts and comes back (after reset(), or once hasMore
+// turns true again) is observed again.
+const useInfiniteList = (source, { rootMargin = '200px', root = null } = {}) => {
+  const state = useSyncExternalStore(source.subscribe, source.getSnapshot, source.getSnapshot);
+  const [sentinel, sentinelRef] = useState(null);
+  const isNearEnd = useRef(false);
+
+  useEffect(() => {
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      isNearEnd.current = entry.isIntersecting;
+      if (entry.isIntersecting) source.loadNext();
+    }, { root, rootMargin });
+    observer.observe(sentinel);
+    return () => {
+      observer.disconnect();
+      isNearEnd.current = false;
+    };
+  }, [sentinel, source, root, rootMargin]);
+
+  // A short page can leave the sentinel on screen; the observer won't fire
+  // again, so keep loading until it scrolls out of view or the list ends.
+  useEffect(() => {
+    if (state.status === 'idle' && isNearEnd.current) source.loadNext();
+  }, [state.status, state.items.length, source]);
+
+  return { ...state, sentinelRef, retry: source.retry, reset: source.reset };
+};
+
+const InfiniteList = ({ source, renderItem = item => item.text, getId = item => item.id }) => {
+  const { items, status, error, hasMore, sentinelRef, retry } = useInfiniteList(source);
+
+  return (
+    <ul aria-busy={status === 'loading'}>
+      {items.map(item => (
+        <li key={getId(item)}>{renderItem(item)}</li>
+      ))}
+      {status === 'loading' && <li role="status">Loading more…</li>}
+      {status === 'error' && (
+        <li role="alert">
+          Could not load more items ({error.message}).
+          <button onClick={retry}>Try again</button>
+        </li>
+      )}
+      {!hasMore && <li role="status">No more items</li>}
+      {hasMore && <li ref={sentinelRef} aria-hidden="true" style={{ height: 1 }} />}
+    </ul>
+  );
+};
+
+// Example usage:
+// const backend = createFakeBackend(Array.from({ length: 500 }, (_, i) => ({ id: i + 1, text: `Item ${i + 1}` })));
+// const source = createPagedDataSource({ fetchPage: backend.fetchCursor, mode: 'cursor', pageSize: 25 });
+// <InfiniteList source={source} />
+
+export { createFakeBackend, createPagedDataSource, useInfiniteList, InfiniteList };
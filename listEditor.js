@@ -0,0 +1,358 @@
+// =============================================
+// Validated, Dirty-Tracking List Editor
+// =============================================
+
+// ListWithForms in keyslists.js edits text in place: no validation, no idea
+// of what is saved, no submit. useListForm adds that on the same row shape:
+// - every row knows whether it differs from the last saved version,
+// - field validators run sync on every change, async ones (e.g. a server
+//   uniqueness check) run in the background and stale results are dropped,
+// - row validators see all rows at once (e.g. no duplicate names),
+// - rows can be added and removed,
+// - submit sends only what changed: { added, updated, removed }, one submit at a time,
+// - reset puts everything back to the last saved state.
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// =============================================
+// 1. Validators
+// =============================================
+
+// A field validator returns an error message or nothing
+const required = (message = 'Required') => value => (String(value ?? '').trim() ? undefined : message);
+
+const maxLength = (max, message = `At most ${max} characters`) =>
+  value => (String(value ?? '').length > max ? message : undefined);
+
+// A row validator gets all rows and returns { [rowKey]: { [field]: message } }
+const uniqueField = (field, message = 'Must be unique') => rows => {
+  const errors = {};
+  const seen = new Map();
+  rows.forEach(row => {
+    const value = String(row.values[field] ?? '').trim().toLowerCase();
+    if (!value) return;
+    if (seen.has(value)) {
+      errors[row.key] = { [field]: message };
+      errors[seen.get(value)] = { [field]: message };
+    } else {
+      seen.set(value, row.key);
+    }
+  });
+  return errors;
+};
+
+// =============================================
+// 2. Hook
+// =============================================
+
+let newRowCounter = 0;
+const newRowKey = () => `new-${++newRowCounter}`;
+
+const toRow = (item, fieldNames) => ({
+  key: `saved-${item.id}`,
+  id: item.id,
+  values: Object.fromEntries(fieldNames.map(name => [name, item[name] ?? '']))
+});
+
+const mergeErrors = (...sources) => {
+  const merged = {};
+  sources.forEach(source => {
+    Object.entries(source).forEach(([key, fieldErrors]) => {
+      Object.entries(fieldErrors).forEach(([field, message]) => {
+        if (!message) return;
+        merged[key] = { ...merged[key] };
+        merged[key][field] = merged[key][field] || message;
+      });
+    });
+  });
+  return merged;
+};
+
+// useListForm({
+//   items,                 // saved items, each with an id
+//   fields: {
+//     text: {
+//       initial: '',
+//       validate: [required()],
+//       validateAsync: async (value, row) => message | undefined
+//     }
+//   },
+//   validateRows: [uniqueField('text')],
+//   onSubmit: async ({ added, updated, removed }) => ({ ids: { [rowKey]: newId } })
+// })
+const useListForm = ({ items = [], fields, validateRows = [], onSubmit }) => {
+  const fieldNames = Object.keys(fields);
+  const [rows, setRows] = useState(() => items.map(item => toRow(item, fieldNames)));
+  const [saved, setSaved] = useState(() => items.map(item => toRow(item, fieldNames)));
+  const [asyncErrors, setAsyncErrors] = useState({});
+  const [pending, setPending] = useState({}); // `${rowKey}.${field}` -> true
+  const [touched, setTouched] = useState({});
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+  const asyncVersions = useRef({});
+  const asyncRuns = useRef({}); // `${rowKey}.${field}` -> promise of the latest run
+  const submitInFlight = useRef(false);
+
+  const savedByKey = useMemo(() => new Map(saved.map(row => [row.key, row])), [saved]);
+
+  const isRowDirty = useCallback((row) => {
+    const savedRow = savedByKey.get(row.key);
+    return !savedRow || fieldNames.some(name => savedRow.values[name] !== row.values[name]);
+  }, [savedByKey]);
+
+  const removedIds = useMemo(
+    () => saved.filter(savedRow => !rows.some(row => row.key === savedRow.key)).map(row => row.id),
+    [saved, rows]
+  );
+
+  // ---- Sync validation (recomputed from the rows on every render) ----
+  const syncErrors = useMemo(() => {
+    const fieldErrors = {};
+    rows.forEach(row => {
+      fieldNames.forEach(name => {
+        const message = (fields[name].validate || [])
+          .map(validate => validate(row.values[name], row, rows))
+          .find(Boolean);
+        if (message) fieldErrors[row.key] = { ...fieldErrors[row.key], [name]: message };
+      });
+    });
+    return mergeErrors(fieldErrors, ...validateRows.map(validate => validate(rows)));
+  }, [rows]);
+
+  const errors = useMemo(() => mergeErrors(syncErrors, asyncErrors), [syncErrors, asyncErrors]);
+
+  // ---- Async validation ----
+  // Each run gets a version; only the latest run for a row/field may write its result.
+  // A superseded run resolves with the latest run's result, so whoever awaits
+  // it (submit) never mistakes "superseded" for "passed".
+  const runAsyncValidation = useCallback((row, name) => {
+    const validateAsync = fields[name].validateAsync;
+    if (!validateAsync) return Promise.resolve(undefined);
+
+    const id = `${row.key}.${name}`;
+    const version = (asyncVersions.current[id] || 0) + 1;
+    asyncVersions.current[id] = version;
+    setPending(current => ({ ...current, [id]: true }));
+
+    const run = (async () => {
+      let message;
+      try {
+        message = await validateAsync(row.values[name], row, rowsRef.current);
+      } catch (error) {
+        message = error.message || 'Validation failed';
+      }
+
+      if (asyncVersions.current[id] !== version) {
+        const latest = asyncRuns.current[id];
+        // After reset() there is no latest run and nothing left to check
+        return latest && latest !== run ? latest : undefined;
+      }
+      setPending(current => {
+        const { [id]: done, ...rest } = current;
+        return rest;
+      });
+      setAsyncErrors(current => ({
+        ...current,
+        [row.key]: { ...current[row.key], [name]: message }
+      }));
+      return message;
+    })();
+    asyncRuns.current[id] = run;
+    return run;
+  }, [fields]);
+
+  // ---- Row operations ----
+  const setValue = useCallback((key, name, value) => {
+    setRows(current => current.map(row => (
+      row.key === key ? { ...row, values: { ...row.values, [name]: value } } : row
+    )));
+    setTouched(current => ({ ...current, [`${key}.${name}`]: true }));
+    setSubmitError(null);
+
+    const row = rowsRef.current.find(candidate => candidate.key === key);
+    if (row) runAsyncValidation({ ...row, values: { ...row.values, [name]: value } }, name);
+  }, [runAsyncValidation]);
+
+  const addRow = useCallback((values = {}) => {
+    const initial = Object.fromEntries(fieldNames.map(name => [name, fields[name].initial ?? '']));
+    const row = { key: newRowKey(), id: undefined, values: { ...initial, ...values } };
+    setRows(current => [...current, row]);
+    return row.key;
+  }, [fields]);
+
+  const removeRow = useCallback((key) => {
+    setRows(current => current.filter(row => row.key !== key));
+    setAsyncErrors(({ [key]: removed, ...rest }) => rest);
+  }, []);
+
+  const reset = useCallback(() => {
+    setRows(saved);
+    setAsyncErrors({});
+    setPending({});
+    setTouched({});
+    setSubmitAttempted(false);
+    setSubmitError(null);
+    asyncVersions.current = {};
+    asyncRuns.current = {};
+  }, [saved]);
+
+  // ---- Submit ----
+  const changes = useMemo(() => ({
+    added: rows.filter(row => !savedByKey.has(row.key)).map(row => ({ key: row.key, ...row.values })),
+    updated: rows
+      .filter(row => savedByKey.has(row.key) && isRowDirty(row))
+      .map(row => {
+        const savedValues = savedByKey.get(row.key).values;
+        const changed = fieldNames.filter(name => savedValues[name] !== row.values[name]);
+        return { id: row.id, changes: Object.fromEntries(changed.map(name => [name, row.values[name]])) };
+      }),
+    removed: removedIds
+  }), [rows, savedByKey, removedIds, isRowDirty]);
+
+  const isDirty = changes.added.length + changes.updated.length + changes.removed.length > 0;
+
+  const submit = useCallback(async () => {
+    // One submit at a time, from the first async check until the save settles
+    if (submitInFlight.current) return { ok: false, busy: true };
+    setSubmitAttempted(true);
+    if (Object.keys(syncErrors).length > 0) return { ok: false, errors: syncErrors };
+
+    // `changes` was built from these rows. Edits made while the request is in
+    // flight are not part of it, so they stay dirty against the new saved state.
+    const submittedRows = rows;
+    submitInFlight.current = true;
+    try {
+      // Async validators must have passed for every changed row before saving
+      const dirtyRows = submittedRows.filter(isRowDirty);
+      const messages = await Promise.all(dirtyRows.flatMap(row =>
+        fieldNames.filter(name => fields[name].validateAsync).map(name => runAsyncValidation(row, name))
+      ));
+      if (messages.some(Boolean)) return { ok: false };
+      // An edit while validating means what was checked is not what would be
+      // sent; nothing is saved and the next submit checks the new values
+      if (rowsRef.current !== submittedRows) return { ok: false, changed: true };
+
+      setSubmitting(true);
+      try {
+        const result = await onSubmit(changes);
+        const ids = (result && result.ids) || {};
+        const withId = row => (row.key in ids ? { ...row, id: ids[row.key] } : row);
+        setSaved(submittedRows.map(withId));
+        setRows(current => current.map(withId));
+        setSubmitAttempted(false);
+        setTouched({});
+        return { ok: true };
+      } catch (error) {
+        setSubmitError(error);
+        return { ok: false, error };
+      } finally {
+        setSubmitting(false);
+      }
+    } finally {
+      submitInFlight.current = false;
+    }
+  }, [rows, syncErrors, isRowDirty, runAsyncValidation, onSubmit, changes]);
+
+  // Errors are shown once a field was edited or after a submit attempt
+  const visibleError = (key, name) => ((touched[`${key}.${name}`] || submitAttempted) && errors[key]?.[name]) || null;
+
+  return {
+    rows,
+    changes,
+    errors,
+    visibleError,
+    isDirty,
+    isRowDirty,
+    isValidating: (key, name) => Boolean(pending[`${key}.${name}`]),
+    hasErrors: Object.keys(errors).length > 0,
+    submitting,
+    submitError,
+    setValue,
+    addRow,
+    removeRow,
+    reset,
+    submit
+  };
+};
+
+// =============================================
+// 3. Editor Component
+// =============================================
+
+// Same data as ListWithForms, with validation and a batch save
+const ListEditor = ({
+  items = [
+    { id: 1, text: 'Item 1' },
+    { id: 2, text: 'Item 2' }
+  ],
+  onSave = async () => {},
+  checkNameAvailable
+}) => {
+  const form = useListForm({
+    items,
+    fields: {
+      text: {
+        validate: [required('Name is required'), maxLength(50)],
+        validateAsync: checkNameAvailable
+          ? async (value) => ((await checkNameAvailable(value)) ? undefined : 'Name is already taken')
+          : undefined
+      }
+    },
+    validateRows: [uniqueField('text', 'Duplicate name')],
+    onSubmit: onSave
+  });
+
+  useEffect(() => {
+    // Warn before leaving the page with unsaved rows
+    if (!form.isDirty || typeof window === 'undefined') return undefined;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [form.isDirty]);
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        form.submit();
+      }}
+    >
+      <ul>
+        {form.rows.map(row => {
+          const error = form.visibleError(row.key, 'text');
+          return (
+            <li key={row.key}>
+              <input
+                aria-label="Name"
+                aria-invalid={Boolean(error)}
+                value={row.values.text}
+                onChange={(e) => form.setValue(row.key, 'text', e.target.value)}
+              />
+              {form.isRowDirty(row) && <span title="Unsaved changes"> *</span>}
+              {form.isValidating(row.key, 'text') && <span> checking…</span>}
+              <button type="button" onClick={() => form.removeRow(row.key)}>Remove</button>
+              {error && <div role="alert">{error}</div>}
+            </li>
+          );
+        })}
+      </ul>
+      <button type="button" onClick={() => form.addRow()}>Add row</button>
+      <button type="button" onClick={form.reset} disabled={!form.isDirty || form.submitting}>
+        Reset to saved
+      </button>
+      <button type="submit" disabled={!form.isDirty || form.submitting}>
+        {form.submitting ? 'Saving…' : 'Save changes'}
+      </button>
+      {form.submitError && <div role="alert">Save failed: {form.submitError.message}</div>}
+    </form>
+  );
+};
+
+export { useListForm, ListEditor, required, maxLength, uniqueField };
@@ -0,0 +1,256 @@
+// =============================================
+// List State with Undo/Redo and Persistence
+// =============================================
+
+// DynamicList in keyslists.js keeps items in plain useState: every change is
+// final, nothing survives a reload, and `Math.max(...ids) + 1` is -Infinity on
+// an empty list. useListHistory keeps the same add / remove / update API but
+// - records every change so it can be undone and redone,
+// - can group several changes into one undo step,
+// - hands out ids from a counter that only ever goes up, so ids are never
+//   reused after deletions, undo, or starting from an empty list,
+// - saves to localStorage (or any storage adapter) with a schema version and
+//   migrations for older saved data.
+
+import { useCallback, useEffect, useReducer, useRef } from 'react';
+
+// =============================================
+// 1. Storage Adapters
+// =============================================
+
+// An adapter is anything with load() -> string | null and save(string)
+const createLocalStorageAdapter = (key) => ({
+  load: () => window.localStorage.getItem(key),
+  save: (value) => window.localStorage.setItem(key, value),
+  clear: () => window.localStorage.removeItem(key)
+});
+
+const createMemoryStorageAdapter = (initialValue = null) => {
+  let value = initialValue;
+  return {
+    load: () => value,
+    save: (next) => {
+      value = next;
+    },
+    clear: () => {
+      value = null;
+    }
+  };
+};
+
+// Saved format: { version, data: { items, nextId } }
+// migrations[n] turns version n data into version n + 1 data, e.g.
+// { 1: data => ({ ...data, items: data.items.map(item => ({ ...item, done: false })) }) }
+const serializeList = ({ items, nextId }, version) => JSON.stringify({ version, data: { items, nextId } });
+
+const deserializeList = (raw, version, migrations = {}) => {
+  const saved = JSON.parse(raw);
+  if (!saved || typeof saved.version !== 'number' || !saved.data) {
+    throw new Error('Saved list has no schema version');
+  }
+  if (saved.version > version) {
+    throw new Error(`Saved list is version ${saved.version}, newer than supported version ${version}`);
+  }
+
+  let data = saved.data;
+  for (let from = saved.version; from < version; from++) {
+    if (!migrations[from]) throw new Error(`No migration from list version ${from} to ${from + 1}`);
+    data = migrations[from](data);
+  }
+  return data;
+};
+
+// =============================================
+// 2. Reducer
+// =============================================
+
+// First id after the numeric ids already present, 1 for an empty list
+const nextIdAfter = (items) => items.reduce(
+  (next, item) => (typeof item.id === 'number' && item.id >= next ? item.id + 1 : next),
+  1
+);
+
+const createInitialState = ({ items, nextId }) => ({
+  items,
+  nextId: Math.max(nextId || 1, nextIdAfter(items)),
+  past: [],
+  future: [],
+  groupDepth: 0,
+  groupRecorded: false
+});
+
+// One list operation: returns { items, nextId }.
+// `add` accepts text or a function of the new id, e.g. id => `Item ${id}`.
+const applyOperation = ({ items, nextId }, operation) => {
+  switch (operation.type) {
+    case 'add': {
+      const text = typeof operation.text === 'function' ? operation.text(nextId) : operation.text;
+      return { items: [...items, { id: nextId, text }], nextId: nextId + 1 };
+    }
+    case 'remove':
+      return { items: items.filter(item => item.id !== operation.id), nextId };
+    case 'update':
+      return {
+        items: items.map(item => (item.id === operation.id ? { ...item, text: operation.text } : item)),
+        nextId
+      };
+    case 'replace':
+      return { items: operation.items, nextId: Math.max(nextId, nextIdAfter(operation.items)) };
+    default:
+      throw new Error(`Unknown list operation: ${operation.type}`);
+  }
+};
+
+const listHistoryReducer = (state, action) => {
+  switch (action.type) {
+    case 'apply': {
+      let next = { items: state.items, nextId: state.nextId };
+      action.operations.forEach(operation => {
+        next = applyOperation(next, operation);
+      });
+      if (next.items === state.items) return { ...state, nextId: next.nextId };
+
+      // Inside a group only the first change records an undo step
+      const recordStep = state.groupDepth === 0 || !state.groupRecorded;
+      const past = recordStep ? [...state.past, state.items].slice(-action.maxHistory) : state.past;
+      return {
+        ...state,
+        ...next,
+        past,
+        future: [],
+        groupRecorded: state.groupDepth > 0 ? true : state.groupRecorded
+      };
+    }
+    case 'beginGroup':
+      return {
+        ...state,
+        groupDepth: state.groupDepth + 1,
+        groupRecorded: state.groupDepth === 0 ? false : state.groupRecorded
+      };
+    case 'endGroup':
+      return { ...state, groupDepth: Math.max(0, state.groupDepth - 1) };
+    // The id counter is deliberately not rewound by undo/redo
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        ...state,
+        items: state.past[state.past.length - 1],
+        past: state.past.slice(0, -1),
+        future: [state.items, ...state.future],
+        groupDepth: 0
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        ...state,
+        items: state.future[0],
+        past: [...state.past, state.items],
+        future: state.future.slice(1),
+        groupDepth: 0
+      };
+    }
+    case 'clearHistory':
+      return { ...state, past: [], future: [] };
+    default:
+      return state;
+  }
+};
+
+// =============================================
+// 3. Hook
+// =============================================
+
+// useListHistory(initialItems, {
+//   storage,          // adapter, e.g. createLocalStorageAdapter('dynamic-list')
+//   version: 1,       // current schema version
+//   migrations: {},   // see deserializeList
+//   maxHistory: 100,  // undo steps kept
+//   onStorageError    // called when saved data cannot be loaded or saved
+// })
+const useListHistory = (initialItems = [], options = {}) => {
+  const {
+    storage,
+    version = 1,
+    migrations,
+    maxHistory = 100,
+    onStorageError = error => console.warn('[listHistory]', error)
+  } = options;
+
+  const [state, dispatch] = useReducer(listHistoryReducer, null, () => {
+    if (storage) {
+      try {
+        const raw = storage.load();
+        if (raw) return createInitialState(deserializeList(raw, version, migrations));
+      } catch (error) {
+        onStorageError(error);
+      }
+    }
+    return createInitialState({ items: initialItems });
+  });
+
+  // Save only when the list itself changes
+  const lastSaved = useRef(null);
+  useEffect(() => {
+    if (!storage || lastSaved.current === state.items) return;
+    lastSaved.current = state.items;
+    try {
+      storage.save(serializeList(state, version));
+    } catch (error) {
+      onStorageError(error);
+    }
+  }, [state, storage, version]);
+
+  const apply = useCallback(
+    (...operations) => dispatch({ type: 'apply', operations, maxHistory }),
+    [maxHistory]
+  );
+
+  // Everything done inside fn is one undo step
+  const batch = useCallback((fn) => {
+    dispatch({ type: 'beginGroup' });
+    try {
+      fn();
+    } finally {
+      dispatch({ type: 'endGroup' });
+    }
+  }, []);
+
+  const addItem = useCallback(text => apply({ type: 'add', text }), [apply]);
+  const removeItem = useCallback(id => apply({ type: 'remove', id }), [apply]);
+  const updateItem = useCallback((id, text) => apply({ type: 'update', id, text }), [apply]);
+  const replaceItems = useCallback(items => apply({ type: 'replace', items }), [apply]);
+  // For edits spread over time (e.g. typing), bracket them with begin/end
+  const beginGroup = useCallback(() => dispatch({ type: 'beginGroup' }), []);
+  const endGroup = useCallback(() => dispatch({ type: 'endGroup' }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const clearHistory = useCallback(() => dispatch({ type: 'clearHistory' }), []);
+
+  return {
+    items: state.items,
+    addItem,
+    removeItem,
+    updateItem,
+    replaceItems,
+    apply,
+    batch,
+    beginGroup,
+    endGroup,
+    undo,
+    redo,
+    clearHistory,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    nextId: state.nextId
+  };
+};
+
+export {
+  useListHistory,
+  listHistoryReducer,
+  createLocalStorageAdapter,
+  createMemoryStorageAdapter,
+  serializeList,
+  deserializeList
+};
@@ -0,0 +1,240 @@
+// =============================================
+// Composable List Query: sort, filter, search, paginate
+// =============================================
+
+// SortableList in keyslists.js sorts by overwriting its items state and has one
+// hard-coded filter. Here the stored items are never touched: the query
+// (sort keys, filters, search text, page) lives in its own state and the
+// visible rows are derived from items + query on every render.
+// The whole query round-trips through a URL query string so a view can be shared.
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+// Query shape:
+// {
+//   sort: [{ field: 'text', direction: 'asc' }, ...],  // first entry wins, ties fall through
+//   filters: { category: 'fruit' },                    // value or array of allowed values
+//   search: '',
+//   page: 1,
+//   pageSize: 20
+// }
+const emptyQuery = (pageSize = 20) => ({ sort: [], filters: {}, search: '', page: 1, pageSize });
+
+// =============================================
+// 1. Pure Functions
+// =============================================
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1; // empty values last
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// A filter is either a function (item, value) => boolean from config.filters,
+// or plain equality on the field with the same name.
+const matchesFilter = (item, name, value, filterFns) => {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return true;
+  if (filterFns[name]) return filterFns[name](item, value);
+  return Array.isArray(value) ? value.includes(item[name]) : item[name] === value;
+};
+
+const matchesSearch = (item, search, searchFields) => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  const fields = searchFields || Object.keys(item);
+  return fields.some(field => String(item[field] ?? '').toLowerCase().includes(needle));
+};
+
+// items + query -> { items (current page), filteredItems, total, pageCount }
+const applyListQuery = (items, query, { filters: filterFns = {}, searchFields } = {}) => {
+  const filtered = items.filter(item =>
+    Object.entries(query.filters).every(([name, value]) => matchesFilter(item, name, value, filterFns)) &&
+    matchesSearch(item, query.search, searchFields)
+  );
+
+  // Decorate with the original index so equal rows keep their order (stable sort)
+  const sorted = query.sort.length === 0 ? filtered : filtered
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      for (const { field, direction } of query.sort) {
+        const result = compareValues(a.item[field], b.item[field]);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ item }) => item);
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / query.pageSize));
+  const page = Math.min(Math.max(1, query.page), pageCount);
+  const start = (page - 1) * query.pageSize;
+
+  return {
+    items: sorted.slice(start, start + query.pageSize),
+    filteredItems: sorted,
+    total: sorted.length,
+    page,
+    pageCount
+  };
+};
+
+// sort=text:asc,category:desc&filter.category=fruit&q=ap&page=2&pageSize=10
+const queryToSearchParams = (query) => {
+  const params = new URLSearchParams();
+  if (query.sort.length) {
+    params.set('sort', query.sort.map(({ field, direction }) => `${field}:${direction}`).join(','));
+  }
+  Object.entries(query.filters).forEach(([name, value]) => {
+    [].concat(value).forEach(v => {
+      if (v !== undefined && v !== null && v !== '') params.append(`filter.${name}`, v);
+    });
+  });
+  if (query.search) params.set('q', query.search);
+  if (query.page !== 1) params.set('page', String(query.page));
+  params.set('pageSize', String(query.pageSize));
+  return params.toString();
+};
+
+// URL values are always strings. A filter on a number or boolean field is
+// turned back into that type, so filter.inStock=true matches inStock: true;
+// everything else stays a string, so an SKU "42" still matches "42".
+// fieldTypes: { field: 'number' | 'boolean' | 'string' }, see inferFieldTypes.
+const parseFilterValue = (value, type) => {
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return value;
+};
+
+// The type of each field, from the first item that has a value for it
+const inferFieldTypes = (items) => {
+  const types = {};
+  items.forEach(item => {
+    Object.entries(item).forEach(([field, value]) => {
+      if (!(field in types) && value !== null && value !== undefined) types[field] = typeof value;
+    });
+  });
+  return types;
+};
+
+const queryFromSearchParams = (search, defaults = emptyQuery(), fieldTypes = {}) => {
+  const params = new URLSearchParams(search);
+  const query = { ...defaults, filters: {} };
+
+  const sort = params.get('sort');
+  if (sort) {
+    query.sort = sort.split(',').filter(Boolean).map(part => {
+      const [field, direction] = part.split(':');
+      return { field, direction: direction === 'desc' ? 'desc' : 'asc' };
+    });
+  }
+
+  params.forEach((value, name) => {
+    if (!name.startsWith('filter.')) return;
+    const field = name.slice('filter.'.length);
+    const existing = query.filters[field];
+    const parsed = parseFilterValue(value, fieldTypes[field]);
+    query.filters[field] = existing === undefined ? parsed : [].concat(existing, parsed);
+  });
+
+  query.search = params.get('q') || '';
+  query.page = Number(params.get('page')) || 1;
+  query.pageSize = Number(params.get('pageSize')) || defaults.pageSize;
+  return query;
+};
+
+// =============================================
+// 2. Hook
+// =============================================
+
+// useListQuery(items, {
+//   filters: { inStock: (item, value) => ... },  // custom filters, others match by field
+//   searchFields: ['text'],                       // filters and searchFields must be stable
+//                                                 // (module scope or useMemo), or the view
+//                                                 // is recomputed on every render
+//   pageSize: 20,
+//   initialQuery,                                 // partial query
+//   syncWithUrl: false,                           // read/write window.location.search
+//   filterTypes: { inStock: 'boolean' }           // how URL filter values are parsed; defaults
+//                                                 // to the field types of the items
+// })
+const useListQuery = (items, config = {}) => {
+  const { pageSize = 20, initialQuery, syncWithUrl = false, filters, searchFields, filterTypes } = config;
+
+  const [query, setQuery] = useState(() => {
+    const defaults = { ...emptyQuery(pageSize), ...initialQuery };
+    if (syncWithUrl && typeof window !== 'undefined' && window.location.search) {
+      return queryFromSearchParams(window.location.search, defaults, { ...inferFieldTypes(items), ...filterTypes });
+    }
+    return defaults;
+  });
+
+  useEffect(() => {
+    if (!syncWithUrl || typeof window === 'undefined') return;
+    const search = queryToSearchParams(query);
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}?${search}${window.location.hash}`);
+  }, [query, syncWithUrl]);
+
+  const view = useMemo(
+    () => applyListQuery(items, query, { filters, searchFields }),
+    [items, query, filters, searchFields]
+  );
+
+  // Any change to what is shown goes back to page 1
+  const update = useCallback((changes) => {
+    setQuery(current => ({ ...current, page: 1, ...changes(current) }));
+  }, []);
+
+  // Click: sort by field only, cycling asc -> desc -> off.
+  // With { multi: true } (e.g. shift+click) the field is added to / cycled within the existing keys.
+  const toggleSort = useCallback((field, { multi = false } = {}) => {
+    update(({ sort }) => {
+      const existing = sort.find(key => key.field === field);
+      const next = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+      const others = multi ? sort.filter(key => key.field !== field) : [];
+      if (!next) return { sort: others };
+      return {
+        sort: multi && existing
+          ? sort.map(key => (key.field === field ? { field, direction: next } : key))
+          : [...others, { field, direction: next }]
+      };
+    });
+  }, [update]);
+
+  const setSort = useCallback(sort => update(() => ({ sort })), [update]);
+  const setFilter = useCallback(
+    (name, value) => update(({ filters }) => ({ filters: { ...filters, [name]: value } })),
+    [update]
+  );
+  const clearFilter = useCallback(name => update(({ filters }) => {
+    const { [name]: removed, ...rest } = filters;
+    return { filters: rest };
+  }), [update]);
+  const setSearch = useCallback(search => update(() => ({ search })), [update]);
+  const setPageSize = useCallback(size => update(() => ({ pageSize: size })), [update]);
+  const setPage = useCallback(page => setQuery(current => ({ ...current, page })), []);
+  const reset = useCallback(() => setQuery({ ...emptyQuery(pageSize), ...initialQuery }), [pageSize, initialQuery]);
+
+  return {
+    ...view,
+    query,
+    toggleSort,
+    setSort,
+    setFilter,
+    clearFilter,
+    setSearch,
+    setPage,
+    setPageSize,
+    reset,
+    toSearchParams: () => queryToSearchParams(query)
+  };
+};
+
+export {
+  useListQuery,
+  applyListQuery,
+  queryToSearchParams,
+  queryFromSearchParams,
+  inferFieldTypes,
+  emptyQuery
+};
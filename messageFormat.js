@@ -0,0 +1,202 @@
+// ICU MessageFormat subset used by i18n.js, without React so that node tools
+// (i18nExtract.js) and the server can use it too.
+//
+//   "Hello {name}"
+//   "{count, plural, =0 {no messages} one {# message} other {# messages}}"
+//   "{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}"
+//   "{role, select, admin {Admin} other {User}}"
+//   "{total, number}", "{ratio, number, percent}", "{when, date}", "{when, time, short}"
+//
+// Quote literal braces with apostrophes: "'{'not an argument'}'"; "''" is one apostrophe.
+
+// 1. Parsing
+// A message becomes a list of parts:
+//   "text" | { type: "argument", name, format } | { type: "pound" }
+//   | { type: "plural", name, offset, options } | { type: "select", name, options }
+function parseMessage(message) {
+  let pos = 0;
+
+  function error(text) {
+    return new Error(`${text} at position ${pos} in message "${message}"`);
+  }
+
+  function skipSpace() {
+    while (pos < message.length && /\s/.test(message[pos])) pos++;
+  }
+
+  function readWord() {
+    skipSpace();
+    const start = pos;
+    while (pos < message.length && /[^\s{},]/.test(message[pos])) pos++;
+    if (start === pos) throw error("Expected a name");
+    return message.slice(start, pos);
+  }
+
+  function expect(char) {
+    skipSpace();
+    if (message[pos] !== char) throw error(`Expected "${char}"`);
+    pos++;
+  }
+
+  // Text and arguments until an unmatched "}" (or the end)
+  function parseParts(inPlural) {
+    const parts = [];
+    let text = "";
+    const flush = () => {
+      if (text) parts.push(text);
+      text = "";
+    };
+
+    while (pos < message.length) {
+      const char = message[pos];
+      if (char === "'") {
+        const next = message[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+          const end = message.indexOf("'", pos + 1);
+          text += message.slice(pos + 1, end === -1 ? message.length : end);
+          pos = end === -1 ? message.length : end + 1;
+        } else {
+          text += char;
+          pos++;
+        }
+      } else if (char === "{") {
+        flush();
+        pos++;
+        parts.push(parseArgument(inPlural));
+      } else if (char === "}") {
+        break;
+      } else if (char === "#" && inPlural) {
+        flush();
+        parts.push({ type: "pound" });
+        pos++;
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+    flush();
+    return parts;
+  }
+
+  function parseOptions(inPlural) {
+    const options = {};
+    skipSpace();
+    while (pos < message.length && message[pos] !== "}") {
+      const key = readWord();
+      expect("{");
+      options[key] = parseParts(inPlural);
+      expect("}");
+      skipSpace();
+    }
+    if (!options.other) throw error('Missing "other" option');
+    return options;
+  }
+
+  // "#" stays the plural's number inside a select nested in it
+  function parseArgument(inPlural) {
+    const name = readWord();
+    skipSpace();
+    if (message[pos] === "}") {
+      pos++;
+      return { type: "argument", name };
+    }
+    expect(",");
+    const type = readWord();
+    skipSpace();
+
+    if (type === "plural" || type === "selectordinal") {
+      expect(",");
+      skipSpace();
+      let offset = 0;
+      const offsetMatch = /^offset:\s*(\d+)/.exec(message.slice(pos));
+      if (offsetMatch) {
+        offset = Number(offsetMatch[1]);
+        pos += offsetMatch[0].length;
+      }
+      const options = parseOptions(true);
+      expect("}");
+      return { type: "plural", ordinal: type === "selectordinal", name, offset, options };
+    }
+    if (type === "select") {
+      expect(",");
+      const options = parseOptions(inPlural);
+      expect("}");
+      return { type: "select", name, options };
+    }
+    if (type === "number" || type === "date" || type === "time") {
+      skipSpace();
+      let style;
+      if (message[pos] === ",") {
+        pos++;
+        style = readWord();
+      }
+      expect("}");
+      return { type: "argument", name, format: type, style };
+    }
+    throw error(`Unknown argument type "${type}"`);
+  }
+
+  const parts = parseParts(false);
+  if (pos < message.length) throw error('Unexpected "}"');
+  return parts;
+}
+
+// 2. Formatting
+const parsedMessages = new Map();
+
+function parseCached(message) {
+  if (!parsedMessages.has(message)) parsedMessages.set(message, parseMessage(message));
+  return parsedMessages.get(message);
+}
+
+function formatArgument(part, value, locale) {
+  if (value === undefined || value === null) return `{${part.name}}`;
+  if (part.format === "number") {
+    const options = part.style === "percent" ? { style: "percent" } : part.style === "integer" ? { maximumFractionDigits: 0 } : {};
+    return new Intl.NumberFormat(locale, options).format(value);
+  }
+  if (part.format === "date") return new Intl.DateTimeFormat(locale, { dateStyle: part.style || "medium" }).format(value);
+  if (part.format === "time") return new Intl.DateTimeFormat(locale, { timeStyle: part.style || "short" }).format(value);
+  return String(value);
+}
+
+function formatParts(parts, values, locale, pluralValue) {
+  return parts.map(part => {
+    if (typeof part === "string") return part;
+    if (part.type === "pound") return new Intl.NumberFormat(locale).format(pluralValue);
+    if (part.type === "argument") return formatArgument(part, values[part.name], locale);
+
+    const value = values[part.name];
+    if (part.type === "select") {
+      const options = part.options[String(value)] || part.options.other;
+      return formatParts(options, values, locale, pluralValue);
+    }
+
+    // plural: exact "=n" first, then the locale's category (one, few, many...)
+    const number = Number(value);
+    const exact = part.options[`=${number}`];
+    if (exact) return formatParts(exact, values, locale, number - part.offset);
+    const category = new Intl.PluralRules(locale, { type: part.ordinal ? "ordinal" : "cardinal" }).select(number - part.offset);
+    return formatParts(part.options[category] || part.options.other, values, locale, number - part.offset);
+  }).join("");
+}
+
+function formatMessage(message, values = {}, locale = "en") {
+  return formatParts(parseCached(message), values, locale);
+}
+
+// 3. Locales
+
+// "de-AT" -> ["de-AT", "de", "en"]
+function fallbackChain(locale, fallbackLocale = "en") {
+  const chain = [];
+  const subtags = locale.split("-");
+  for (let i = subtags.length; i > 0; i--) chain.push(subtags.slice(0, i).join("-"));
+  if (!chain.includes(fallbackLocale)) chain.push(fallbackLocale);
+  return chain;
+}
+
+module.exports = { parseMessage, formatMessage, fallbackChain };
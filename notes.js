@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Reads the notes objects from the command line instead of opening the files (see notesIndex.js)
+//
+// Usage: notes <command> [--sources a.js,b.js] [--markdown | --json]
+//        (the package's bin: npx notes show ssr.cons, or node notes.js show ssr.cons)
+//
+//   list                    topics and their sections
+//   show <topic[.section]>  e.g. show ssr, show ssr.cons, show comparison.seo
+//   search <words>          sections mentioning every word, e.g. search hydration
+//   compare <a> <b>         a and b side by side, e.g. compare csr ssr
+//   check                   only validate the notes
+//
+// Every command validates the notes first: problems are printed to stderr and
+// the exit code is 1. Unknown topics or sections, or a search without results,
+// exit with code 1 too.
+
+const path = require("path");
+const { loadNotes, findNotes, searchNotes, compareNotes, defaultSources } = require("./notesIndex");
+
+const USAGE = "Usage: notes <list | show <topic[.section]> | search <words> | compare <a> <b> | check> [--sources a.js,b.js] [--markdown | --json]";
+
+// =============================================
+// Output formats
+// =============================================
+
+const where = section => `${section.source}:${section.line}`;
+
+const formats = {
+  text: {
+    list: topics => topics.map(topic => `${topic.topic.padEnd(24)} ${topic.sections.length} section(s)  ${topic.title || ""}`.trimEnd()).join("\n"),
+    sections: sections => sections.map(section => [
+      `${section.id}  (${where(section)})`,
+      ...section.entries.map(entry => (entry.label ? `  ${entry.label}: ${entry.text}` : `  - ${entry.text}`))
+    ].join("\n")).join("\n\n"),
+    compare: (rows, a, b) => rows.map(row => [
+      row.id,
+      ...[a, b].flatMap(name => [
+        `  ${name}:`,
+        ...(row[name].length > 0 ? row[name].map(entry => `    - ${entry.text}`) : ["    (nothing)"])
+      ])
+    ].join("\n")).join("\n\n")
+  },
+
+  markdown: {
+    list: topics => [
+      "| Topic | Sections | Source |",
+      "|---|---|---|",
+      ...topics.map(topic => `| ${topic.topic} | ${topic.sections.map(id => id.split(".")[1]).join(", ")} | ${topic.source}:${topic.line} |`)
+    ].join("\n"),
+    sections: sections => sections.map(section => [
+      `## ${section.id}`,
+      "",
+      ...section.entries.map(entry => (entry.label ? `- **${entry.label}**: ${entry.text}` : `- ${entry.text}`)),
+      "",
+      `_${where(section)}_`
+    ].join("\n")).join("\n\n"),
+    compare: (rows, a, b) => {
+      const cell = entries => entries.map(entry => entry.text.replace(/\|/g, "\\|")).join("<br>") || "—";
+      return [
+        `| | ${a} | ${b} |`,
+        "|---|---|---|",
+        ...rows.map(row => `| ${row.id} | ${cell(row[a])} | ${cell(row[b])} |`)
+      ].join("\n");
+    }
+  },
+
+  json: {
+    list: topics => JSON.stringify(topics, null, 2),
+    sections: sections => JSON.stringify(sections, null, 2),
+    compare: rows => JSON.stringify(rows, null, 2)
+  }
+};
+
+// =============================================
+// Commands
+// =============================================
+
+function run(index, command, operands, format) {
+  switch (command) {
+    case "list":
+      return { output: format.list(index.topics) };
+    case "show": {
+      if (operands.length !== 1) return { usage: true };
+      const sections = findNotes(index, operands[0]);
+      if (!sections) return { notFound: `No notes for "${operands[0]}". Try: notes list` };
+      return { output: format.sections(sections) };
+    }
+    case "search": {
+      if (operands.length === 0) return { usage: true };
+      const sections = searchNotes(index, operands.join(" "));
+      if (sections.length === 0) return { notFound: `Nothing mentions "${operands.join(" ")}"` };
+      return { output: format.sections(sections) };
+    }
+    case "compare": {
+      if (operands.length !== 2) return { usage: true };
+      const [a, b] = operands;
+      const rows = compareNotes(index, a, b);
+      if (rows.length === 0) return { notFound: `Nothing compares "${a}" and "${b}"` };
+      return { output: format.compare(rows, a, b) };
+    }
+    case "check":
+      return { output: index.errors.length === 0 ? `${index.topics.length} topic(s), ${index.sections.length} section(s), no problems` : null };
+    default:
+      return { usage: true };
+  }
+}
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function main(args) {
+  const sourcesOption = readOption(args, "--sources", null);
+  const sources = sourcesOption ? sourcesOption.split(",").map(file => path.resolve(file)) : defaultSources;
+  const format = args.includes("--json") ? formats.json : args.includes("--markdown") ? formats.markdown : formats.text;
+  const [command, ...operands] = args.filter((arg, i) => !arg.startsWith("--") && args[i - 1] !== "--sources");
+
+  const index = loadNotes(sources);
+  index.errors.forEach(({ source, line, message }) => console.error(`${source}:${line}  ${message}`));
+
+  const result = run(index, command, operands, format);
+  if (result.usage) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (result.notFound) {
+    console.error(result.notFound);
+    return 1;
+  }
+  if (result.output) console.log(result.output);
+  return index.errors.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, formats };
@@ -0,0 +1,235 @@
+// Loads the note objects exported by the notes files into one index (see notes.js)
+//
+// ssrCSR.js and condtional-rendering.js export plain objects next to their
+// components (csr, ssr, comparison, recommendations...). condtional-rendering.js
+// contains JSX, so the files are parsed (keyLint.js's parser), not required:
+// every exported object literal is a topic, each of its keys a section.
+//
+//   const { topics, sections, errors } = loadNotes(["ssrCSR.js"]);
+//   sections[0] -> { id: "csr.definition", topic: "csr", section: "definition",
+//                    entries: [{ label: null, text: "Rendering happens..." }],
+//                    source: "ssrCSR.js", line: 5 }
+//
+// Section values become entries like this:
+//   "text"               -> [{ label: null, text }]
+//   ["a", "b"]           -> one entry per item, label null
+//   { csr: "a", ssr: "b" } -> [{ label: "csr", text: "a" }, { label: "ssr", text: "b" }]
+// Anything else (numbers, functions, deeper nesting) is reported in `errors`,
+// as are empty sections and labeled sections whose labels differ from the
+// other sections of the same topic (comparison rows all have csr and ssr).
+
+const fs = require("fs");
+const path = require("path");
+const { parseSource } = require("./keyLint");
+
+const defaultSources = ["ssrCSR.js", "condtional-rendering.js"].map(file => path.join(__dirname, file));
+
+// =============================================
+// Finding the exported object literals
+// =============================================
+
+const keyName = key => (key.type === "Identifier" ? key.name : key.type === "StringLiteral" ? key.value : null);
+
+const isModuleExports = node => node.type === "MemberExpression" &&
+  node.object.type === "Identifier" && node.object.name === "module" &&
+  keyName(node.property) === "exports";
+
+// The comment right above a declaration, e.g. "// Comparison of CSR and SSR"
+function titleOf(node) {
+  const comments = node.leadingComments || [];
+  const last = comments[comments.length - 1];
+  return last ? last.value.trim() : null;
+}
+
+// -> [{ name, node, title }] for every exported top-level object literal,
+// `name` being the exported name (module.exports = { ssr: ssrNotes } -> "ssr")
+function exportedObjects(ast) {
+  const bindings = {};
+  const exported = [];
+
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type === "ExportNamedDeclaration" ? statement.declaration : statement;
+    if (declaration && declaration.type === "VariableDeclaration") {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type !== "Identifier" || !declarator.init) return;
+        bindings[declarator.id.name] = { node: declarator.init, title: titleOf(statement) };
+        if (statement.type === "ExportNamedDeclaration") exported.push({ name: declarator.id.name, local: declarator.id.name });
+      });
+    }
+    if (statement.type === "ExportNamedDeclaration" && !statement.declaration) {
+      statement.specifiers.forEach(specifier => exported.push({ name: keyName(specifier.exported), local: specifier.local.name }));
+    }
+    const expression = statement.type === "ExpressionStatement" ? statement.expression : null;
+    if (expression && expression.type === "AssignmentExpression" && isModuleExports(expression.left) &&
+      expression.right.type === "ObjectExpression") {
+      expression.right.properties.forEach(property => {
+        if (property.type === "ObjectProperty" && property.value.type === "Identifier") {
+          exported.push({ name: keyName(property.key), local: property.value.name });
+        }
+      });
+    }
+  });
+
+  return exported
+    .filter(({ name, local }, i) => name && exported.findIndex(other => other.name === name) === i &&
+      bindings[local] && bindings[local].node.type === "ObjectExpression")
+    .map(({ name, local }) => ({ name, ...bindings[local] }));
+}
+
+// =============================================
+// Building the index
+// =============================================
+
+function stringValue(node) {
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// -> { entries, labeled } or { error }
+function entriesOf(node) {
+  const text = stringValue(node);
+  if (text !== null) return { entries: [{ label: null, text }], labeled: false };
+
+  if (node.type === "ArrayExpression") {
+    const texts = node.elements.map(element => (element ? stringValue(element) : null));
+    if (texts.includes(null)) return { error: "list items must be strings" };
+    return { entries: texts.map(item => ({ label: null, text: item })), labeled: false };
+  }
+
+  if (node.type === "ObjectExpression") {
+    const entries = [];
+    for (const property of node.properties) {
+      const label = property.type === "ObjectProperty" ? keyName(property.key) : null;
+      const value = label === null ? null : stringValue(property.value);
+      if (value === null) return { error: "labeled entries must be plain keys with string values" };
+      entries.push({ label, text: value });
+    }
+    return { entries, labeled: true };
+  }
+
+  return { error: `unsupported value (${node.type}); use a string, a list of strings or an object of strings` };
+}
+
+function indexFile(file, rootDir) {
+  const source = path.relative(rootDir, file) || path.basename(file);
+  const ast = parseSource(fs.readFileSync(file, "utf8"), file);
+  const topics = [];
+  const sections = [];
+  const errors = [];
+  const error = (node, message) => errors.push({ source, line: node.loc.start.line, message });
+
+  exportedObjects(ast).forEach(({ name, node, title }) => {
+    const topicSections = [];
+    let labels = null;
+
+    node.properties.forEach(property => {
+      const section = property.type === "ObjectProperty" && !property.computed ? keyName(property.key) : null;
+      if (section === null) {
+        error(property, `${name}: only plain keys are supported`);
+        return;
+      }
+      const id = `${name}.${section}`;
+      const result = entriesOf(property.value);
+      if (result.error) {
+        error(property, `${id}: ${result.error}`);
+        return;
+      }
+      if (result.entries.length === 0) error(property, `${id}: section is empty`);
+      result.entries.filter(entry => entry.text.trim() === "").forEach(() => error(property, `${id}: empty entry`));
+
+      if (result.labeled) {
+        const sectionLabels = result.entries.map(entry => entry.label).join(", ");
+        if (labels === null) labels = sectionLabels;
+        else if (labels !== sectionLabels) error(property, `${id}: labels ${sectionLabels} differ from the other sections (${labels})`);
+      }
+      topicSections.push({ id, topic: name, section, entries: result.entries, source, line: property.loc.start.line });
+    });
+
+    if (node.properties.length === 0) error(node, `${name}: topic has no sections`);
+    topics.push({ topic: name, title, source, line: node.loc.start.line, sections: topicSections.map(section => section.id) });
+    sections.push(...topicSections);
+  });
+
+  return { topics, sections, errors };
+}
+
+// -> { topics, sections, errors }; topic names must be unique across files
+function loadNotes(files = defaultSources, { rootDir = __dirname } = {}) {
+  const index = { topics: [], sections: [], errors: [] };
+  files.forEach(file => {
+    const result = indexFile(path.resolve(file), rootDir);
+    result.topics.forEach(topic => {
+      const existing = index.topics.find(other => other.topic === topic.topic);
+      if (existing) {
+        index.errors.push({ source: topic.source, line: topic.line, message: `${topic.topic}: already defined in ${existing.source}:${existing.line}` });
+      }
+    });
+    index.topics.push(...result.topics);
+    index.sections.push(...result.sections);
+    index.errors.push(...result.errors);
+  });
+  return index;
+}
+
+// =============================================
+// Queries
+// =============================================
+
+// "ssr" -> the topic's sections, "ssr.cons" -> that section; null when unknown
+function findNotes(index, query) {
+  const [topic, section] = query.split(".");
+  const found = index.sections.filter(entry => entry.topic === topic && (section === undefined || entry.section === section));
+  return found.length > 0 ? found : null;
+}
+
+// Every word must appear in the section (topic, name, label or text, any case).
+// A section whose id matches is returned whole, otherwise only matching entries.
+function searchNotes(index, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = text => words.every(word => text.toLowerCase().includes(word));
+
+  return index.sections
+    .map(section => {
+      if (matches(section.id)) return section;
+      const entries = section.entries.filter(entry => matches(`${section.id} ${entry.label || ""} ${entry.text}`));
+      return entries.length > 0 ? { ...section, entries } : null;
+    })
+    .filter(Boolean);
+}
+
+// Side by side: -> [{ id, [a]: entries, [b]: entries }]
+// - sections with the same name in topics a and b (csr.pros / ssr.pros)
+// - topics with a section per name (initialLoadDifference.csr / .ssr)
+// - labeled sections with both labels (comparison.seo: { csr, ssr })
+function compareNotes(index, a, b) {
+  const rows = [];
+  const sectionsOf = topic => index.sections.filter(section => section.topic === topic);
+
+  const left = sectionsOf(a);
+  const right = sectionsOf(b);
+  [...new Set([...left, ...right].map(section => section.section))].forEach(name => {
+    const find = list => (list.find(section => section.section === name) || { entries: [] }).entries;
+    rows.push({ id: name, [a]: find(left), [b]: find(right) });
+  });
+
+  index.topics.forEach(({ topic }) => {
+    const sections = sectionsOf(topic);
+    const first = sections.find(section => section.section === a);
+    const second = sections.find(section => section.section === b);
+    if (first && second) rows.push({ id: topic, [a]: first.entries, [b]: second.entries });
+  });
+
+  index.sections.forEach(section => {
+    const first = section.entries.filter(entry => entry.label === a);
+    const second = section.entries.filter(entry => entry.label === b);
+    if (first.length > 0 && second.length > 0) {
+      const text = entries => entries.map(entry => ({ label: null, text: entry.text }));
+      rows.push({ id: section.id, [a]: text(first), [b]: text(second) });
+    }
+  });
+
+  return rows;
+}
+
+module.exports = { loadNotes, findNotes, searchNotes, compareNotes, exportedObjects, defaultSources };
@@ -0,0 +1,282 @@
+// Notes on a Notification Center
+
+// NotificationLogicalAnd and NotificationNull in condtional-rendering.js show
+// one fixed heading behind a boolean. A real app has many notifications, and
+// every piece of that UI is conditional rendering:
+// - the badge shows the unread count and nothing at all at zero
+//   ({count && <span>{count}</span>} would print "0"),
+// - the dropdown shows the list or an empty state,
+// - toasts pop up for new notifications, at most `maxToasts` at a time; the
+//   rest wait their turn and their auto-dismiss timer starts only once shown,
+// - the same notification again while its toast is still up doesn't stack a
+//   second toast: the first one counts the repeat and its timer starts over.
+// Anything can call notify(); components read the store through a hook.
+
+const React = require("react");
+const { Show } = require("./condtional-rendering");
+
+const { createContext, useContext, useState, useSyncExternalStore } = React;
+
+// 1. Store
+const severities = ["info", "success", "warning", "error"];
+
+// How long a toast stays up; errors stay until dismissed
+const defaultDurations = { info: 5000, success: 4000, warning: 8000, error: null };
+
+// createNotificationStore({ maxToasts: 3, durations, now: Date.now })
+function createNotificationStore({ maxToasts = 3, durations = defaultDurations, now = Date.now } = {}) {
+  const listeners = new Set();
+  const timers = new Map(); // id -> timeout for toasts on screen
+  let notifications = []; // newest first
+  let toastQueue = []; // ids, oldest first
+  let nextId = 1;
+  let snapshot = buildSnapshot();
+
+  function buildSnapshot() {
+    const byId = new Map(notifications.map(notification => [notification.id, notification]));
+    return {
+      notifications,
+      unreadCount: notifications.filter(notification => !notification.read).length,
+      toasts: toastQueue.slice(0, maxToasts).map(id => byId.get(id)),
+      queuedToasts: Math.max(0, toastQueue.length - maxToasts)
+    };
+  }
+
+  function emit() {
+    snapshot = buildSnapshot();
+    listeners.forEach(listener => listener());
+  }
+
+  // Start timers for toasts that just became visible
+  function startVisibleTimers() {
+    toastQueue.slice(0, maxToasts).forEach(id => {
+      if (timers.has(id)) return;
+      const notification = notifications.find(candidate => candidate.id === id);
+      if (notification.duration === null) return;
+      timers.set(id, setTimeout(() => dismissToast(id), notification.duration));
+    });
+  }
+
+  function dismissToast(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    if (!toastQueue.includes(id)) return;
+    toastQueue = toastQueue.filter(queued => queued !== id);
+    startVisibleTimers();
+    emit();
+  }
+
+  // A repeat of a notification whose toast is still queued or shown
+  function findRepeat(key) {
+    return notifications.find(notification => notification.key === key && toastQueue.includes(notification.id));
+  }
+
+  // notify("Saved") or notify({ title, message, severity, duration, toast: false, key })
+  // Notifications with the same key are repeats; by default the key is
+  // severity, title and message.
+  function notify(input) {
+    const options = typeof input === "string" ? { message: input } : input;
+    const severity = options.severity || "info";
+    if (!severities.includes(severity)) throw new Error(`Unknown notification severity "${severity}"`);
+    const key = options.key !== undefined ? options.key : `${severity}:${options.title || ""}:${options.message}`;
+
+    const repeat = options.toast !== false && findRepeat(key);
+    if (repeat) {
+      const repeated = { ...repeat, count: repeat.count + 1, createdAt: now(), read: false };
+      notifications = [repeated, ...notifications.filter(notification => notification.id !== repeat.id)];
+      clearTimeout(timers.get(repeat.id));
+      timers.delete(repeat.id);
+      startVisibleTimers();
+      emit();
+      return repeat.id;
+    }
+
+    const notification = {
+      id: nextId++,
+      key,
+      title: options.title || null,
+      message: options.message,
+      severity,
+      createdAt: now(),
+      read: false,
+      count: 1,
+      duration: options.duration !== undefined ? options.duration : durations[severity]
+    };
+    notifications = [notification, ...notifications];
+    if (options.toast !== false) {
+      toastQueue = [...toastQueue, notification.id];
+      startVisibleTimers();
+    }
+    emit();
+    return notification.id;
+  }
+
+  function update(ids, changes) {
+    let changed = false;
+    notifications = notifications.map(notification => {
+      if (!ids.includes(notification.id)) return notification;
+      if (Object.keys(changes).every(key => notification[key] === changes[key])) return notification;
+      changed = true;
+      return { ...notification, ...changes };
+    });
+    if (changed) emit();
+  }
+
+  function remove(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    notifications = notifications.filter(notification => notification.id !== id);
+    toastQueue = toastQueue.filter(queued => queued !== id);
+    startVisibleTimers();
+    emit();
+  }
+
+  return {
+    notify,
+    markRead: id => update([id], { read: true }),
+    markAllRead: () => update(notifications.map(notification => notification.id), { read: true }),
+    remove,
+    dismissToast,
+    clear: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      notifications = [];
+      toastQueue = [];
+      emit();
+    },
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot
+  };
+}
+
+// One store for the app, so code outside React can call notify()
+const defaultStore = createNotificationStore();
+const notify = input => defaultStore.notify(input);
+
+// 2. Hook
+// A provider is only needed to use another store (e.g. one per test)
+const NotificationContext = createContext(defaultStore);
+
+function NotificationProvider({ store, children }) {
+  return <NotificationContext.Provider value={store}>{children}</NotificationContext.Provider>;
+}
+
+function useNotifications() {
+  const store = useContext(NotificationContext);
+  const state = useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
+  return {
+    ...state,
+    notify: store.notify,
+    markRead: store.markRead,
+    markAllRead: store.markAllRead,
+    remove: store.remove,
+    dismissToast: store.dismissToast,
+    clear: store.clear
+  };
+}
+
+// 3. Components
+function formatAge(timestamp, now = Date.now()) {
+  const seconds = Math.round((now - timestamp) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+// `count > 0` is a boolean, so zero renders nothing instead of "0"
+function NotificationBadge({ count, max = 99 }) {
+  return (
+    <Show when={count > 0}>
+      <span className="badge" aria-label={`${count} unread`}>
+        {count > max ? `${max}+` : count}
+      </span>
+    </Show>
+  );
+}
+
+function NotificationItem({ notification, onRead, onRemove }) {
+  return (
+    <li className={`notification ${notification.severity}`} data-read={notification.read}>
+      <button className="notification-body" onClick={() => onRead(notification.id)}>
+        {notification.title && <strong>{notification.title} </strong>}
+        <span>{notification.message}</span>
+        <Show when={notification.count > 1}>
+          <span className="notification-count"> ×{notification.count}</span>
+        </Show>
+      </button>
+      <time dateTime={new Date(notification.createdAt).toISOString()}>{formatAge(notification.createdAt)}</time>
+      <button aria-label="Remove notification" onClick={() => onRemove(notification.id)}>×</button>
+    </li>
+  );
+}
+
+function NotificationDropdown() {
+  const { notifications, unreadCount, markRead, markAllRead, remove } = useNotifications();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="notification-center">
+      <button aria-haspopup="true" aria-expanded={open} onClick={() => setOpen(!open)}>
+        Notifications <NotificationBadge count={unreadCount} />
+      </button>
+      {open && (
+        <div role="region" aria-label="Notifications">
+          {notifications.length === 0 ? (
+            <p>No notifications</p>
+          ) : (
+            <>
+              <button onClick={markAllRead} disabled={unreadCount === 0}>Mark all as read</button>
+              <ul>
+                {notifications.map(notification => (
+                  <NotificationItem key={notification.id} notification={notification} onRead={markRead} onRemove={remove} />
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Errors interrupt screen readers (role="alert"); everything else waits (role="status")
+function Toasts() {
+  const { toasts, queuedToasts, dismissToast } = useNotifications();
+
+  return (
+    <div className="toasts">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast ${toast.severity}`} role={toast.severity === "error" ? "alert" : "status"}>
+          {toast.title && <strong>{toast.title} </strong>}
+          {toast.message}
+          <Show when={toast.count > 1}>
+            <span className="notification-count"> ×{toast.count}</span>
+          </Show>
+          <button aria-label="Dismiss" onClick={() => dismissToast(toast.id)}>×</button>
+        </div>
+      ))}
+      <Show when={queuedToasts > 0}>
+        <div className="toast-more">+{queuedToasts} more</div>
+      </Show>
+    </div>
+  );
+}
+
+// notify({ severity: "success", message: "Profile saved" });
+// <NotificationDropdown />
+// <Toasts />
+
+module.exports = {
+  createNotificationStore,
+  notify,
+  NotificationProvider,
+  useNotifications,
+  formatAge,
+  NotificationBadge,
+  NotificationDropdown,
+  Toasts
+};
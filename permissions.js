@@ -0,0 +1,142 @@
+// Notes on Permission-Based Conditional Rendering
+
+// Comparing `role === "admin"` in components spreads role names through the UI
+// and breaks as soon as a second admin-like role appears. Here components ask
+// for a permission instead, and one policy decides which roles grant it:
+// - roles map to permission sets and can inherit other roles,
+// - "users:*" grants every "users:..." permission, "*" grants everything,
+// - <Can>, usePermission and <RequirePermission> (a route guard) read the
+//   current user's roles from <PermissionsProvider>.
+// The dashboards in condtional-rendering.js (DashboardIIFE,
+// DashboardConditionalComponents, DashboardSwitch, DashboardWithPermissions)
+// are built on this, so this file must not require that one.
+
+const React = require("react");
+const { Navigate, useLocation } = require("react-router-dom");
+
+const { createContext, useContext, useMemo } = React;
+
+// 1. Policy: roles -> permissions, with inheritance resolved up front
+function definePolicy(roles) {
+  const resolved = new Map();
+
+  function resolve(role, path) {
+    if (resolved.has(role)) return resolved.get(role);
+    if (!roles[role]) throw new Error(`Unknown role "${role}"`);
+    if (path.includes(role)) throw new Error(`Role inheritance cycle: ${[...path, role].join(" -> ")}`);
+
+    const permissions = new Set(roles[role].permissions || []);
+    (roles[role].inherits || []).forEach(parent => {
+      resolve(parent, [...path, role]).forEach(permission => permissions.add(permission));
+    });
+    resolved.set(role, permissions);
+    return permissions;
+  }
+
+  Object.keys(roles).forEach(role => resolve(role, []));
+
+  return {
+    roles: [...resolved.keys()],
+    permissionsFor(userRoles) {
+      const permissions = new Set();
+      [].concat(userRoles || []).forEach(role => {
+        (resolved.get(role) || []).forEach(permission => permissions.add(permission));
+      });
+      return permissions;
+    }
+  };
+}
+
+function permissionMatches(granted, permission) {
+  if (granted === "*" || granted === permission) return true;
+  return granted.endsWith(":*") && permission.startsWith(granted.slice(0, -1));
+}
+
+function hasPermission(permissions, permission) {
+  for (const granted of permissions) {
+    if (permissionMatches(granted, permission)) return true;
+  }
+  return false;
+}
+
+const defaultPolicy = definePolicy({
+  guest: { permissions: [] },
+  user: { permissions: ["dashboard:view", "profile:edit"] },
+  editor: { inherits: ["user"], permissions: ["content:*"] },
+  admin: { inherits: ["editor"], permissions: ["admin:panel", "users:*"] }
+});
+
+// 2. Provider and hook
+const PermissionsContext = createContext({ roles: [], can: () => false });
+
+function PermissionsProvider({ policy = defaultPolicy, roles, children }) {
+  const value = useMemo(() => {
+    const permissions = policy.permissionsFor(roles);
+    return {
+      roles: [].concat(roles || []),
+      can: permission => hasPermission(permissions, permission)
+    };
+  }, [policy, [].concat(roles || []).join(",")]);
+
+  return <PermissionsContext.Provider value={value}>{children}</PermissionsContext.Provider>;
+}
+
+// usePermission("admin:panel") or usePermission(["a", "b"], { mode: "any" })
+function usePermission(permission, { mode = "all" } = {}) {
+  const { can } = useContext(PermissionsContext);
+  const required = [].concat(permission);
+  return mode === "any" ? required.some(can) : required.every(can);
+}
+
+// 3. Components
+function Can({ permission, anyOf, fallback = null, children }) {
+  const allowed = usePermission(anyOf || permission, { mode: anyOf ? "any" : "all" });
+  return allowed ? children : fallback;
+}
+
+function Forbidden() {
+  return (
+    <div role="alert">
+      <h1>403 - Forbidden</h1>
+      <p>You don't have permission to view this page.</p>
+    </div>
+  );
+}
+
+// Redirects and remembers where the user came from; needs a react-router Router
+function RedirectWithFrom({ to }) {
+  const location = useLocation();
+  return <Navigate to={to} replace state={{ from: location }} />;
+}
+
+// Route guard: <Route path="/admin" element={<RequirePermission permission="admin:panel" redirectTo="/login"><AdminPage /></RequirePermission>} />
+// Without redirectTo the forbidden screen is shown in place, and no Router is
+// needed. redirectTo uses react-router, so it must render inside a Router.
+function RequirePermission({ permission, anyOf, redirectTo, forbidden = <Forbidden />, children }) {
+  const allowed = usePermission(anyOf || permission, { mode: anyOf ? "any" : "all" });
+
+  if (allowed) return children;
+  if (redirectTo) return <RedirectWithFrom to={redirectTo} />;
+  return forbidden;
+}
+
+// 4. Role fixtures for rendering the dashboards as different users, e.g.
+// <PermissionsProvider roles={roleFixtures.admin}><DashboardWithPermissions /></PermissionsProvider>
+const roleFixtures = {
+  guest: ["guest"],
+  user: ["user"],
+  editor: ["editor"],
+  admin: ["admin"]
+};
+
+module.exports = {
+  definePolicy,
+  hasPermission,
+  defaultPolicy,
+  PermissionsProvider,
+  usePermission,
+  Can,
+  Forbidden,
+  RequirePermission,
+  roleFixtures
+};
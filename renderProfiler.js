@@ -0,0 +1,169 @@
+// =============================================
+// Render-Count Profiler for Component-Level Diffing
+// =============================================
+
+// dfifing.js explains that React re-renders a component when its props or
+// state change, and that shouldComponentUpdate / React.memo can skip that
+// work. This profiler records every committed render of a wrapped component,
+// why it happened, and which props changed, so the savings can be measured.
+// compareMemoizedListItems runs OptimizedList from keyslists.js with a
+// memoized and a plain ListItem through it.
+
+import React, { useLayoutEffect, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import { OptimizedList, ListItem } from './keyslists';
+
+const MEMO_TYPE = Symbol.for('react.memo');
+
+// Why a component rendered:
+// - mount:  first render
+// - props:  parent passed props that differ by shallow comparison
+// - parent: parent re-rendered and passed equal props (what React.memo skips)
+// - state:  same props object, so the update came from its own state or context
+const REASONS = ['mount', 'props', 'parent', 'state'];
+
+const changedPropKeys = (prevProps, nextProps) => {
+  const keys = new Set([...Object.keys(prevProps), ...Object.keys(nextProps)]);
+  return [...keys].filter(key => key !== 'children' && !Object.is(prevProps[key], nextProps[key]));
+};
+
+// =============================================
+// 1. Profiler
+// =============================================
+
+export const createRenderProfiler = () => {
+  const stats = new Map();
+  const events = [];
+
+  const statsFor = (name) => {
+    if (!stats.has(name)) {
+      stats.set(name, {
+        renders: 0,
+        reasons: Object.fromEntries(REASONS.map(reason => [reason, 0])),
+        changedProps: {}
+      });
+    }
+    return stats.get(name);
+  };
+
+  const record = (name, reason, changedProps) => {
+    const entry = statsFor(name);
+    entry.renders++;
+    entry.reasons[reason]++;
+    changedProps.forEach(key => {
+      entry.changedProps[key] = (entry.changedProps[key] || 0) + 1;
+    });
+    events.push({ component: name, reason, changedProps });
+  };
+
+  // Wrap a function component (or a React.memo of one). The wrapper calls the
+  // original as a plain function, so its hooks and state live in the wrapper
+  // and state updates can be told apart from parent renders.
+  const profile = (Component, name) => {
+    if (Component && Component.$$typeof === MEMO_TYPE) {
+      const inner = profile(Component.type, name || Component.type.displayName || Component.type.name);
+      return React.memo(inner, Component.compare);
+    }
+
+    if (typeof Component !== 'function' || (Component.prototype && Component.prototype.isReactComponent)) {
+      throw new Error('profile() only supports function components');
+    }
+
+    const label = name || Component.displayName || Component.name || 'Anonymous';
+    statsFor(label);
+
+    const Profiled = (props) => {
+      const previousProps = useRef(null);
+      const pending = useRef(null);
+
+      if (previousProps.current === null) {
+        pending.current = { reason: 'mount', changed: [] };
+      } else if (previousProps.current === props) {
+        pending.current = { reason: 'state', changed: [] };
+      } else {
+        const changed = changedPropKeys(previousProps.current, props);
+        pending.current = { reason: changed.length ? 'props' : 'parent', changed };
+      }
+
+      // Record on commit, not during render, so discarded renders don't count.
+      useLayoutEffect(() => {
+        previousProps.current = props;
+        record(label, pending.current.reason, pending.current.changed);
+      });
+
+      return Component(props);
+    };
+
+    Profiled.displayName = `Profiled(${label})`;
+    return Profiled;
+  };
+
+  // One row per component, ready for console.table
+  const report = () => [...stats.entries()].map(([component, entry]) => ({
+    component,
+    renders: entry.renders,
+    ...entry.reasons,
+    changedProps: Object.entries(entry.changedProps)
+      .map(([key, count]) => `${key} x${count}`)
+      .join(', ')
+  }));
+
+  const reset = () => {
+    stats.clear();
+    events.length = 0;
+  };
+
+  return { profile, report, reset, getEvents: () => events.slice() };
+};
+
+// =============================================
+// 2. Scripted Scenario: does React.memo save work?
+// =============================================
+
+const initialItems = [
+  { id: 1, text: 'Item 1' },
+  { id: 2, text: 'Item 2' },
+  { id: 3, text: 'Item 3' }
+];
+
+const listUpdates = [
+  { label: 'parent re-render, same items', next: items => items },
+  { label: 'append one item', next: items => [...items, { id: 4, text: 'Item 4' }] },
+  { label: 'edit one item', next: items => items.map(item => (item.id === 2 ? { ...item, text: 'Edited' } : item)) }
+];
+
+// Render OptimizedList with a profiled ListItem, once memoized and once plain,
+// apply the same updates to both and return the profiler report.
+// Renders with react-dom into a detached element, so it needs a DOM (a
+// browser, or jsdom). Each step runs through `act`: flushSync by default,
+// React's act() in tests.
+export const compareMemoizedListItems = ({ updates = listUpdates, act = flushSync } = {}) => {
+  const profiler = createRenderProfiler();
+  const variants = [
+    profiler.profile(ListItem, 'ListItem (React.memo)'),
+    profiler.profile(ListItem.type, 'ListItem (plain)')
+  ];
+
+  variants.forEach(ItemComponent => {
+    const Parent = ({ items, renderCount }) => (
+      <div data-render={renderCount}>
+        <OptimizedList items={items} ItemComponent={ItemComponent} />
+      </div>
+    );
+
+    const root = createRoot(document.createElement('div'));
+    let items = initialItems;
+    act(() => root.render(<Parent items={items} renderCount={0} />));
+    updates.forEach(({ next }, index) => {
+      items = next(items);
+      act(() => root.render(<Parent items={items} renderCount={index + 1} />));
+    });
+    act(() => root.unmount());
+  });
+
+  return profiler.report();
+};
+
+// Example usage:
+// console.table(compareMemoizedListItems());
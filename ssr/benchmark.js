@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// CSR vs SSR vs hybrid, measured: regenerates the `comparison` table in ssrCSR.js
+//
+// Usage: node ssr/benchmark.js [--page <url>] [--marker <text>] [--runs 5] [--development] [--json | --markdown]
+//
+// The same page is served three ways by the local server (server.js):
+//   csr     /csr<page>  empty shell; the browser downloads JS, fetches props and renders
+//   ssr     /ssr<page>  complete HTML, no JavaScript
+//   hybrid  <page>      complete HTML, then hydration
+// Each one is loaded in a headless DOM (jsdom, scripts enabled) and timed:
+//   timeToFirstByte    first byte of the HTML response
+//   initialLoadTime    until `marker` (text from the page) is in the document
+//   timeToInteractive  until the app has rendered or hydrated (App's onReady)
+// The server runs in a child process (benchmarkServer.js), which reports the
+// bytes it sent and its CPU time per page load. Every number is the median
+// over the runs, after one warm-up load per mode. The production bundles are
+// measured unless --development is passed (which also runs client.js's
+// hydration check before hydrating).
+//
+// The output is an object in the same shape as `comparison` ({ metric: { csr,
+// ssr, hybrid } }), with the same rows plus timeToFirstByte, timeToInteractive
+// and bytesTransferred, and the matching `initialLoadDifference`. Rows a page
+// load can't measure (subsequentPages, useCases) keep the notes' text. Numbers
+// depend on the machine; the relationships between them are the point.
+
+const path = require("path");
+const { fork } = require("child_process");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { measureStream } = require("./measureStream");
+const notes = require("../ssrCSR");
+
+const defaultPage = "/conditional?loggedIn=1&name=Ada&role=admin&messages=3";
+const defaultMarker = "Welcome, Admin!";
+const loadTimeout = 10000;
+
+const modes = {
+  csr: page => `/csr${page}`,
+  ssr: page => `/ssr${page}`,
+  hybrid: page => page
+};
+
+// Starts benchmarkServer.js: { url, stats(), close() }
+function startServer({ mode }) {
+  const args = mode === "production" ? ["--production"] : [];
+  const child = fork(path.join(__dirname, "benchmarkServer.js"), args, { stdio: ["ignore", "inherit", "inherit", "ipc"] });
+  const nextMessage = type => new Promise((resolve, reject) => {
+    const onMessage = message => {
+      if (message.type !== type) return;
+      child.off("exit", onExit);
+      child.off("message", onMessage);
+      resolve(message);
+    };
+    const onExit = code => reject(new Error(`Benchmark server exited with code ${code}`));
+    child.on("message", onMessage);
+    child.once("exit", onExit);
+  });
+
+  return nextMessage("ready").then(({ url }) => ({
+    url,
+    stats: () => {
+      const reply = nextMessage("stats");
+      child.send({ type: "stats" });
+      return reply;
+    },
+    close: () => new Promise(resolve => {
+      child.once("exit", resolve);
+      child.disconnect();
+    })
+  }));
+}
+
+// Loads a URL like a browser would and records when the content appeared and
+// when the app became interactive (ms since navigation started)
+function loadInDom(url, marker) {
+  return new Promise((resolve, reject) => {
+    const start = performance.now();
+    const times = { content: null, interactive: null };
+    let window = null;
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (window) window.close();
+      resolve(times);
+    };
+    const timer = setTimeout(() => {
+      if (window) window.close();
+      reject(new Error(`${url}: no "${marker}" after ${loadTimeout} ms`));
+    }, loadTimeout);
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", error => console.error(`[${url}]`, error.message));
+
+    JSDOM.fromURL(url, {
+      runScripts: "dangerously",
+      resources: "usable",
+      pretendToBeVisual: true,
+      virtualConsole,
+      beforeParse(win) {
+        window = win;
+        // Browser APIs jsdom lacks: fetch for the CSR client's /api/props,
+        // TextEncoder for react-dom/server in the development client bundle
+        win.fetch = (input, init) => fetch(new URL(input, win.location.href), init);
+        win.TextEncoder = TextEncoder;
+
+        const checkContent = () => {
+          if (times.content === null && win.document.body && win.document.body.textContent.includes(marker)) {
+            times.content = performance.now() - start;
+            if (times.interactive !== null) finish();
+          }
+        };
+        new win.MutationObserver(checkContent).observe(win.document, { childList: true, subtree: true, characterData: true });
+        win.document.addEventListener("DOMContentLoaded", checkContent);
+
+        Object.defineProperty(win, "__APP_READY__", {
+          set() {
+            times.interactive = performance.now() - start;
+            if (times.content !== null) finish();
+          }
+        });
+        // Without JavaScript there is nothing to wait for after the load event
+        win.addEventListener("load", () => {
+          checkContent();
+          const scripts = win.document.querySelectorAll("script[src]").length;
+          if (scripts === 0 && times.content !== null) finish();
+        });
+      }
+    }).catch(error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+const median = values => {
+  const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// -> { [mode]: { ttfb, content, interactive, cpuMs, requests, bytes, contentInHtml } }
+async function measure({ page = defaultPage, marker = defaultMarker, runs = 5, mode = "production", log = () => {} } = {}) {
+  const server = await startServer({ mode });
+  const results = {};
+  try {
+    for (const [name, toPath] of Object.entries(modes)) {
+      const url = server.url + toPath(page);
+      log(`${name.padEnd(7)} ${url}`);
+      await loadInDom(url, marker);
+      await server.stats();
+
+      const samples = [];
+      for (let run = 0; run < runs; run++) {
+        const times = await loadInDom(url, marker);
+        const stats = await server.stats();
+        const response = await measureStream(url);
+        await server.stats();
+        samples.push({ ...times, ...stats, ttfb: response.ttfb, contentInHtml: response.html.includes(marker) });
+      }
+
+      const pick = key => median(samples.map(sample => sample[key]));
+      results[name] = {
+        ttfb: pick("ttfb"),
+        content: pick("content"),
+        interactive: pick("interactive"),
+        cpuMs: pick("cpuMs"),
+        requests: pick("requests"),
+        bytes: {
+          html: median(samples.map(sample => sample.bytes.html)),
+          js: median(samples.map(sample => sample.bytes.js)),
+          json: median(samples.map(sample => sample.bytes.json))
+        },
+        contentInHtml: samples.every(sample => sample.contentInHtml)
+      };
+    }
+  } finally {
+    await server.close();
+  }
+  return results;
+}
+
+const ms = value => `${value.toFixed(1)} ms`;
+const kB = bytes => `${(bytes / 1024).toFixed(1)} kB`;
+const totalBytes = ({ html, js, json }) => html + js + json;
+
+function describeBytes(bytes) {
+  const parts = [`HTML ${kB(bytes.html)}`];
+  if (bytes.js) parts.push(`JS ${kB(bytes.js)}`);
+  if (bytes.json) parts.push(`API ${kB(bytes.json)}`);
+  return `${kB(totalBytes(bytes))} (${parts.join(", ")})`;
+}
+
+// Rows of ssrCSR.js's table that a single page load can't measure keep their
+// text from the notes; hybrid has no column there, so it gets one here.
+const unmeasured = {
+  subsequentPages: { ...notes.comparison.subsequentPages, hybrid: "Like CSR once hydrated, if navigation is handled in the browser" },
+  useCases: { ...notes.comparison.useCases, hybrid: notes.hybridApproach.examples }
+};
+
+// Measurements -> { comparison, initialLoadDifference }, shaped like ssrCSR.js:
+// its rows in its order, measured where possible, then the rows only measuring adds
+function toComparison(results) {
+  const row = describe => Object.fromEntries(Object.entries(results).map(([mode, result]) => [mode, describe(result, mode)]));
+  const fromNotes = metric => row((result, mode) => unmeasured[metric][mode] || "Not measured");
+
+  const comparison = {
+    initialLoadTime: row(result => `${ms(result.content)} to content (${result.requests} request${result.requests === 1 ? "" : "s"})`),
+    subsequentPages: fromNotes("subsequentPages"),
+    seo: row(result => (result.contentInHtml ? "Content is in the HTML response" : "Content is missing from the HTML response")),
+    devicePerformance: row(result => {
+      if (!result.bytes.js) return "No JavaScript to run";
+      return `Runs ${kB(result.bytes.js)} of JavaScript ${result.contentInHtml ? "after the content is shown" : "before anything is shown"}`;
+    }),
+    serverLoad: row(result => `${ms(result.cpuMs)} CPU per page load`),
+    useCases: fromNotes("useCases"),
+    timeToFirstByte: row(result => ms(result.ttfb)),
+    timeToInteractive: row(result => (result.interactive === null ? "Never (no JavaScript)" : ms(result.interactive))),
+    bytesTransferred: row(result => describeBytes(result.bytes))
+  };
+
+  const initialLoadDifference = row(result => {
+    const steps = result.contentInHtml
+      ? "the first response already contains the content"
+      : `the first response is an empty shell; ${kB(result.bytes.js)} of JavaScript and an API call come before the content`;
+    return `${ms(result.content)}: ${steps}.`;
+  });
+
+  return { comparison, initialLoadDifference };
+}
+
+function formatJs({ comparison, initialLoadDifference }, { page, runs, mode }) {
+  const literal = (value, indent = "") => {
+    if (typeof value === "string") return JSON.stringify(value);
+    const inner = Object.entries(value).map(([key, item]) => `${indent}  ${key}: ${literal(item, `${indent}  `)}`);
+    return `{\n${inner.join(",\n")}\n${indent}}`;
+  };
+  return [
+    `// Generated by ssr/benchmark.js: ${page}, ${mode} build, median of ${runs} runs`,
+    "",
+    "// Why Initial Load Time Differs",
+    `const initialLoadDifference = ${literal(initialLoadDifference)};`,
+    "",
+    "// Comparison of CSR, SSR and hybrid",
+    `const comparison = ${literal(comparison)};`,
+    ""
+  ].join("\n");
+}
+
+function formatMarkdown({ comparison }, { page, runs, mode }) {
+  const modeNames = Object.keys(modes);
+  return [
+    `Generated by ssr/benchmark.js: \`${page}\`, ${mode} build, median of ${runs} runs`,
+    "",
+    `| | ${modeNames.join(" | ")} |`,
+    `|---|${modeNames.map(() => "---").join("|")}|`,
+    ...Object.entries(comparison).map(([metric, row]) => `| ${metric} | ${modeNames.map(mode => row[mode]).join(" | ")} |`),
+    ""
+  ].join("\n");
+}
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+async function main(args) {
+  const page = readOption(args, "--page", defaultPage);
+  const marker = readOption(args, "--marker", page === defaultPage ? defaultMarker : null);
+  if (!marker) {
+    console.error("--marker is required with --page: text that shows the page's content has rendered");
+    return 2;
+  }
+  const runs = Number(readOption(args, "--runs", 5));
+  if (!Number.isInteger(runs) || runs < 1) {
+    console.error("--runs must be a positive integer");
+    return 2;
+  }
+
+  const mode = args.includes("--development") ? "development" : "production";
+  const results = await measure({ page, marker, runs, mode, log: line => console.error(line) });
+  const table = toComparison(results);
+  if (args.includes("--json")) console.log(JSON.stringify({ page, runs, mode, results, ...table }, null, 2));
+  else if (args.includes("--markdown")) console.log(formatMarkdown(table, { page, runs, mode }));
+  else console.log(formatJs(table, { page, runs, mode }));
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    code => {
+      process.exitCode = code;
+    },
+    error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { measure, toComparison, formatJs, formatMarkdown, main };
@@ -0,0 +1,63 @@
+// The SSR server in a process of its own, started by benchmark.js so that the
+// server's CPU time is not mixed up with the headless browser's.
+//
+// Pass --production to serve the minified production bundles.
+//
+// Messages over IPC:
+//   -> { type: "ready", url }
+//   <- { type: "stats" }
+//   -> { type: "stats", cpuMs, requests, bytes: { html, js, json } }
+//      (everything since the previous "stats"; the counters then start again)
+
+const { createSsrServer } = require("./server");
+
+const kinds = { "text/html": "html", "text/javascript": "js", "application/json": "json" };
+
+function emptyStats() {
+  return { cpu: process.cpuUsage(), requests: 0, bytes: { html: 0, js: 0, json: 0 } };
+}
+
+async function start() {
+  const mode = process.argv.includes("--production") ? "production" : "development";
+  const { server, url } = await createSsrServer({ port: 0, mode, log: false });
+  let stats = emptyStats();
+
+  // Runs before the server's own handler: counts the bytes of every response body
+  server.prependListener("request", (req, res) => {
+    stats.requests++;
+    const { writeHead, write, end } = res;
+    let kind = "html";
+    const count = chunk => {
+      if (!chunk) return;
+      stats.bytes[kind] += typeof chunk === "string" ? Buffer.byteLength(chunk) : chunk.length;
+    };
+    res.writeHead = function (status, headers, ...rest) {
+      const type = (headers && headers["Content-Type"]) || res.getHeader("Content-Type");
+      if (type) kind = kinds[String(type).split(";")[0]] || kind;
+      return writeHead.call(this, status, headers, ...rest);
+    };
+    res.write = function (chunk, ...rest) {
+      count(chunk);
+      return write.call(this, chunk, ...rest);
+    };
+    res.end = function (chunk, ...rest) {
+      if (typeof chunk !== "function") count(chunk);
+      return end.call(this, chunk, ...rest);
+    };
+  });
+
+  process.on("message", message => {
+    if (message.type !== "stats") return;
+    const { user, system } = process.cpuUsage(stats.cpu);
+    process.send({ type: "stats", cpuMs: (user + system) / 1000, requests: stats.requests, bytes: stats.bytes });
+    stats = emptyStats();
+  });
+  process.on("disconnect", () => process.exit(0));
+
+  process.send({ type: "ready", url });
+}
+
+start().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
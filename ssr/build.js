@@ -0,0 +1,47 @@
+// Builds the bundles the SSR server needs from the same page code:
+// - dist/server.cjs: render.js for Node (react stays a runtime dependency)
+// - dist/client.js:  client.js for the browser, with react bundled in
+// - dist/client-csr.js: clientCsr.js, the same pages rendered only in the browser
+// The repo's files use JSX in .js files, hence the jsx loader.
+// Also returns the source files that went into the bundles (relative to the
+// repo root), so ssg.js can tell whether the code changed.
+
+const path = require("path");
+const esbuild = require("esbuild");
+
+const rootDir = path.join(__dirname, "..");
+const defaultOutdir = path.join(__dirname, "dist");
+
+async function build({ outdir = defaultOutdir, mode = "development" } = {}) {
+  const shared = {
+    bundle: true,
+    loader: { ".js": "jsx" },
+    jsx: "automatic",
+    define: { "process.env.NODE_ENV": JSON.stringify(mode) },
+    absWorkingDir: rootDir,
+    metafile: true,
+    logLevel: "warning"
+  };
+  const serverBundle = path.join(outdir, "server.cjs");
+  const clientBundle = path.join(outdir, "client.js");
+  const clientCsrBundle = path.join(outdir, "client-csr.js");
+  const browser = { ...shared, platform: "browser", format: "iife", minify: mode === "production" };
+
+  const results = await Promise.all([
+    esbuild.build({
+      ...shared,
+      entryPoints: [path.join(__dirname, "render.js")],
+      platform: "node",
+      format: "cjs",
+      packages: "external",
+      outfile: serverBundle
+    }),
+    esbuild.build({ ...browser, entryPoints: [path.join(__dirname, "client.js")], outfile: clientBundle }),
+    esbuild.build({ ...browser, entryPoints: [path.join(__dirname, "clientCsr.js")], outfile: clientCsrBundle })
+  ]);
+
+  const inputs = new Set(results.flatMap(result => Object.keys(result.metafile.inputs)));
+  return { serverBundle, clientBundle, clientCsrBundle, inputs: [...inputs].sort() };
+}
+
+module.exports = { build };
@@ -0,0 +1,36 @@
+// =============================================
+// Client entry: hydrate the server HTML
+// =============================================
+
+// The server already put the markup in #root; hydrateRoot attaches event
+// handlers to it instead of re-creating it. The props come from the
+// __SSR_DATA__ script, so the first client render matches the server's.
+// In development, checkHydration (hydrationCheck.js) first compares the
+// server HTML with the client's render as a string and warns about every
+// difference. The string render mounts nothing, so the page's effects still
+// run only once, from hydrateRoot.
+
+import React from 'react';
+import { hydrateRoot } from 'react-dom/client';
+import { App } from './pages';
+
+const { path, props } = JSON.parse(document.getElementById('__SSR_DATA__').textContent);
+const container = document.getElementById('root');
+
+// require() rather than import: esbuild leaves it out of the production bundle
+if (process.env.NODE_ENV !== 'production') {
+  const { checkHydration, formatReport } = require('./hydrationCheck');
+  const report = checkHydration(<App path={path} props={props} />, {
+    serverHtml: container.innerHTML,
+    clientRender: 'string'
+  });
+  if (!report.ok) console.warn(`[ssr] ${path} will not hydrate cleanly:\n${formatReport(report)}`);
+}
+
+const markReady = () => {
+  window.__APP_READY__ = true;
+};
+
+hydrateRoot(container, <App path={path} props={props} onReady={markReady} />, {
+  onRecoverableError: (error) => console.error('[ssr] hydration error:', error)
+});
@@ -0,0 +1,28 @@
+// =============================================
+// Client entry: client-side rendering
+// =============================================
+
+// The CSR side of the comparison in ssrCSR.js: the server sends an empty
+// #root (renderShell), then this script fetches the page's props from
+// /api/props and builds the whole page in the browser.
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { App } from './pages';
+
+const url = window.location.pathname.replace(/^\/csr/, '') + window.location.search;
+const root = createRoot(document.getElementById('root'));
+
+const markReady = () => {
+  window.__APP_READY__ = true;
+};
+
+fetch(`/api/props?url=${encodeURIComponent(url || '/')}`)
+  .then((response) => response.json())
+  .then(({ path, props, error }) => {
+    if (error) {
+      root.render(<h1>{error}</h1>);
+      return;
+    }
+    root.render(<App path={path} props={props} onReady={markReady} />);
+  });
@@ -0,0 +1,58 @@
+// =============================================
+// Fake data layer with delays (for streaming SSR)
+// =============================================
+
+// Stands in for the APIs a page would call. Each key resolves after its own
+// delay, so a streaming render has something to wait for, and every request
+// and response is logged with a timestamp for measuring when chunks flush.
+// read(key) is the Suspense contract: it returns the value once loaded and
+// otherwise throws the pending promise, which makes the nearest <Suspense>
+// show its fallback.
+
+const fixtures = {
+  user: { name: 'Ada', role: 'admin', isLoggedIn: true },
+  messages: { unreadCount: 3 },
+  items: [
+    { id: 1, text: 'Item 1' },
+    { id: 2, text: 'Item 2' },
+    { id: 3, text: 'Item 3' }
+  ]
+};
+
+const defaultDelays = { user: 50, messages: 200, items: 400 };
+
+// One data layer per request: caches must not leak between users
+const createFakeDataLayer = ({ delays = defaultDelays, data = fixtures, now = () => performance.now() } = {}) => {
+  const start = now();
+  const entries = new Map(); // key -> { status, value, promise }
+  const log = [];
+
+  const load = (key) => {
+    if (!entries.has(key)) {
+      if (!(key in data)) throw new Error(`Unknown data key "${key}"`);
+      log.push({ key, event: 'request', at: now() - start });
+      const entry = { status: 'pending' };
+      entry.promise = new Promise(resolve => {
+        setTimeout(() => {
+          entry.status = 'done';
+          entry.value = data[key];
+          log.push({ key, event: 'resolve', at: now() - start });
+          resolve(entry.value);
+        }, delays[key] ?? 0);
+      });
+      entries.set(key, entry);
+    }
+    return entries.get(key).promise;
+  };
+
+  const read = (key) => {
+    load(key);
+    const entry = entries.get(key);
+    if (entry.status === 'done') return entry.value;
+    throw entry.promise;
+  };
+
+  return { load, read, log };
+};
+
+export { createFakeDataLayer, defaultDelays, fixtures };
@@ -0,0 +1,225 @@
+// =============================================
+// Hydration mismatch detector
+// =============================================
+
+// hydrateRoot expects the client's first render to produce exactly the markup
+// the server sent. When it doesn't, React throws the server HTML away (or, in
+// production, leaves wrong text on screen), and its warning only names the
+// first difference. This renders both sides and lists every difference:
+//
+//   const { ok, mismatches, impure } = checkHydration(<App path={path} props={props} />);
+//   // mismatches -> [{ type: 'text', path: 'main > p[1]', server: '10:41:07', client: '10:41:08' }]
+//   // impure     -> [{ api: 'Date.now()', calls: 2, side: 'client', at: 'Clock (pages.js:12:20)' }]
+//
+//   assertHydrates(<App ... />);  // in a test: throws with the report
+//
+// Needs a DOM (the browser, or jsdom in tests). Mismatch types:
+// - text:      different text in the same place
+// - attribute: an attribute with different values, or only on one side
+// - tag:       a different element in the same place
+// - missing:   a child the server rendered but the client didn't
+// - extra:     a child the client rendered but the server didn't
+// Paths go from the root element down, `tag[i]` being the i-th child node.
+//
+// impure lists calls to Date.now(), new Date() and Math.random() made while
+// rendering: they return something else on the server and the client, the
+// most common cause of text mismatches. Read them in an effect instead.
+// Components that read browser-only state (localStorage, window.innerWidth)
+// in render are the other common cause; they show up as mismatches only.
+
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { createRoot } from 'react-dom/client';
+import { flushSync } from 'react-dom';
+
+// ====================================
+// 1. Comparing two DOM trees
+// ====================================
+
+// React separates adjacent text with <!-- --> on the server and creates one
+// text node per string on the client; neither is visible, so compare the
+// merged text of consecutive text nodes and skip comments.
+const childrenOf = (node) => {
+  const children = [];
+  node.childNodes.forEach((child) => {
+    if (child.nodeType === 8) return;
+    if (child.nodeType === 3) {
+      const last = children[children.length - 1];
+      if (last && last.text !== undefined) last.text += child.data;
+      else children.push({ text: child.data });
+      return;
+    }
+    children.push({ element: child });
+  });
+  return children.filter((child) => child.text !== '');
+};
+
+const nameOf = (child) => (child.element ? child.element.tagName.toLowerCase() : '#text');
+
+const valueOf = (child) => (child.element ? child.element.outerHTML : child.text);
+
+// On the client React sets these as DOM properties, not attributes, while the
+// server writes them out (e.g. <option selected> for <select value>)
+const propertyAttributes = ['checked', 'selected'];
+
+const attributesOf = (element, fromProperties) => {
+  const attributes = {};
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    attributes[name] = value;
+  });
+  if (fromProperties) {
+    propertyAttributes.forEach((name) => {
+      if (!(name in element)) return;
+      if (element[name]) attributes[name] = '';
+      else delete attributes[name];
+    });
+  }
+  return attributes;
+};
+
+const compareNodes = (server, client, path, mismatches) => {
+  const serverChildren = childrenOf(server);
+  const clientChildren = childrenOf(client);
+  const length = Math.max(serverChildren.length, clientChildren.length);
+
+  for (let i = 0; i < length; i++) {
+    const serverChild = serverChildren[i];
+    const clientChild = clientChildren[i];
+    const childPath = [...path, `${nameOf(serverChild || clientChild)}[${i}]`];
+    const at = childPath.join(' > ');
+
+    if (!clientChild) {
+      mismatches.push({ type: 'missing', path: at, server: valueOf(serverChild), client: null });
+    } else if (!serverChild) {
+      mismatches.push({ type: 'extra', path: at, server: null, client: valueOf(clientChild) });
+    } else if (nameOf(serverChild) !== nameOf(clientChild)) {
+      mismatches.push({ type: 'tag', path: at, server: valueOf(serverChild), client: valueOf(clientChild) });
+    } else if (!serverChild.element) {
+      if (serverChild.text !== clientChild.text) {
+        mismatches.push({ type: 'text', path: at, server: serverChild.text, client: clientChild.text });
+      }
+    } else {
+      const serverAttributes = attributesOf(serverChild.element);
+      const clientAttributes = attributesOf(clientChild.element, true);
+      new Set([...Object.keys(serverAttributes), ...Object.keys(clientAttributes)]).forEach((name) => {
+        const serverValue = name in serverAttributes ? serverAttributes[name] : null;
+        const clientValue = name in clientAttributes ? clientAttributes[name] : null;
+        if (serverValue !== clientValue) {
+          mismatches.push({ type: 'attribute', path: `${at} @${name}`, server: serverValue, client: clientValue });
+        }
+      });
+      compareNodes(serverChild.element, clientChild.element, childPath, mismatches);
+    }
+  }
+  return mismatches;
+};
+
+// Two HTML strings -> list of mismatches
+const diffHtml = (serverHtml, clientHtml) => {
+  const server = document.createElement('div');
+  const client = document.createElement('div');
+  server.innerHTML = serverHtml;
+  client.innerHTML = clientHtml;
+  return compareNodes(server, client, [], []);
+};
+
+// ====================================
+// 2. Catching non-deterministic renders
+// ====================================
+
+// Swaps Date.now, Date and Math.random for recording versions while `fn` runs
+const recordImpureCalls = (fn, side) => {
+  const calls = {};
+  const record = (api) => {
+    // The first stack frame outside this file is the component that called it
+    const frames = (new Error().stack || '').split('\n').slice(3);
+    const at = (frames.find((frame) => !frame.includes('hydrationCheck')) || '').trim().replace(/^at /, '');
+    const key = `${api}|${at}`;
+    if (!calls[key]) calls[key] = { api, calls: 0, side, at };
+    calls[key].calls++;
+  };
+
+  const RealDate = Date;
+  const realNow = Date.now;
+  const realRandom = Math.random;
+  function RecordingDate(...args) {
+    if (!new.target) return RealDate(...args);
+    if (args.length === 0) record('new Date()');
+    return new RealDate(...args);
+  }
+  RecordingDate.prototype = RealDate.prototype;
+  RecordingDate.UTC = RealDate.UTC;
+  RecordingDate.parse = RealDate.parse;
+  RecordingDate.now = () => {
+    record('Date.now()');
+    return realNow();
+  };
+
+  globalThis.Date = RecordingDate;
+  Math.random = () => {
+    record('Math.random()');
+    return realRandom();
+  };
+  try {
+    return { result: fn(), impure: Object.values(calls) };
+  } finally {
+    globalThis.Date = RealDate;
+    Math.random = realRandom;
+  }
+};
+
+// ====================================
+// 3. Server render vs client first render
+// ====================================
+
+// The client's first render, as HTML. Rendered into a detached node, so it
+// doesn't touch the page; unmounted right away.
+const renderClientHtml = (element) => {
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  flushSync(() => root.render(element));
+  const html = container.innerHTML;
+  root.unmount();
+  return html;
+};
+
+// The client's first render as a string: renderToString, but with the
+// browser's globals. Nothing is mounted and no effects run, so it is safe to
+// use on a page that is about to hydrate.
+const renderClientString = (element) => renderToString(element);
+
+// options.serverHtml: markup the server actually sent (e.g. #root's innerHTML
+// before hydrating); by default the element is rendered with renderToString.
+// options.clientRender: 'mount' (default) renders into a detached root, which
+// runs the components' effects once; 'string' uses renderClientString.
+const checkHydration = (element, { serverHtml, clientRender = 'mount' } = {}) => {
+  const server = serverHtml === undefined
+    ? recordImpureCalls(() => renderToString(element), 'server')
+    : { result: serverHtml, impure: [] };
+  const renderClient = clientRender === 'string' ? renderClientString : renderClientHtml;
+  const client = recordImpureCalls(() => renderClient(element), 'client');
+  const mismatches = diffHtml(server.result, client.result);
+  const impure = [...server.impure, ...client.impure];
+  return { ok: mismatches.length === 0 && impure.length === 0, mismatches, impure };
+};
+
+const quote = (value) => (value === null ? '(none)' : JSON.stringify(value));
+
+const formatReport = ({ mismatches, impure }) => [
+  ...mismatches.map(({ type, path, server, client }) => `${type} mismatch at ${path}\n  server: ${quote(server)}\n  client: ${quote(client)}`),
+  ...impure.map(({ api, calls, side, at }) => `${api} called ${calls}x during the ${side} render${at ? ` at ${at}` : ''}`)
+].join('\n');
+
+// For tests: throws an Error listing every problem; `error.mismatches` and
+// `error.impure` hold the details
+const assertHydrates = (element, options) => {
+  const report = checkHydration(element, options);
+  if (report.ok) return report;
+  const count = report.mismatches.length + report.impure.length;
+  const error = new Error(`Hydration check failed with ${count} problem(s):\n${formatReport(report)}`);
+  error.mismatches = report.mismatches;
+  error.impure = report.impure;
+  throw error;
+};
+
+export { checkHydration, assertHydrates, diffHtml, recordImpureCalls, renderClientHtml, renderClientString, formatReport };
@@ -0,0 +1,40 @@
+// Client side of the streaming measurements: fetches a URL and records when
+// each piece of the body arrives, as the browser would see it.
+//
+//   const { ttfb, chunks, total } = await measureStream("http://localhost:3000/streaming");
+//   chunks -> [{ at, bytes, text }], times in ms since the request was sent
+
+async function measureStream(url, { now = () => performance.now() } = {}) {
+  const start = now();
+  const response = await fetch(url);
+  const ttfb = now() - start;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push({ at: now() - start, bytes: value.length, text: decoder.decode(value, { stream: true }) });
+  }
+
+  return {
+    status: response.status,
+    ttfb,
+    chunks,
+    total: now() - start,
+    html: chunks.map(chunk => chunk.text).join("")
+  };
+}
+
+// First arrival time of a piece of text, e.g. when "Item 3" became visible
+function arrivalOf(measurement, text) {
+  let seen = "";
+  for (const chunk of measurement.chunks) {
+    seen += chunk.text;
+    if (seen.includes(text)) return chunk.at;
+  }
+  return null;
+}
+
+module.exports = { measureStream, arrivalOf };
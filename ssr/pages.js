@@ -0,0 +1,171 @@
+// =============================================
+// Pages rendered by the SSR server
+// =============================================
+
+// Shared by the server bundle (render.js) and the browser bundle (client.js):
+// both must render exactly the same tree from the same props, or hydration
+// will not match. Each route has
+// - path: exact, or with parameters like '/notes/:topic',
+// - getInitialProps(query, params): the "server fetches data" step, the result
+//   is serialized into the page and handed to the client as is; null means 404,
+// - Page: the component tree, built from the repo's own components.
+
+import React, { useEffect } from 'react';
+import {
+  GreetingIfStatement,
+  UserName,
+  NotificationShow,
+  DashboardSwitch,
+  DashboardConditionalComponents
+} from '../condtional-rendering';
+import { ListWithIds, DynamicList, NestedList, SortableList } from '../keyslists';
+import * as notes from '../ssrCSR';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const HomePage = ({ routes }) => (
+  <main>
+    <h1>Server-rendered examples</h1>
+    <ul>
+      {routes.map(route => (
+        <li key={route.path}>
+          <a href={route.path}>{route.title}</a>
+        </li>
+      ))}
+    </ul>
+  </main>
+);
+
+// /conditional?loggedIn=1&name=Ada&role=admin&messages=3
+const ConditionalPage = ({ isLoggedIn, name, role, unreadCount }) => (
+  <main>
+    <GreetingIfStatement isLoggedIn={isLoggedIn} />
+    <UserName name={name} />
+    <NotificationShow hasNewMessages={unreadCount} />
+    <DashboardSwitch role={role} />
+    <DashboardConditionalComponents role={role} />
+  </main>
+);
+
+// DynamicList gets storage={null}: localStorage doesn't exist on the server,
+// and restoring a saved list on the client would not match the server HTML.
+const ListsPage = () => (
+  <main>
+    <h2>List with ids</h2>
+    <ListWithIds />
+    <h2>Dynamic list</h2>
+    <DynamicList storage={null} />
+    <h2>Nested list</h2>
+    <NestedList />
+    <h2>Sortable list</h2>
+    <SortableList />
+  </main>
+);
+
+// The note objects exported by ssrCSR.js (csr, ssr, hybridApproach), one page each
+const noteTopics = Object.keys(notes).filter(topic => notes[topic] && notes[topic].definition);
+
+const labelOf = key => key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+
+const NotePage = ({ topic, note }) => (
+  <article>
+    <h1>{topic.toUpperCase()}</h1>
+    {Object.entries(note).map(([key, value]) => (
+      <section key={key}>
+        <h2>{labelOf(key)}</h2>
+        {Array.isArray(value) ? (
+          <ul>
+            {value.map(entry => (
+              <li key={entry}>{entry}</li>
+            ))}
+          </ul>
+        ) : (
+          <p>{value}</p>
+        )}
+      </section>
+    ))}
+  </article>
+);
+
+const routes = [
+  {
+    path: '/',
+    title: 'Home',
+    getInitialProps: async () => ({
+      routes: [
+        ...routes.filter(route => route.path !== '/' && !route.path.includes(':')).map(({ path, title }) => ({ path, title })),
+        ...noteTopics.map(topic => ({ path: `/notes/${topic}`, title: `Notes: ${topic}` }))
+      ]
+    }),
+    Page: HomePage
+  },
+  {
+    path: '/conditional',
+    title: 'Conditional rendering',
+    getInitialProps: async (query) => {
+      await wait(20); // stands in for a session / API lookup
+      return {
+        isLoggedIn: query.get('loggedIn') === '1',
+        name: query.get('name') || '',
+        role: query.get('role') || 'guest',
+        unreadCount: Number(query.get('messages')) || 0
+      };
+    },
+    Page: ConditionalPage
+  },
+  {
+    path: '/lists',
+    title: 'Lists and keys',
+    getInitialProps: async () => ({}),
+    Page: ListsPage
+  },
+  {
+    path: '/notes/:topic',
+    title: 'Notes',
+    getInitialProps: async (query, { topic }) => (noteTopics.includes(topic) ? { topic, note: notes[topic] } : null),
+    Page: NotePage
+  }
+];
+
+const findRoute = path => routes.find(route => route.path === path) || null;
+
+// A malformed escape like '%E0%A4%A' throws a URIError; treat it as no match (404)
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+};
+
+// '/notes/ssr' -> { route, params: { topic: 'ssr' } }
+const matchRoute = (pathname) => {
+  const segments = pathname.split('/');
+  for (const route of routes) {
+    const pattern = route.path.split('/');
+    if (pattern.length !== segments.length) continue;
+    const params = {};
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        const value = decodeSegment(segments[i]);
+        params[part.slice(1)] = value;
+        return segments[i] !== '' && value !== null;
+      }
+      return part === segments[i];
+    });
+    if (matches) return { route, params };
+  }
+  return null;
+};
+
+// The root component on both sides; `path` is the route pattern.
+// onReady runs once the page is interactive (hydrated or rendered on the client).
+const App = ({ path, props, onReady }) => {
+  const { Page } = findRoute(path);
+  useEffect(() => {
+    if (onReady) onReady();
+  }, []);
+  return <Page {...props} />;
+};
+
+export { routes, findRoute, matchRoute, noteTopics, App };
@@ -0,0 +1,98 @@
+// =============================================
+// Server renderer
+// =============================================
+
+// Bundled by build.js into dist/server.cjs and required by server.js.
+// renderPage(url) runs the ssr.exampleProcess steps from ssrCSR.js:
+//   1. "User requests a page"          -> url
+//   2. "Server fetches data"           -> route.getInitialProps
+//   3. "...generates a complete HTML"  -> renderToString + document shell
+//   4. "Browser displays the content"  -> before client.js even loads
+// and returns how long each step took.
+// Pass clientScript: null for HTML without JavaScript (pure SSR).
+// streamPage (streamRender.js) is the streaming alternative, served at /streaming.
+
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { App, matchRoute } from './pages';
+
+// JSON inside <script> must not be able to close the tag or break the parser:
+// "</script>" in a prop would end the script early, U+2028/2029 are line
+// breaks in old JS engines.
+const serializeProps = props => JSON.stringify(props)
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/&/g, '\\u0026')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderDocument = ({ title, appHtml, path, props, clientScript }) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<div id="root">${appHtml}</div>
+${clientScript ? `<script id="__SSR_DATA__" type="application/json">${serializeProps({ path, props })}</script>
+<script src="${clientScript}" defer></script>` : ''}
+</body>
+</html>`;
+
+// Client-side rendering: no content, the browser builds the page (clientCsr.js)
+const renderShell = ({ clientScript = '/client-csr.js' } = {}) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Loading…</title>
+</head>
+<body>
+<div id="root"></div>
+<script src="${clientScript}" defer></script>
+</body>
+</html>`;
+
+// Steps 1 + 2: find the route and fetch its data -> { route, props } or null
+const loadPage = async (url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const match = matchRoute(pathname);
+  if (!match) return null;
+  const props = await match.route.getInitialProps(searchParams, match.params);
+  return props === null ? null : { route: match.route, props };
+};
+
+// Step 3: the complete HTML document for loaded data
+const renderLoadedPage = ({ route, props }, { clientScript = '/client.js' } = {}) => renderDocument({
+  title: route.title,
+  appHtml: renderToString(<App path={route.path} props={props} />),
+  path: route.path,
+  props,
+  clientScript
+});
+
+const renderPage = async (url, options) => {
+  const start = performance.now();
+  const page = await loadPage(url);
+  if (!page) {
+    return { status: 404, html: '<!doctype html><h1>Not found</h1>', timings: {} };
+  }
+  const fetched = performance.now();
+  const html = renderLoadedPage(page, options);
+  const rendered = performance.now();
+
+  return {
+    status: 200,
+    html,
+    timings: { fetchData: fetched - start, render: rendered - fetched }
+  };
+};
+
+export { renderPage, loadPage, renderLoadedPage, renderShell, serializeProps };
+export { streamPage } from './streamRender';
+export { defaultDelays } from './fakeData';
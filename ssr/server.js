@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Local SSR server for the components in condtional-rendering.js and keyslists.js
+//
+// Usage: node ssr/server.js [--port 3000] [--production]
+//
+// Every request walks through ssr.exampleProcess from ssrCSR.js and logs how
+// long each step took. Open http://localhost:3000/lists, then click DynamicList's
+// buttons: they work because client.js hydrates the server HTML.
+//
+// Every page is served three ways, as compared in ssrCSR.js:
+//   /lists      SSR + hydration (hybrid)
+//   /ssr/lists  SSR only, no JavaScript
+//   /csr/lists  CSR: an empty shell; clientCsr.js fetches /api/props?url=/lists and renders
+//
+// /streaming streams the page instead (streamRender.js); fake data delays can be
+// set per request: /streaming?user=50&messages=200&items=400
+
+const fs = require("fs");
+const http = require("http");
+const { ssr } = require("../ssrCSR");
+const { build } = require("./build");
+
+function logRequest(url, { timings, bytes }) {
+  const steps = [
+    url,
+    `data ${timings.fetchData.toFixed(1)} ms, render ${timings.render.toFixed(1)} ms`,
+    `${(bytes / 1024).toFixed(1)} kB`,
+    "content visible before client.js runs; hydration follows"
+  ];
+  console.log(`\nGET ${url}`);
+  ssr.exampleProcess.forEach((step, i) => console.log(`  ${i + 1}. ${step.padEnd(58)} ${steps[i]}`));
+}
+
+function logStream(url, { flushes, dataLog, disconnected }) {
+  const events = [
+    ...flushes.map(flush => {
+      const what = flush.kind === "shell" ? `shell with ${flush.fallbacks} fallback(s)`
+        : flush.kind === "boundary" ? `swap ${flush.boundaries.join(", ")}` : "chunk";
+      return { at: flush.at, line: `flush  ${what} (${flush.bytes} B)` };
+    }),
+    ...dataLog.map(entry => ({ at: entry.at, line: `data   ${entry.key} ${entry.event}` }))
+  ].sort((a, b) => a.at - b.at);
+  console.log(`\nGET ${url} (streaming${disconnected ? ", client disconnected" : ""})`);
+  events.forEach(({ at, line }) => console.log(`  +${at.toFixed(1).padStart(7)} ms  ${line}`));
+}
+
+// Delays for the fake data layer from the query, e.g. /streaming?user=50&items=800
+function delaysFrom(url) {
+  const { searchParams } = new URL(url, "http://localhost");
+  const delays = {};
+  searchParams.forEach((value, key) => {
+    if (!Number.isNaN(Number(value))) delays[key] = Number(value);
+  });
+  return delays;
+}
+
+// Resolves once listening: { server, url, close() }
+async function createSsrServer({ port = 3000, mode = "development", log = true } = {}) {
+  const { serverBundle, clientBundle, clientCsrBundle } = await build({ mode });
+  delete require.cache[serverBundle];
+  const { renderPage, loadPage, renderShell, streamPage, defaultDelays } = require(serverBundle);
+  const scripts = {
+    "/client.js": fs.readFileSync(clientBundle),
+    "/client-csr.js": fs.readFileSync(clientCsrBundle)
+  };
+
+  const send = (res, status, type, text) => {
+    const body = Buffer.from(text);
+    res.writeHead(status, { "Content-Type": `${type}; charset=utf-8`, "Content-Length": body.length });
+    res.end(body);
+    return body.length;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" }).end();
+      return;
+    }
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    if (scripts[pathname]) {
+      send(res, 200, "text/javascript", scripts[pathname]);
+      return;
+    }
+
+    try {
+      if (pathname === "/streaming") {
+        const result = await streamPage(res, { delays: { ...defaultDelays, ...delaysFrom(req.url) } });
+        if (log) logStream(req.url, result);
+        return;
+      }
+      // Client-side rendering: empty shell, then the page's props as JSON
+      if (pathname.startsWith("/csr/") || pathname === "/csr") {
+        send(res, 200, "text/html", renderShell());
+        return;
+      }
+      if (pathname === "/api/props") {
+        const page = await loadPage(searchParams.get("url") || "/");
+        if (!page) send(res, 404, "application/json", JSON.stringify({ error: "Not found" }));
+        else send(res, 200, "application/json", JSON.stringify({ path: page.route.path, props: page.props }));
+        return;
+      }
+      // Server-side rendering without any JavaScript
+      const ssrOnly = pathname.startsWith("/ssr/") || pathname === "/ssr";
+      const url = ssrOnly ? `/${req.url.slice("/ssr".length).replace(/^\//, "")}` : req.url;
+      const page = await renderPage(url, ssrOnly ? { clientScript: null } : undefined);
+      const bytes = send(res, page.status, "text/html", page.html);
+      if (log && page.status === 200) logRequest(req.url, { timings: page.timings, bytes });
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(mode === "production" ? "Internal Server Error" : error.stack);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, resolve);
+  });
+
+  return {
+    server,
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  createSsrServer({
+    port: Number(readOption(args, "--port", process.env.PORT || 3000)),
+    mode: args.includes("--production") ? "production" : "development"
+  }).then(({ url }) => console.log(`SSR server running at ${url}`));
+}
+
+module.exports = { createSsrServer };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Static site generation: prerenders the routes in a manifest to HTML files
+//
+// Usage: node ssr/ssg.js [--manifest ssr/ssg.manifest.js] [--out <dir>] [--force] [--production]
+//
+// For "blogs, landing pages" (ssr.useCases in ssrCSR.js) the HTML can be
+// rendered once at build time instead of on every request. Each page is
+// rendered with the same renderer as the SSR server and hydrates the same way;
+// the client bundle is copied next to the pages.
+//
+// Rebuilds are incremental: <out>/.ssg-manifest.json remembers a hash of every
+// page's props and of the code. A page is only rendered again when its props
+// changed, everything is rendered again when the code changed (or with
+// --force), and pages that no longer exist are deleted.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { build } = require("./build");
+
+const STATE_FILE = ".ssg-manifest.json";
+const rootDir = path.join(__dirname, "..");
+
+const hash = value => crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+
+// "/notes/:topic" + { topic: "ssr" } -> "/notes/ssr"
+function fillPath(pattern, params) {
+  return pattern.replace(/:(\w+)/g, (match, name) => {
+    if (params[name] === undefined) throw new Error(`Missing param "${name}" for route ${pattern}`);
+    return encodeURIComponent(params[name]);
+  });
+}
+
+async function expandRoutes(routes) {
+  const urls = [];
+  for (const route of routes) {
+    if (!route.path.includes(":")) {
+      urls.push(route.path);
+      continue;
+    }
+    if (!route.paths) throw new Error(`Route ${route.path} has parameters but no paths() data function`);
+    const paramsList = await route.paths();
+    paramsList.forEach(params => urls.push(fillPath(route.path, params)));
+  }
+  return [...new Set(urls)];
+}
+
+// "/" -> index.html, "/notes/ssr" -> notes/ssr/index.html
+function outputFile(outDir, url) {
+  return path.join(outDir, ...url.split("/").filter(Boolean).map(decodeURIComponent), "index.html");
+}
+
+function codeHash(inputs, dataFiles) {
+  return hash(inputs
+    .filter(input => !dataFiles.includes(input))
+    .map(input => `${input}\n${fs.readFileSync(path.join(rootDir, input), "utf8")}`)
+    .join("\n"));
+}
+
+function readState(outDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outDir, STATE_FILE), "utf8"));
+  } catch {
+    return { codeHash: null, pages: {} };
+  }
+}
+
+// Remove empty directories left behind by deleted pages, up to outDir
+function pruneDirectories(dir, outDir) {
+  while (dir !== outDir && dir.startsWith(outDir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// -> { built, unchanged, removed } (lists of urls)
+// buildDir is where the bundles go (build.js's dist/ by default)
+async function generate({ manifest, outDir = manifest.outDir, buildDir, force = false, mode = "development", log = console.log }) {
+  const { serverBundle, clientBundle, inputs } = await build({ outdir: buildDir, mode });
+  delete require.cache[serverBundle];
+  const { loadPage, renderLoadedPage } = require(serverBundle);
+
+  const previous = readState(outDir);
+  const currentCodeHash = codeHash(inputs, manifest.dataFiles || []);
+  const rebuildAll = force || previous.codeHash !== currentCodeHash;
+  if (rebuildAll && previous.codeHash) log(force ? "--force: rebuilding every page" : "Code changed: rebuilding every page");
+
+  const urls = await expandRoutes(manifest.routes);
+  const pages = {};
+  const result = { built: [], unchanged: [], removed: [] };
+
+  for (const url of urls) {
+    const page = await loadPage(url);
+    if (!page) throw new Error(`No page for ${url}: the route is missing from pages.js or returned no props`);
+
+    const file = outputFile(outDir, url);
+    const dataHash = hash(JSON.stringify(page.props));
+    pages[url] = { dataHash, file: path.relative(outDir, file) };
+
+    if (!rebuildAll && previous.pages[url] && previous.pages[url].dataHash === dataHash && fs.existsSync(file)) {
+      result.unchanged.push(url);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderLoadedPage(page));
+    result.built.push(url);
+    log(`  built      ${url}`);
+  }
+
+  Object.keys(previous.pages).filter(url => !pages[url]).forEach(url => {
+    const file = path.join(outDir, previous.pages[url].file);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    pruneDirectories(path.dirname(file), outDir);
+    result.removed.push(url);
+    log(`  removed    ${url}`);
+  });
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.copyFileSync(clientBundle, path.join(outDir, "client.js"));
+  fs.writeFileSync(path.join(outDir, STATE_FILE), JSON.stringify({ codeHash: currentCodeHash, pages }, null, 2));
+
+  log(`${result.built.length} built, ${result.unchanged.length} unchanged, ${result.removed.length} removed -> ${outDir}`);
+  return result;
+}
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+async function main(args) {
+  const manifestPath = path.resolve(readOption(args, "--manifest", path.join(__dirname, "ssg.manifest.js")));
+  const manifest = require(manifestPath);
+  const outDir = path.resolve(readOption(args, "--out", manifest.outDir));
+  await generate({
+    manifest,
+    outDir,
+    force: args.includes("--force"),
+    mode: args.includes("--production") ? "production" : "development"
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    code => {
+      process.exitCode = code;
+    },
+    error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { generate, expandRoutes, fillPath, outputFile, main };
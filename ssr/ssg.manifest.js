@@ -0,0 +1,23 @@
+// Routes for the static build (node ssr/ssg.js)
+//
+// Each entry is a route from pages.js. A parameterized route lists its pages
+// with `paths`, a data function returning one params object per page.
+
+const path = require("path");
+const notes = require("../ssrCSR");
+
+module.exports = {
+  outDir: path.join(__dirname, "static"),
+  // Files that hold page data rather than code. Editing one only rebuilds the
+  // pages whose props changed; editing any other input rebuilds everything.
+  dataFiles: ["ssrCSR.js"],
+  routes: [
+    { path: "/" },
+    { path: "/conditional" },
+    { path: "/lists" },
+    {
+      path: "/notes/:topic",
+      paths: () => Object.keys(notes).filter(topic => notes[topic].definition).map(topic => ({ topic }))
+    }
+  ]
+};
@@ -0,0 +1,107 @@
+// =============================================
+// Streaming server renderer
+// =============================================
+
+// renderPage (render.js) waits for all data, then sends one string. streamPage
+// sends the shell as soon as it renders, with each <Suspense> fallback in place
+// and marked by <template id="B:n">. When a boundary's data arrives, React
+// writes the finished HTML in a hidden <div id="S:n"> followed by an inline
+// script, $RC("B:n", "S:n"), that swaps it in for the fallback. Boundaries
+// complete in whatever order their data resolves (out-of-order flushing), and
+// the page is readable before any client bundle loads.
+//
+// Every flush is recorded, so tests and the server log can show what was sent
+// when: [{ at, bytes, kind: 'shell' | 'boundary' | 'other', fallbacks, boundaries }]
+
+import React from 'react';
+import { Writable } from 'stream';
+import { renderToPipeableStream } from 'react-dom/server';
+import { StreamingPage } from './streamingPage';
+import { createFakeDataLayer } from './fakeData';
+
+const describeFlush = (html, isFirst) => {
+  if (isFirst) return { kind: 'shell', fallbacks: (html.match(/<template id="B:\d+"/g) || []).length };
+  const boundaries = [...html.matchAll(/\$RC\("(B:\d+)","S:\d+"\)/g)].map(match => match[1]);
+  return boundaries.length ? { kind: 'boundary', boundaries } : { kind: 'other' };
+};
+
+// streamPage(res, { delays, timeout }) -> Promise<{ flushes, dataLog, disconnected }>
+// `delays` goes to createFakeDataLayer; after `timeout` ms the render is aborted
+// and unfinished boundaries are left to the client. If the client goes away
+// first, the render is aborted and the promise resolves with disconnected: true.
+const streamPage = (res, { delays, timeout = 10000, now = () => performance.now() } = {}) => new Promise((resolve, reject) => {
+  const start = now();
+  const data = createFakeDataLayer({ delays, now });
+  const flushes = [];
+  let pending = null; // writes made in the same tick form one flush
+  let timer = null;
+  let settled = false;
+
+  // Runs once, after the last recorded flush has been pushed
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    setImmediate(() => fn(value));
+  };
+
+  const record = (chunk) => {
+    if (!pending) {
+      pending = { at: now() - start, bytes: 0, html: '' };
+      setImmediate(() => {
+        const { html, ...flush } = pending;
+        flushes.push({ ...flush, ...describeFlush(html, flushes.length === 0) });
+        pending = null;
+      });
+    }
+    pending.bytes += chunk.length;
+    pending.html += chunk.toString();
+  };
+
+  const destination = new Writable({
+    write(chunk, encoding, callback) {
+      record(chunk);
+      res.write(chunk, callback);
+    },
+    final(callback) {
+      res.end(callback);
+    }
+  });
+
+  destination.on('finish', () => settle(resolve, { flushes, dataLog: data.log, disconnected: false }));
+  destination.on('error', (error) => {
+    settle(reject, error);
+    abort(error);
+  });
+
+  // 'close' also follows a normal end; only an unfinished response means the client left
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    settle(resolve, { flushes, dataLog: data.log, disconnected: true });
+    abort(new Error('Client disconnected'));
+  });
+
+  const { pipe, abort } = renderToPipeableStream(<StreamingPage data={data} />, {
+    onShellReady() {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      pipe(destination);
+    },
+    onShellError(error) {
+      if (settled) return;
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end('Internal Server Error');
+      settle(reject, error);
+    },
+    onError(error) {
+      // Errors inside a boundary: React sends its fallback and lets the client retry.
+      // Nobody is listening any more once settled (the client disconnected).
+      if (!settled) console.error('[ssr] streaming error:', error);
+    }
+  });
+
+  timer = setTimeout(abort, timeout);
+});
+
+export { streamPage };
@@ -0,0 +1,80 @@
+// =============================================
+// Streaming page: one Suspense boundary per data source
+// =============================================
+
+// The shell (header, nav, the boxes for each section) needs no data and goes
+// out at once. Each section reads its own data and sits in its own
+// <Suspense>, so a slow `items` call never holds back `user`: sections are
+// streamed in the order their data arrives, not the order they appear.
+
+import React, { Suspense, createContext, useContext } from 'react';
+import { GreetingIfStatement, UserName, NotificationShow, DashboardSwitch } from '../condtional-rendering';
+
+const DataContext = createContext(null);
+
+const useData = key => useContext(DataContext).read(key);
+
+const UserSection = () => {
+  const user = useData('user');
+  return (
+    <section>
+      <GreetingIfStatement isLoggedIn={user.isLoggedIn} />
+      <UserName name={user.name} />
+      <DashboardSwitch role={user.role} />
+    </section>
+  );
+};
+
+const MessagesSection = () => {
+  const { unreadCount } = useData('messages');
+  return (
+    <section>
+      <NotificationShow hasNewMessages={unreadCount} />
+    </section>
+  );
+};
+
+const ItemsSection = () => {
+  const items = useData('items');
+  return (
+    <section>
+      <ul>
+        {items.map(item => (
+          <li key={item.id}>{item.text}</li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+const Placeholder = ({ label }) => <p aria-busy="true">Loading {label}…</p>;
+
+const StreamingPage = ({ data }) => (
+  <html lang="en">
+    <head>
+      <meta charSet="utf-8" />
+      <title>Streaming SSR</title>
+    </head>
+    <body>
+      <DataContext.Provider value={data}>
+        <header>
+          <h1>Streaming SSR</h1>
+          <nav>
+            <a href="/">Home</a>
+          </nav>
+        </header>
+        <Suspense fallback={<Placeholder label="user" />}>
+          <UserSection />
+        </Suspense>
+        <Suspense fallback={<Placeholder label="messages" />}>
+          <MessagesSection />
+        </Suspense>
+        <Suspense fallback={<Placeholder label="items" />}>
+          <ItemsSection />
+        </Suspense>
+      </DataContext.Provider>
+    </body>
+  </html>
+);
+
+export { StreamingPage };
@@ -93,9 +93,35 @@ const csr = {
       "Critical parts of the page are server-rendered for faster load and SEO.",
       "Remaining interactivity is added via client-side JavaScript."
     ],
-    examples: "Frameworks like Next.js allow using SSR for initial load and CSR for dynamic updates."
+    examples: "Frameworks like Next.js allow using SSR for initial load and CSR for dynamic updates.",
+    streaming: [
+      "The server sends the page shell immediately, with fallbacks where data is still loading.",
+      "Each Suspense boundary is streamed as soon as its data arrives, in any order, with an inline script that swaps it in.",
+      "Slow data delays only its own section, not the whole page (see ssr/streamRender.js)."
+    ]
+  };
+  
+  // Hydration Mismatches
+  const hydrationMismatches = {
+    definition: "The client's first render produces different markup than the HTML the server sent.",
+    causes: [
+      "Values that differ per call, like Date.now(), new Date() or Math.random(), used while rendering.",
+      "Browser-only state (localStorage, window size, the user's locale or time zone) read during render.",
+      "Different props or data on each side, e.g. the client fetching again instead of reusing the server's.",
+      "Invalid HTML nesting (a <div> inside a <p>) that the browser's parser rewrites."
+    ],
+    fixes: [
+      "Render the same thing on both sides first, then read browser-only values in useEffect and re-render.",
+      "Pass the server's data to the client as is (see ssr/render.js, __SSR_DATA__).",
+      "Generate ids with useId instead of random values."
+    ],
+    detection: [
+      "React warns about the first difference and falls back to client rendering.",
+      "ssr/hydrationCheck.js lists every difference with its path and both values, and flags Date/Math.random calls during render.",
+      "assertHydrates() from the same file fails a test when a component would not hydrate cleanly."
+    ]
   };
   
   // Exporting the Notes for Later Use
-  module.exports = { csr, ssr, initialLoadDifference, comparison, hybridApproach };
+  module.exports = { csr, ssr, initialLoadDifference, comparison, hybridApproach, hydrationMismatches };
   
\ No newline at end of file
@@ -0,0 +1,203 @@
+// Tests for AuthProvider in auth.js against createFakeAuthAdapter: restoring a
+// stored session, refreshing it, and logging out while requests are in flight
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, flush } = require("./dom");
+const React = require("react");
+const { AuthProvider, useAuth, createFakeAuthAdapter } = require("../auth");
+
+const users = [{ id: 1, username: "ada", password: "secret", name: "Ada", role: "admin" }];
+
+// In-memory stand-in for createLocalSessionStorage
+function createMemoryStorage(session) {
+  let value = session ? JSON.stringify(session) : null;
+  return {
+    load: () => value,
+    save: next => {
+      value = next;
+    },
+    clear: () => {
+      value = null;
+    },
+    read: () => (value ? JSON.parse(value) : null)
+  };
+}
+
+// Counts adapter calls, so a test can tell whether a refresh happened
+function spyOn(adapter) {
+  const calls = { login: 0, refresh: 0, logout: 0 };
+  const spied = {};
+  Object.keys(calls).forEach(name => {
+    spied[name] = (...args) => {
+      calls[name]++;
+      return adapter[name](...args);
+    };
+  });
+  return { adapter: spied, calls };
+}
+
+function mount(props) {
+  const auth = { current: null };
+  const Probe = () => {
+    auth.current = useAuth();
+    return null;
+  };
+  const view = render(
+    <AuthProvider {...props}>
+      <Probe />
+    </AuthProvider>
+  );
+  return { auth, ...view };
+}
+
+// A session from the fake adapter, so its refresh token is known to it
+async function loggedInSession(adapter) {
+  return adapter.login({ username: "ada", password: "secret" });
+}
+
+describe("restoring a session", () => {
+  it("uses a stored session that has not expired", async () => {
+    const fake = createFakeAuthAdapter({ users });
+    const stored = await loggedInSession(fake);
+    const { adapter, calls } = spyOn(fake);
+    const { auth, unmount } = mount({ adapter, storage: createMemoryStorage(stored) });
+
+    assert.equal(auth.current.status, "authenticated");
+    assert.equal(auth.current.token, stored.token);
+    assert.equal(calls.refresh, 0);
+    unmount();
+  });
+
+  it("refreshes an expired stored session, pending until it settles", async () => {
+    const fake = createFakeAuthAdapter({ users, latency: 10 });
+    const stored = { ...(await loggedInSession(fake)), expiresAt: Date.now() - 1 };
+    const storage = createMemoryStorage(stored);
+    const { auth, unmount } = mount({ adapter: fake, storage });
+
+    assert.equal(auth.current.status, "pending");
+    await flush(20);
+    assert.equal(auth.current.status, "authenticated");
+    assert.notEqual(auth.current.token, stored.token);
+    assert.equal(storage.read().token, auth.current.token);
+    unmount();
+  });
+
+  it("ends up anonymous when the stored session was revoked", async () => {
+    const fake = createFakeAuthAdapter({ users });
+    const stored = { ...(await loggedInSession(fake)), expiresAt: Date.now() - 1 };
+    fake.revokeAll();
+    const storage = createMemoryStorage(stored);
+    const { auth, unmount } = mount({ adapter: fake, storage });
+
+    await flush();
+    assert.equal(auth.current.status, "anonymous");
+    assert.equal(auth.current.error.message, "Session expired");
+    assert.equal(storage.read(), null);
+    unmount();
+  });
+
+  it("is anonymous with nothing stored", () => {
+    const { auth, unmount } = mount({ adapter: createFakeAuthAdapter({ users }), storage: createMemoryStorage() });
+    assert.equal(auth.current.status, "anonymous");
+    unmount();
+  });
+});
+
+describe("refresh timer", () => {
+  it("refreshes shortly before the token expires", async () => {
+    const fake = createFakeAuthAdapter({ users, tokenTtl: 40 });
+    const { adapter, calls } = spyOn(fake);
+    const { auth, unmount } = mount({ adapter, storage: null, refreshBefore: 20, minRefreshDelay: 0 });
+
+    await act(() => auth.current.login({ username: "ada", password: "secret" }));
+    const firstToken = auth.current.token;
+    assert.equal(calls.refresh, 0);
+    await flush(35);
+    assert.ok(calls.refresh >= 1);
+    assert.notEqual(auth.current.token, firstToken);
+    unmount();
+  });
+
+  // Firing early refreshes in a loop, so fail fast instead of hanging
+  it("does not fire early for tokens that expire after setTimeout's limit", { timeout: 2000 }, async () => {
+    const fake = createFakeAuthAdapter({ users, tokenTtl: 2 ** 32 });
+    const { adapter, calls } = spyOn(fake);
+    const { auth, unmount } = mount({ adapter, storage: null });
+
+    await act(() => auth.current.login({ username: "ada", password: "secret" }));
+    await flush(20);
+    assert.equal(calls.refresh, 0);
+    assert.equal(auth.current.status, "authenticated");
+    unmount();
+  });
+
+  // A refresh that is due at once would refresh in a loop, so fail fast instead of hanging
+  it("waits half the lifetime of tokens shorter than refreshBefore", { timeout: 2000 }, async () => {
+    const fake = createFakeAuthAdapter({ users, tokenTtl: 30 });
+    const { adapter, calls } = spyOn(fake);
+    const { auth, unmount } = mount({ adapter, storage: null, refreshBefore: 60, minRefreshDelay: 0 });
+
+    await act(() => auth.current.login({ username: "ada", password: "secret" }));
+    await flush(10);
+    assert.equal(calls.refresh, 0);
+    await flush(15);
+    assert.equal(calls.refresh, 1);
+    unmount();
+  });
+
+  it("never refreshes sooner than minRefreshDelay", { timeout: 2000 }, async () => {
+    const fake = createFakeAuthAdapter({ users, tokenTtl: 0 });
+    const { adapter, calls } = spyOn(fake);
+    const { auth, unmount } = mount({ adapter, storage: null, refreshBefore: 60 * 1000 });
+
+    await act(() => auth.current.login({ username: "ada", password: "secret" }));
+    await flush(50);
+    assert.equal(calls.refresh, 0);
+    assert.equal(auth.current.status, "authenticated");
+    unmount();
+  });
+});
+
+describe("races", () => {
+  it("stays logged out when a slow refresh answers after logout", async () => {
+    const fake = createFakeAuthAdapter({ users, latency: 20 });
+    const stored = { ...(await loggedInSession(fake)), expiresAt: Date.now() - 1 };
+    const storage = createMemoryStorage(stored);
+    const { auth, unmount } = mount({ adapter: fake, storage });
+
+    assert.equal(auth.current.status, "pending");
+    await act(() => auth.current.logout());
+    await flush(60);
+    assert.equal(auth.current.status, "anonymous");
+    assert.equal(storage.read(), null);
+    unmount();
+  });
+
+  it("keeps the newer login when an older one answers last", async () => {
+    const fake = createFakeAuthAdapter({ users: [...users, { id: 2, username: "bob", password: "pw", name: "Bob" }] });
+    const slow = { ...fake, login: credentials => new Promise(resolve => setTimeout(resolve, 30)).then(() => fake.login(credentials)) };
+    const adapter = { ...fake, login: credentials => (credentials.username === "ada" ? slow.login(credentials) : fake.login(credentials)) };
+    const { auth, unmount } = mount({ adapter, storage: null });
+
+    let first;
+    act(() => {
+      first = auth.current.login({ username: "ada", password: "secret" });
+    });
+    await act(() => auth.current.login({ username: "bob", password: "pw" }));
+    await flush(40);
+    await first;
+    assert.equal(auth.current.user.name, "Bob");
+    unmount();
+  });
+
+  it("keeps the session when a login fails", async () => {
+    const { auth, unmount } = mount({ adapter: createFakeAuthAdapter({ users }), storage: null });
+    await act(() => auth.current.login({ username: "ada", password: "secret" }));
+    const result = await act(() => auth.current.login({ username: "ada", password: "wrong" }));
+    assert.equal(result.ok, false);
+    assert.equal(auth.current.status, "authenticated");
+    assert.equal(auth.current.error.message, "Invalid username or password");
+    unmount();
+  });
+});
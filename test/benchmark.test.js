@@ -0,0 +1,41 @@
+// Tests for turning benchmark measurements into ssrCSR.js's comparison table
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toComparison } = require("../ssr/benchmark");
+const notes = require("../ssrCSR");
+
+const bytes = (html, js = 0, json = 0) => ({ html, js, json });
+const results = {
+  csr: { ttfb: 2, content: 120, interactive: 120, cpuMs: 1, requests: 3, bytes: bytes(400, 150000, 300), contentInHtml: false },
+  ssr: { ttfb: 8, content: 10, interactive: null, cpuMs: 6, requests: 1, bytes: bytes(3000), contentInHtml: true },
+  hybrid: { ttfb: 8, content: 10, interactive: 90, cpuMs: 6, requests: 2, bytes: bytes(3200, 150000), contentInHtml: true }
+};
+
+describe("toComparison", () => {
+  const { comparison, initialLoadDifference } = toComparison(results);
+
+  it("keeps every row of the notes' table, in order, before the added ones", () => {
+    const original = Object.keys(notes.comparison);
+    assert.deepEqual(Object.keys(comparison).slice(0, original.length), original);
+    assert.deepEqual(Object.keys(comparison).slice(original.length), ["timeToFirstByte", "timeToInteractive", "bytesTransferred"]);
+  });
+
+  it("fills measurable rows from the measurements", () => {
+    assert.equal(comparison.initialLoadTime.ssr, "10.0 ms to content (1 request)");
+    assert.equal(comparison.seo.csr, "Content is missing from the HTML response");
+    assert.equal(comparison.timeToInteractive.ssr, "Never (no JavaScript)");
+  });
+
+  it("keeps the notes' text for rows a page load can't measure", () => {
+    assert.equal(comparison.subsequentPages.csr, notes.comparison.subsequentPages.csr);
+    assert.equal(comparison.useCases.ssr, notes.comparison.useCases.ssr);
+    assert.equal(comparison.useCases.hybrid, notes.hybridApproach.examples);
+  });
+
+  it("has a column per measured mode in every row", () => {
+    [...Object.values(comparison), initialLoadDifference].forEach(row => {
+      assert.deepEqual(Object.keys(row), ["csr", "ssr", "hybrid"]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Tests for Show / Switch / Match in condtional-rendering.js: falsy `when`
+// values never reach the page, and the first truthy <Match> wins
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render } = require("./dom");
+const React = require("react");
+const { Show, Switch, Match, NotificationLogicalAnd, NotificationShow } = require("../condtional-rendering");
+
+const textOf = element => {
+  const { container, unmount } = render(element);
+  const text = container.textContent;
+  unmount();
+  return text;
+};
+
+describe("Show", () => {
+  it("renders the fallback, not the value, for 0, NaN and an empty string", () => {
+    [0, NaN, "", null, undefined, false].forEach(when => {
+      assert.equal(textOf(<Show when={when} fallback="none">shown</Show>), "none", `when=${String(when)}`);
+    });
+  });
+
+  it("renders nothing without a fallback", () => {
+    assert.equal(textOf(<div><Show when={0}>shown</Show></div>), "");
+  });
+
+  it("passes the truthy value to function children and skips them otherwise", () => {
+    const calls = [];
+    const children = value => {
+      calls.push(value);
+      return `count ${value}`;
+    };
+    assert.equal(textOf(<Show when={3}>{children}</Show>), "count 3");
+    assert.equal(textOf(<Show when={0}>{children}</Show>), "");
+    assert.deepEqual(calls, [3]);
+  });
+
+  it("fixes the 0 that && renders", () => {
+    assert.equal(textOf(<NotificationLogicalAnd hasNewMessages={0} />), "0");
+    assert.equal(textOf(<NotificationShow hasNewMessages={0} />), "");
+    assert.equal(textOf(<NotificationShow hasNewMessages={2} />), "You have new messages!");
+  });
+});
+
+describe("Switch / Match", () => {
+  it("renders the first truthy Match, even when later ones match too", () => {
+    const element = (
+      <Switch fallback="fallback">
+        <Match when={0}>zero</Match>
+        <Match when="">empty</Match>
+        <Match when="yes">first</Match>
+        <Match when>second</Match>
+      </Switch>
+    );
+    assert.equal(textOf(element), "first");
+  });
+
+  it("renders the fallback when no Match is truthy", () => {
+    const element = (
+      <Switch fallback="fallback">
+        <Match when={0}>zero</Match>
+        <Match when={NaN}>nan</Match>
+      </Switch>
+    );
+    assert.equal(textOf(element), "fallback");
+  });
+
+  it("ignores children that are not a Match", () => {
+    const element = (
+      <Switch>
+        <p>not a match</p>
+        {false}
+        <Match when={1}>match</Match>
+      </Switch>
+    );
+    assert.equal(textOf(element), "match");
+  });
+
+  it("passes the matching value to function children", () => {
+    const element = (
+      <Switch>
+        <Match when={0}>{value => `zero ${value}`}</Match>
+        <Match when={7}>{value => `seven is ${value}`}</Match>
+      </Switch>
+    );
+    assert.equal(textOf(element), "seven is 7");
+  });
+});
@@ -0,0 +1,127 @@
+// Tests for the diff engine in dfifing.js, one block per rule it describes
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { h, render, diff, reconcileChildren, applyPatches, shallowEqual } = require("../dfifing");
+
+const list = (...keys) => h("ul", null, ...keys.map(key => h("li", { key }, `Item ${key}`)));
+const ops = patches => patches.map(patch => patch.op);
+
+describe("text nodes", () => {
+  it("only change their text", () => {
+    assert.deepEqual(diff("old", "new"), [{ op: "text-update", path: [], value: "new" }]);
+    assert.deepEqual(diff(h("p", null, "old"), h("p", null, "new")), [{ op: "text-update", path: [0], value: "new" }]);
+  });
+
+  it("produce no patch when the text is the same", () => {
+    assert.deepEqual(diff(h("p", null, "same"), h("p", null, "same")), []);
+  });
+});
+
+describe("type changes", () => {
+  it("replace the whole subtree when the tag changes", () => {
+    const patches = diff(h("div", null, h("p", null, "Old text")), h("div", null, h("span", null, "Old text")));
+    assert.deepEqual(patches, [{ op: "replace", path: [0], node: render(h("span", null, "Old text")) }]);
+  });
+
+  it("replace text with an element and the other way round", () => {
+    assert.deepEqual(ops(diff(h("div", null, "text"), h("div", null, h("b", null, "text")))), ["replace"]);
+    assert.deepEqual(ops(diff(h("div", null, h("b", null, "text")), h("div", null, "text"))), ["replace"]);
+  });
+
+  it("replace components of another type even when they render the same", () => {
+    const Greeting = ({ name }) => h("h1", null, `Hi ${name}`);
+    const Farewell = ({ name }) => h("h1", null, `Hi ${name}`);
+    assert.deepEqual(ops(diff(h(Greeting, { name: "Ann" }), h(Farewell, { name: "Ann" }))), ["replace"]);
+  });
+});
+
+describe("props", () => {
+  it("sets changed and added props and removes dropped ones", () => {
+    const patches = diff(h("a", { href: "/old", title: "Old" }), h("a", { href: "/new", id: "link" }));
+    assert.deepEqual(patches, [
+      { op: "remove-prop", path: [], name: "title" },
+      { op: "set-prop", path: [], name: "href", value: "/new" },
+      { op: "set-prop", path: [], name: "id", value: "link" }
+    ]);
+  });
+
+  it("compares style objects shallowly", () => {
+    assert.deepEqual(diff(h("p", { style: { color: "red" } }), h("p", { style: { color: "red" } })), []);
+    assert.deepEqual(ops(diff(h("p", { style: { color: "red" } }), h("p", { style: { color: "blue" } }))), ["set-prop"]);
+  });
+});
+
+describe("keyed children", () => {
+  it("creates only the new item when one is prepended", () => {
+    const { patches, inserts, removals, moves, updates } = reconcileChildren(list("a", "b").children, list("c", "a", "b").children);
+    assert.deepEqual({ inserts, removals, moves, updates }, { inserts: 1, removals: 0, moves: 0, updates: 0 });
+    assert.deepEqual(patches, [{ op: "create", path: [0], node: render(h("li", { key: "c" }, "Item c")) }]);
+  });
+
+  it("removes only the dropped item", () => {
+    const patches = diff(list("a", "b", "c"), list("a", "c"));
+    assert.deepEqual(patches, [{ op: "remove", path: [1] }]);
+  });
+
+  it("moves an item instead of rebuilding the list", () => {
+    const { patches, moves, inserts, removals } = reconcileChildren(list("a", "b", "c").children, list("c", "a", "b").children);
+    assert.deepEqual({ moves, inserts, removals }, { moves: 1, inserts: 0, removals: 0 });
+    assert.deepEqual(patches, [{ op: "move", path: [], from: 2, to: 0 }]);
+  });
+
+  it("updates every item by position in index mode", () => {
+    const { moves, updates } = reconcileChildren(list("a", "b", "c").children, list("c", "a", "b").children, { mode: "index" });
+    assert.equal(moves, 0);
+    assert.equal(updates, 3);
+  });
+});
+
+describe("shouldComponentUpdate", () => {
+  const Price = ({ amount }) => h("span", null, `$${amount.toFixed(2)}`);
+  Price.shouldComponentUpdate = (oldProps, newProps) => !shallowEqual(oldProps, newProps);
+
+  it("skips the subtree when it returns false", () => {
+    assert.deepEqual(diff(h(Price, { amount: 5 }), h(Price, { amount: 5 })), []);
+  });
+
+  it("diffs the rendered output when it returns true", () => {
+    assert.deepEqual(diff(h(Price, { amount: 5 }), h(Price, { amount: 6 })), [{ op: "text-update", path: [0], value: "$6.00" }]);
+  });
+});
+
+describe("applyPatches(render(a), diff(a, b))", () => {
+  // Small seeded generator, so a failure can be reproduced
+  const random = seed => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const randomTree = (next, depth) => {
+    if (depth === 0 || next() < 0.2) return `text ${Math.floor(next() * 3)}`;
+    const type = ["div", "ul", "p"][Math.floor(next() * 3)];
+    const props = next() < 0.5 ? { className: `c${Math.floor(next() * 3)}` } : {};
+    const keys = ["a", "b", "c", "d", "e", "f"].filter(() => next() < 0.6).sort(() => next() - 0.5);
+    const children = keys.map(key => {
+      const child = randomTree(next, depth - 1);
+      return typeof child === "string" || next() < 0.2 ? child : { ...child, key };
+    });
+    return h(type, props, ...children);
+  };
+
+  // Index mode ignores keys, so they are not carried over to the patched tree
+  const withoutKeys = node => (typeof node === "string" ? node : { ...node, key: null, children: node.children.map(withoutKeys) });
+
+  ["keyed", "index"].forEach(mode => {
+    it(`rebuilds the new tree for random pairs (${mode})`, () => {
+      const next = random(mode === "keyed" ? 1 : 2);
+      for (let i = 0; i < 500; i++) {
+        const a = randomTree(next, 3);
+        const b = randomTree(next, 3);
+        const patched = applyPatches(render(a), diff(a, b, { mode }));
+        if (mode === "keyed") assert.deepEqual(patched, render(b), `pair ${i}`);
+        else assert.deepEqual(withoutKeys(patched), withoutKeys(render(b)), `pair ${i}`);
+      }
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// jsdom globals for tests that render with react-dom. Require this before
+// anything that touches `document`.
+
+const { JSDOM } = require("jsdom");
+
+const dom = new JSDOM("<!doctype html><html><body></body></html>", {
+  pretendToBeVisual: true,
+  url: "http://localhost/"
+});
+const { window } = dom;
+
+["window", "document", "navigator", "localStorage", "HTMLElement", "Node", "Event", "KeyboardEvent", "MouseEvent", "getComputedStyle", "requestAnimationFrame", "cancelAnimationFrame"]
+  .forEach(name => {
+    const value = name === "window" ? window : typeof window[name] === "function" && !/^[A-Z]/.test(name) ? window[name].bind(window) : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { act } = require("react");
+const { createRoot } = require("react-dom/client");
+
+// Mounts `element` into a fresh container: { container, rerender, unmount }
+function render(element) {
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  act(() => root.render(element));
+  return {
+    container,
+    rerender: next => act(() => root.render(next)),
+    unmount: () => {
+      act(() => root.unmount());
+      container.remove();
+    }
+  };
+}
+
+// Lets pending promises (fake adapters, fetches) settle inside act()
+const flush = (ms = 0) => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+
+module.exports = { window, render, act, flush };
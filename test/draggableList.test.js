@@ -0,0 +1,107 @@
+// Tests for moveItems and keyboard reordering in DraggableList (keyslists.js)
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, window } = require("./dom");
+const React = require("react");
+const { moveItems, DraggableListExample } = require("../keyslists");
+
+describe("moveItems", () => {
+  const items = ["a", "b", "c", "d"];
+
+  it("moves to the very start and the very end", () => {
+    assert.deepEqual(moveItems(items, [2], 0), ["c", "a", "b", "d"]);
+    assert.deepEqual(moveItems(items, [0], items.length), ["b", "c", "d", "a"]);
+  });
+
+  it("leaves the list alone when dropped next to itself", () => {
+    assert.deepEqual(moveItems(items, [1], 1), items);
+    assert.deepEqual(moveItems(items, [1], 2), items);
+    assert.deepEqual(moveItems(items, [], 3), items);
+  });
+
+  it("keeps several moved items in their original order", () => {
+    assert.deepEqual(moveItems(items, [3, 0], 2), ["b", "a", "d", "c"]);
+    assert.deepEqual(moveItems(items, [0, 2], items.length), ["b", "d", "a", "c"]);
+  });
+
+  it("does not change the input", () => {
+    const copy = [...items];
+    moveItems(copy, [0], 3);
+    assert.deepEqual(copy, items);
+  });
+});
+
+describe("DraggableList keyboard reordering", () => {
+  const mount = () => {
+    const view = render(<DraggableListExample />);
+    const options = () => Array.from(view.container.querySelectorAll("[role=option]"));
+    const press = (index, key, init = {}) =>
+      act(() => options()[index].dispatchEvent(new window.KeyboardEvent("keydown", { key, bubbles: true, ...init })));
+    const labels = () => options().map(option => option.textContent);
+    const status = () => view.container.querySelector("[role=status]").textContent;
+    return { ...view, options, press, labels, status };
+  };
+
+  it("picks up with Space, moves with the arrows and drops with Space", () => {
+    const { press, labels, status, options, unmount } = mount();
+    press(0, " ");
+    assert.equal(options()[0].getAttribute("aria-grabbed"), "true");
+    assert.match(status(), /^Picked up Draggable 1, position 1 of 3/);
+
+    press(0, "ArrowDown");
+    press(0, "ArrowDown");
+    assert.equal(status(), "Draggable 1, position 3 of 3.");
+    press(0, " ");
+    assert.deepEqual(labels(), ["Draggable 2", "Draggable 3", "Draggable 1"]);
+    assert.equal(status(), "Dropped Draggable 1 at position 3 of 3.");
+    assert.equal(options()[0].hasAttribute("aria-grabbed"), false);
+    unmount();
+  });
+
+  it("stops at the first and last position", () => {
+    const { press, labels, status, unmount } = mount();
+    press(1, " ");
+    press(1, "ArrowUp");
+    press(1, "ArrowUp");
+    assert.equal(status(), "Draggable 2, position 1 of 3.");
+    ["ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown"].forEach(key => press(1, key));
+    assert.equal(status(), "Draggable 2, position 3 of 3.");
+    press(1, "Enter");
+    assert.deepEqual(labels(), ["Draggable 1", "Draggable 3", "Draggable 2"]);
+    unmount();
+  });
+
+  it("puts everything back on Escape", () => {
+    const { press, labels, status, unmount } = mount();
+    press(2, " ");
+    press(2, "ArrowUp");
+    press(2, "Escape");
+    assert.deepEqual(labels(), ["Draggable 1", "Draggable 2", "Draggable 3"]);
+    assert.match(status(), /^Reorder cancelled/);
+    unmount();
+  });
+
+  it("moves a Ctrl+click selection together", () => {
+    const { options, press, labels, status, unmount } = mount();
+    act(() => options()[0].click());
+    act(() => options()[2].dispatchEvent(new window.MouseEvent("click", { bubbles: true, ctrlKey: true })));
+    press(2, " ");
+    assert.match(status(), /^Picked up 2 items, position 2 of 2/);
+    press(2, "ArrowUp");
+    press(2, " ");
+    assert.deepEqual(labels(), ["Draggable 1", "Draggable 3", "Draggable 2"]);
+    unmount();
+  });
+
+  it("moves focus with the arrows when nothing is picked up", () => {
+    const { options, press, unmount } = mount();
+    act(() => options()[0].focus());
+    press(0, "ArrowDown");
+    assert.equal(window.document.activeElement, options()[1]);
+    press(1, "ArrowUp");
+    press(0, "ArrowUp");
+    assert.equal(window.document.activeElement, options()[0]);
+    unmount();
+  });
+});
@@ -0,0 +1,161 @@
+// Tests for featureFlags.js: stable rollout buckets, rule evaluation order,
+// and local overrides through the provider and the override panel
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, window } = require("./dom");
+const React = require("react");
+const {
+  hashString,
+  rolloutBucket,
+  evaluateFlag,
+  FlagsProvider,
+  useFlag,
+  FlagOverridePanel,
+  FlaggedHeader,
+  FlaggedDashboard
+} = require("../featureFlags");
+const flags = require("../flags.json");
+
+describe("rollout buckets", () => {
+  it("hashes with 32-bit FNV-1a", () => {
+    assert.equal(hashString(""), 0x811c9dc5);
+    assert.equal(hashString("a"), 0xe40c292c);
+  });
+
+  it("gives a user the same bucket every time", () => {
+    assert.equal(rolloutBucket("newDashboard", "u-42"), 36.39);
+    assert.equal(rolloutBucket("newDashboard", "u-42"), rolloutBucket("newDashboard", "u-42"));
+  });
+
+  it("puts a user in different buckets for different flags", () => {
+    assert.equal(rolloutBucket("greetingStyle", "u-42"), 14.67);
+  });
+
+  it("lets roughly the rollout percentage of users in", () => {
+    let inRollout = 0;
+    for (let i = 0; i < 1000; i++) {
+      if (rolloutBucket("newDashboard", `u-${i}`) < 25) inRollout++;
+    }
+    assert.ok(inRollout > 200 && inRollout < 300, `${inRollout} of 1000`);
+  });
+});
+
+describe("evaluateFlag", () => {
+  const evaluate = (name, context) => evaluateFlag(name, flags[name], context);
+
+  it("returns the first matching rule", () => {
+    assert.deepEqual(evaluate("newDashboard", { user: { id: "u-42", role: "admin" }, environment: "production" }), {
+      value: true,
+      reason: "rule 1"
+    });
+  });
+
+  it("matches percentage rollouts by the hashed user key", () => {
+    assert.deepEqual(evaluate("greetingStyle", { user: { id: "u-42" } }), { value: "friendly", reason: "rule 1" });
+    assert.deepEqual(evaluate("greetingStyle", { user: { id: "u-2" } }), { value: "classic", reason: "default" });
+  });
+
+  it("keeps users without a key out of rollouts", () => {
+    assert.deepEqual(evaluate("greetingStyle", { user: {} }), { value: "classic", reason: "default" });
+  });
+
+  it("only applies rules for their environments", () => {
+    const germanUser = { user: { country: "DE" } };
+    assert.deepEqual(evaluate("messageBadge", { ...germanUser, environment: "production" }), { value: true, reason: "rule 1" });
+    assert.deepEqual(evaluate("messageBadge", { user: { country: "US" }, environment: "production" }), {
+      value: false,
+      reason: 'environment "production"'
+    });
+    assert.deepEqual(evaluate("messageBadge", { ...germanUser, environment: "development" }), { value: true, reason: "default" });
+  });
+
+  it("falls back to the environment value, then the default", () => {
+    const user = { id: "u-42", role: "user" };
+    assert.deepEqual(evaluate("newDashboard", { user, environment: "development" }), { value: true, reason: 'environment "development"' });
+    assert.deepEqual(evaluate("newDashboard", { user, environment: "production" }), { value: false, reason: "default" });
+  });
+});
+
+describe("overrides", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  const FlagValue = ({ name }) => <output>{String(useFlag(name))}</output>;
+
+  const choose = (container, name, value) => {
+    const select = container.querySelector(`select[aria-label="Override ${name}"]`);
+    act(() => {
+      select.value = value;
+      select.dispatchEvent(new window.Event("change", { bubbles: true }));
+    });
+  };
+
+  const mount = environment =>
+    render(
+      <FlagsProvider environment={environment} user={{ id: "u-2" }}>
+        <FlagValue name="greetingStyle" />
+        <FlagOverridePanel />
+      </FlagsProvider>
+    );
+
+  it("wins over the evaluated value and is stored for the next visit", () => {
+    const { container, unmount } = mount("development");
+    assert.equal(container.querySelector("output").textContent, "classic");
+
+    choose(container, "greetingStyle", "friendly");
+    assert.equal(container.querySelector("output").textContent, "friendly");
+    assert.deepEqual(JSON.parse(window.localStorage.getItem("feature-flag-overrides")), { greetingStyle: "friendly" });
+    unmount();
+
+    const again = mount("development");
+    assert.equal(again.container.querySelector("output").textContent, "friendly");
+    again.unmount();
+  });
+
+  it("can be cleared again", () => {
+    const { container, unmount } = mount("development");
+    choose(container, "greetingStyle", "friendly");
+    choose(container, "greetingStyle", "");
+    assert.equal(container.querySelector("output").textContent, "classic");
+    assert.deepEqual(JSON.parse(window.localStorage.getItem("feature-flag-overrides")), {});
+    unmount();
+  });
+
+  it("are ignored in production, where the panel is hidden", () => {
+    window.localStorage.setItem("feature-flag-overrides", JSON.stringify({ greetingStyle: "friendly" }));
+    const { container, unmount } = mount("production");
+    assert.equal(container.querySelector("output").textContent, "classic");
+    assert.equal(container.querySelector("section"), null);
+    unmount();
+  });
+});
+
+describe("flagged components", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it("renders the friendly greeting and the badge through t()", () => {
+    const { container, unmount } = render(
+      <FlagsProvider environment="development" user={{ id: "u-42" }}>
+        <FlaggedHeader isLoggedIn unreadCount={3} />
+      </FlagsProvider>
+    );
+    assert.equal(container.querySelector("h1").textContent, "Hey, good to see you!");
+    assert.equal(container.querySelector("span").textContent, "3 new");
+    unmount();
+  });
+
+  it("picks the dashboard by the newDashboard flag", () => {
+    const dashboardIn = environment => {
+      const { container, unmount } = render(
+        <FlagsProvider environment={environment} user={{ id: "u-42", role: "user" }}>
+          <FlaggedDashboard role="user" />
+        </FlagsProvider>
+      );
+      const text = container.querySelector("h1").textContent;
+      unmount();
+      return text;
+    };
+    assert.equal(dashboardIn("development"), "Welcome, User!");
+    assert.equal(dashboardIn("production"), "User Panel");
+  });
+});
@@ -0,0 +1,116 @@
+// Tests for the time-sliced scheduler in fiberScheduler.js, driven by a fake clock
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Lanes, createFakeClock, createScheduler } = require("../fiberScheduler");
+
+// A list of `state.items`, one fiber per item
+const ItemList = ({ state }) => ({
+  type: "ul",
+  props: {},
+  key: null,
+  children: state.items.map(item => ({ type: "li", props: {}, key: item, children: [item] }))
+});
+
+function setup(items = []) {
+  const clock = createFakeClock();
+  const commits = [];
+  const scheduler = createScheduler(ItemList, { items }, {
+    clock,
+    timeSlice: 5,
+    onUnitOfWork: () => clock.advance(1),
+    onCommit: ({ lane, state }) => commits.push({ lane, items: state.items })
+  });
+  return { clock, commits, scheduler };
+}
+
+const append = item => state => ({ items: [...state.items, item] });
+const many = count => Array.from({ length: count }, (_, i) => `bg${i}`);
+const types = log => log.map(entry => (entry.lane ? `${entry.type}:${entry.lane}` : entry.type));
+
+describe("time slicing", () => {
+  it("yields once the time slice is used up and commits at the end", () => {
+    const { scheduler } = setup();
+    scheduler.scheduleUpdate(state => ({ items: [...state.items, ...many(12)] }), Lanes.Background);
+
+    assert.equal(scheduler.performSlice(), true);
+    assert.equal(scheduler.isRendering(), true);
+    assert.equal(scheduler.getTree(), null, "nothing is committed halfway");
+
+    const slices = scheduler.runUntilIdle();
+    assert.ok(slices >= 1);
+    assert.equal(scheduler.getTree().children.length, 12);
+    const yields = scheduler.getLog().filter(entry => entry.type === "yield");
+    assert.ok(yields.length >= 2);
+    yields.forEach(entry => assert.equal(entry.units % 5, 0));
+  });
+
+  it("renders a small update in one slice", () => {
+    const { scheduler } = setup();
+    scheduler.scheduleUpdate(append("a"));
+    assert.equal(scheduler.performSlice(), false);
+    assert.deepEqual(types(scheduler.getLog()), ["schedule:Default", "start:Default", "commit:Default"]);
+  });
+});
+
+describe("interruptions", () => {
+  it("aborts background work for user input and restarts it afterwards", () => {
+    const { scheduler, commits } = setup();
+    scheduler.scheduleUpdate(state => ({ items: [...state.items, ...many(20)] }), Lanes.Background);
+    scheduler.runUntilIdle({
+      betweenSlices: slice => {
+        if (slice === 2) scheduler.scheduleUpdate(append("typed"), Lanes.UserInput);
+      }
+    });
+
+    const log = types(scheduler.getLog()).filter(type => !type.startsWith("yield"));
+    assert.deepEqual(log, [
+      "schedule:Background",
+      "start:Background",
+      "schedule:UserInput",
+      "abort:Background",
+      "start:UserInput",
+      "commit:UserInput",
+      "start:Background",
+      "commit:Background"
+    ]);
+    const abort = scheduler.getLog().find(entry => entry.type === "abort");
+    assert.equal(abort.by, "UserInput");
+    assert.deepEqual(commits.map(commit => commit.lane), [Lanes.UserInput, Lanes.Background]);
+  });
+
+  it("does not abort for an update of the same or lower priority", () => {
+    const { scheduler } = setup();
+    scheduler.scheduleUpdate(state => ({ items: [...state.items, ...many(20)] }), Lanes.Default);
+    scheduler.performSlice();
+    scheduler.scheduleUpdate(append("later"), Lanes.Background);
+    scheduler.runUntilIdle();
+    assert.equal(scheduler.getLog().filter(entry => entry.type === "abort").length, 0);
+  });
+});
+
+describe("rebasing", () => {
+  it("commits the urgent update first but ends with every update applied in order", () => {
+    const { scheduler, commits } = setup(["start"]);
+    scheduler.scheduleUpdate(append("background"), Lanes.Background);
+    scheduler.scheduleUpdate(append("input"), Lanes.UserInput);
+    scheduler.runUntilIdle();
+
+    assert.deepEqual(commits, [
+      { lane: Lanes.UserInput, items: ["start", "input"] },
+      { lane: Lanes.Background, items: ["start", "background", "input"] }
+    ]);
+    assert.deepEqual(scheduler.getState().items, ["start", "background", "input"]);
+  });
+
+  it("keeps updates scheduled during a render for the next one", () => {
+    const { scheduler } = setup();
+    scheduler.scheduleUpdate(state => ({ items: [...state.items, ...many(12)] }), Lanes.Default);
+    scheduler.runUntilIdle({
+      betweenSlices: slice => {
+        if (slice === 1) scheduler.scheduleUpdate(append("during"), Lanes.Default);
+      }
+    });
+    assert.deepEqual(scheduler.getState().items, [...many(12), "during"]);
+  });
+});
@@ -0,0 +1,69 @@
+// Tests for ssr/hydrationCheck.js: a clock component must fail, the string
+// check client.js uses runs no effects, and every route in ssr/pages.js must
+// hydrate cleanly from its own server props
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./dom");
+const React = require("react");
+const { assertHydrates, checkHydration, diffHtml } = require("../ssr/hydrationCheck");
+const { routes, noteTopics, App } = require("../ssr/pages");
+const { loadPage } = require("../ssr/render");
+
+// A concrete URL for each route pattern
+const urlFor = path => path.replace(":topic", noteTopics[0]);
+
+describe("assertHydrates", () => {
+  it("flags a component that renders Date.now()", () => {
+    const Clock = () => <p>Rendered at {Date.now()}</p>;
+    assert.throws(() => assertHydrates(<Clock />), error => {
+      assert.match(error.message, /Hydration check failed/);
+      assert.ok(error.impure.some(call => call.api === "Date.now()"));
+      return true;
+    });
+  });
+
+  it("reports server markup that differs from the client's first render", () => {
+    const Greeting = () => <p>Hello</p>;
+    const { ok, mismatches } = checkHydration(<Greeting />, { serverHtml: "<p>Goodbye</p>" });
+    assert.equal(ok, false);
+    assert.deepEqual(mismatches, [{ type: "text", path: "p[0] > #text[0]", server: "Goodbye", client: "Hello" }]);
+  });
+
+  it("ignores the comments React puts between adjacent text on the server", () => {
+    assert.deepEqual(diffHtml("<p>Hi <!-- -->Ada</p>", "<p>Hi Ada</p>"), []);
+  });
+});
+
+describe("clientRender: 'string'", () => {
+  it("runs no effects, unlike mounting a detached root", () => {
+    let runs = 0;
+    const Tracked = () => {
+      React.useEffect(() => {
+        runs++;
+      }, []);
+      return <p>Hello</p>;
+    };
+
+    assert.equal(checkHydration(<Tracked />, { serverHtml: "<p>Hello</p>", clientRender: "string" }).ok, true);
+    assert.equal(runs, 0);
+    checkHydration(<Tracked />, { serverHtml: "<p>Hello</p>" });
+    assert.equal(runs, 1);
+  });
+
+  it("renders with the browser's globals, so browser-only reads still show up", () => {
+    const Where = () => <p>{typeof window === "undefined" ? "server" : "browser"}</p>;
+    const { mismatches } = checkHydration(<Where />, { serverHtml: "<p>server</p>", clientRender: "string" });
+    assert.deepEqual(mismatches, [{ type: "text", path: "p[0] > #text[0]", server: "server", client: "browser" }]);
+  });
+});
+
+describe("pages.js routes", () => {
+  routes.forEach(route => {
+    it(`${route.path} hydrates cleanly`, async () => {
+      const page = await loadPage(urlFor(route.path));
+      assert.ok(page, `${urlFor(route.path)} has a page`);
+      assertHydrates(<App path={route.path} props={page.props} />);
+    });
+  });
+});
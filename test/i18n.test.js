@@ -0,0 +1,65 @@
+// Tests for i18n.js: lookups along the locale fallback chain, missing keys,
+// and the provider feeding the conditional rendering components
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render } = require("./dom");
+const React = require("react");
+const { createTranslator, I18nProvider, NewMessageCount } = require("../i18n");
+const { GreetingIfStatement, UserName } = require("../condtional-rendering");
+
+describe("createTranslator", () => {
+  it("falls back from de-AT to de to en", () => {
+    const missing = [];
+    const catalogs = {
+      en: { "only.en": "English", "both.de": "English too" },
+      de: { "both.de": "Deutsch" },
+      "de-AT": { "only.at": "Österreichisch" }
+    };
+    const t = createTranslator({ catalogs, locale: "de-AT", onMissingKey: key => missing.push(key) });
+    assert.equal(t("only.at"), "Österreichisch");
+    assert.equal(t("both.de"), "Deutsch");
+    assert.equal(t("only.en"), "English");
+    assert.deepEqual(missing, []);
+  });
+
+  it("uses the bundled catalogs by default", () => {
+    const t = createTranslator({ locale: "de-AT" });
+    assert.equal(t("greeting.welcomeBack"), "Servus, willkommen zurück!");
+    assert.equal(t("user.guest"), "Gast");
+  });
+
+  it("formats with the plural rules and numbers of the locale", () => {
+    const t = createTranslator({ locale: "de-AT" });
+    assert.equal(t("notifications.newMessageCount", { count: 1 }), "Du hast 1 neue Nachricht.");
+    assert.equal(t("notifications.newMessageCount", { count: 1000 }), "Du hast 1.000 neue Nachrichten.");
+  });
+
+  it("returns the key for a missing message and reports it", () => {
+    const missing = [];
+    const t = createTranslator({ locale: "de", onMissingKey: (key, locale) => missing.push([key, locale]) });
+    assert.equal(t("does.not.exist"), "does.not.exist");
+    assert.deepEqual(missing, [["does.not.exist", "de"]]);
+  });
+});
+
+describe("I18nProvider", () => {
+  const textIn = (locale, element) => {
+    const { container, unmount } = render(<I18nProvider locale={locale}>{element}</I18nProvider>);
+    const text = container.textContent;
+    unmount();
+    return text;
+  };
+
+  it("translates the conditional rendering components", () => {
+    assert.equal(textIn("de-AT", <GreetingIfStatement isLoggedIn />), "Servus, willkommen zurück!");
+    assert.equal(textIn("de-AT", <UserName />), "Gast");
+    assert.equal(textIn("de", <NewMessageCount count={0} />), "Du hast keine neuen Nachrichten.");
+  });
+
+  it("renders English without a provider", () => {
+    const { container, unmount } = render(<GreetingIfStatement isLoggedIn={false} />);
+    assert.equal(container.textContent, "Please log in.");
+    unmount();
+  });
+});
@@ -0,0 +1,88 @@
+// Tests for i18nExtract.js: finding t() keys in code and checking them
+// against the catalogs
+
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { extractKeys, checkCatalogs, main } = require("../i18nExtract");
+
+describe("extractKeys", () => {
+  it("collects literal keys and lists dynamic ones", () => {
+    const code = [
+      "const A = () => <h1>{t(\"greeting.hello\")}</h1>;",
+      "const B = () => i18n.t(`greeting.bye`, { name });",
+      "const C = ({ key }) => t(key);",
+      "const D = () => format(\"not.a.key\");"
+    ].join("\n");
+    const { keys, dynamic } = extractKeys(code, "example.js");
+    assert.deepEqual(keys, [
+      { key: "greeting.hello", file: "example.js", line: 1 },
+      { key: "greeting.bye", file: "example.js", line: 2 }
+    ]);
+    assert.deepEqual(dynamic, [{ file: "example.js", line: 3 }]);
+  });
+});
+
+describe("checkCatalogs", () => {
+  const used = [
+    { key: "a", file: "x.js", line: 1 },
+    { key: "b", file: "x.js", line: 2 },
+    { key: "a", file: "y.js", line: 5 }
+  ];
+  const catalogs = {
+    en: { a: "A", b: "B", old: "Old" },
+    de: { a: "{n, plural, one {x}}" },
+    "de-AT": {}
+  };
+
+  it("reports missing keys with the locale they fall back to", () => {
+    const report = Object.fromEntries(checkCatalogs(used, catalogs, "en").map(entry => [entry.locale, entry]));
+    assert.deepEqual(report.en.missing, []);
+    assert.deepEqual(report.en.unused, ["old"]);
+    assert.deepEqual(report.de.missing, [{ key: "b", usedAt: used[1], fallsBackTo: "en" }]);
+    assert.deepEqual(report["de-AT"].missing.map(entry => [entry.key, entry.fallsBackTo]), [["a", "de"], ["b", "en"]]);
+  });
+
+  it("reports messages that don't parse", () => {
+    const [de] = checkCatalogs(used, catalogs, "en").filter(entry => entry.locale === "de");
+    assert.equal(de.invalid.length, 1);
+    assert.match(de.invalid[0].message, /Missing "other" option/);
+  });
+});
+
+describe("main", () => {
+  const run = (files, catalogs, args = []) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "i18n-extract-"));
+    const logged = [];
+    const log = mock.method(console, "log", line => logged.push(line));
+    try {
+      fs.mkdirSync(path.join(root, "locales"));
+      Object.entries(catalogs).forEach(([locale, catalog]) => {
+        fs.writeFileSync(path.join(root, "locales", `${locale}.json`), JSON.stringify(catalog));
+      });
+      Object.entries(files).forEach(([name, code]) => fs.writeFileSync(path.join(root, name), code));
+      const code = main([root, "--locales", path.join(root, "locales"), ...args]);
+      return { code, logged };
+    } finally {
+      log.mock.restore();
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+
+  it("fails when the default locale is missing a key", () => {
+    const { code, logged } = run({ "app.js": "t(\"a\"); t(\"b\");" }, { en: { a: "A" }, de: { a: "A", b: "B" } });
+    assert.equal(code, 1);
+    assert.ok(logged.includes("en: 1 missing, 0 unused, 0 invalid"));
+    assert.ok(logged.some(line => /missing {2}b {2}\(.*app\.js:1, NOT TRANSLATED\)/.test(line)));
+  });
+
+  it("passes when only other locales fall back, and prints JSON with --json", () => {
+    const { code, logged } = run({ "app.js": "t(\"a\");" }, { en: { a: "A" }, de: {} }, ["--json"]);
+    assert.equal(code, 0);
+    const report = JSON.parse(logged.join("\n"));
+    assert.deepEqual(report.keys, ["a"]);
+    assert.deepEqual(report.locales.find(entry => entry.locale === "de").missing.map(entry => entry.fallsBackTo), ["en"]);
+  });
+});
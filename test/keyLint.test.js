@@ -0,0 +1,89 @@
+// Tests for the static key checker in keyLint.js, on snippets and on the
+// mistakes keyslists.js shows on purpose
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { lintSource, collectFiles, readIgnoredDirectories } = require("../keyLint");
+
+const rules = code => lintSource(code).map(problem => [problem.rule, problem.severity]);
+
+describe("rules", () => {
+  it("missing-key: JSX returned from .map() without a key", () => {
+    assert.deepEqual(rules("const List = ({ items }) => <ul>{items.map(item => <li>{item}</li>)}</ul>;"), [["missing-key", "error"]]);
+    assert.deepEqual(rules("const List = ({ items }) => <ul>{items.map(item => <li key={item.id}>{item}</li>)}</ul>;"), []);
+  });
+
+  it("index-key: only when the array is changed elsewhere", () => {
+    const staticList = "const List = () => { const items = ['a']; return items.map((item, i) => <li key={i}>{item}</li>); };";
+    assert.deepEqual(rules(staticList), []);
+    const changed = `
+      const List = () => {
+        const [items, setItems] = useState([]);
+        const add = () => setItems([...items, 'x']);
+        return items.map((item, i) => <li key={i}>{item}</li>);
+      };`;
+    assert.deepEqual(rules(changed).map(([rule]) => rule), ["index-key"]);
+  });
+
+  it("random-key: keys built from Math.random() or Date.now()", () => {
+    assert.deepEqual(
+      rules("const List = ({ items }) => items.map(item => <li key={Math.random()}>{item}</li>);").map(([rule]) => rule),
+      ["random-key"]
+    );
+  });
+
+  it("non-unique-key: duplicate values in local data", () => {
+    const code = `
+      const List = () => {
+        const items = [{ text: 'a', category: 'A' }, { text: 'b', category: 'A' }];
+        return items.map(item => <li key={item.category}>{item.text}</li>);
+      };`;
+    assert.deepEqual(rules(code), [["non-unique-key", "error"]]);
+  });
+});
+
+describe("keyslists.js", () => {
+  const file = path.join(__dirname, "..", "keyslists.js");
+  const problems = lintSource(fs.readFileSync(file, "utf8"), file);
+  const find = (rule, component) => problems.find(problem => problem.rule === rule && problem.component === component);
+
+  it("reports SimpleList's list without keys", () => {
+    const problem = find("missing-key", "SimpleList");
+    assert.ok(problem);
+    assert.equal(problem.line, 29);
+    assert.equal(problem.severity, "error");
+  });
+
+  it("reports BadKeyExample's duplicate category key", () => {
+    const problem = find("non-unique-key", "BadKeyExample");
+    assert.ok(problem);
+    assert.equal(problem.line, 247);
+    assert.match(problem.message, /"A"/);
+  });
+
+  it("reports nothing else", () => {
+    assert.equal(problems.length, 2);
+  });
+});
+
+describe("collectFiles", () => {
+  it("skips node_modules, dot directories and what .gitignore names", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "key-lint-"));
+    try {
+      ["src", "ssr/dist", "node_modules/pkg", ".cache"].forEach(dir => fs.mkdirSync(path.join(root, dir), { recursive: true }));
+      ["src/a.jsx", "src/notes.md", "ssr/page.js", "ssr/dist/bundle.js", "node_modules/pkg/index.js", ".cache/x.js"]
+        .forEach(file => fs.writeFileSync(path.join(root, file), ""));
+      fs.writeFileSync(path.join(root, ".gitignore"), "# build output\nssr/dist/\n*.log\n");
+
+      const ignored = readIgnoredDirectories(root);
+      assert.deepEqual(ignored, [path.join(root, "ssr/dist")]);
+      const files = collectFiles(root, ignored).map(file => path.relative(root, file)).sort();
+      assert.deepEqual(files, [path.join("src", "a.jsx"), path.join("ssr", "page.js")]);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,99 @@
+// Tests for the runtime key checks in keyValidation.js, rendered with react-dom
+// and collected through createCollectingReporter
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render } = require("./dom");
+const React = require("react");
+const { KeyValidatedList, createCollectingReporter, findKeyProblems } = require("../keyValidation");
+
+const renderItem = item => <li>{item.text}</li>;
+const types = reporter => reporter.reports.map(report => report.type);
+
+const items = [
+  { id: 1, text: "Item 1", category: "A" },
+  { id: 2, text: "Item 2", category: "A" },
+  { id: 3, text: "Item 3", category: "B" }
+];
+
+describe("duplicate keys", () => {
+  it("reports two siblings with the same key", () => {
+    const reporter = createCollectingReporter();
+    const { unmount } = render(
+      <KeyValidatedList name="BadKeyExample" items={items} getKey={item => item.category} renderItem={renderItem} reporter={reporter} />
+    );
+    assert.equal(reporter.reports.length, 1);
+    const [report] = reporter.reports;
+    assert.equal(report.list, "BadKeyExample");
+    assert.equal(report.type, "duplicate-key");
+    assert.equal(report.key, "A");
+    assert.deepEqual(report.indexes, [0, 1]);
+    unmount();
+  });
+
+  it("reports the same duplicate once across renders", () => {
+    const reporter = createCollectingReporter();
+    const getKey = item => item.category;
+    const { rerender, unmount } = render(<KeyValidatedList items={items} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    rerender(<KeyValidatedList items={[...items]} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    assert.deepEqual(types(reporter), ["duplicate-key"]);
+    unmount();
+  });
+
+  it("stays quiet for unique ids", () => {
+    const reporter = createCollectingReporter();
+    const { unmount } = render(<KeyValidatedList items={items} getKey={item => item.id} renderItem={renderItem} reporter={reporter} />);
+    assert.deepEqual(reporter.reports, []);
+    unmount();
+  });
+});
+
+describe("index keys", () => {
+  const getKey = (item, index) => index;
+
+  it("are fine while the list is only appended to", () => {
+    const reporter = createCollectingReporter();
+    const { rerender, unmount } = render(<KeyValidatedList items={items} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    rerender(
+      <KeyValidatedList items={[...items, { id: 4, text: "Item 4" }]} getKey={getKey} renderItem={renderItem} reporter={reporter} />
+    );
+    assert.deepEqual(reporter.reports, []);
+    unmount();
+  });
+
+  it("are reported once the list is reordered", () => {
+    const reporter = createCollectingReporter();
+    const { rerender, unmount } = render(
+      <KeyValidatedList name="Todos" items={items} getKey={getKey} renderItem={renderItem} reporter={reporter} />
+    );
+    rerender(<KeyValidatedList name="Todos" items={[...items].reverse()} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    assert.deepEqual(types(reporter), ["index-key"]);
+    assert.equal(reporter.reports[0].list, "Todos");
+    unmount();
+  });
+
+  it("are reported when an item is removed", () => {
+    const reporter = createCollectingReporter();
+    const { rerender, unmount } = render(<KeyValidatedList items={items} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    rerender(<KeyValidatedList items={items.slice(1)} getKey={getKey} renderItem={renderItem} reporter={reporter} />);
+    assert.deepEqual(types(reporter), ["index-key"]);
+    unmount();
+  });
+});
+
+describe("findKeyProblems", () => {
+  it("flags keys that look random or time based", () => {
+    const problems = findKeyProblems(null, { keys: ["0.4821", 1700000000000, "a"], identities: [1, 2, 3] });
+    assert.deepEqual(problems.map(problem => [problem.type, problem.index]), [["random-key", 0], ["random-key", 1]]);
+  });
+
+  it("flags an item whose key changed between renders", () => {
+    const previous = { keys: ["a", "b"], identities: [1, 2] };
+    const problems = findKeyProblems(previous, { keys: ["a", "c"], identities: [1, 2] });
+    assert.deepEqual(problems.map(problem => [problem.type, problem.previousKey, problem.key]), [["unstable-key", "b", "c"]]);
+  });
+
+  it("accepts stable keys on a reordered list", () => {
+    assert.deepEqual(findKeyProblems({ keys: [1, 2], identities: [1, 2] }, { keys: [2, 1], identities: [2, 1] }), []);
+  });
+});
@@ -0,0 +1,140 @@
+// Tests for createPagedDataSource in listDataSource.js against
+// createFakeBackend: dedupe, retries, end of list and reset()
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeBackend, createPagedDataSource } = require("../listDataSource");
+
+const makeItems = count => Array.from({ length: count }, (_, i) => ({ id: i + 1, text: `Item ${i + 1}` }));
+const ids = source => source.getSnapshot().items.map(item => item.id);
+
+describe("offset pagination", () => {
+  it("drops items that shift onto the next page after an upstream insert", async () => {
+    const backend = createFakeBackend(makeItems(6), { latency: 0 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchOffset, pageSize: 3 });
+
+    await source.loadNext();
+    backend.insert({ id: 100, text: "New" }, 0);
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2, 3, 4, 5]);
+
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2, 3, 4, 5, 6]);
+    assert.equal(source.getSnapshot().status, "done");
+  });
+
+  it("stops at the total without asking for an empty page", async () => {
+    const backend = createFakeBackend(makeItems(4), { latency: 0 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchOffset, pageSize: 2 });
+
+    await source.loadNext();
+    await source.loadNext();
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2, 3, 4]);
+    assert.equal(source.getSnapshot().hasMore, false);
+    assert.equal(backend.requestCount, 2);
+  });
+});
+
+describe("cursor pagination", () => {
+  it("ends when the backend returns no next cursor", async () => {
+    const backend = createFakeBackend(makeItems(5), { latency: 0 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchCursor, mode: "cursor", pageSize: 2 });
+
+    await source.loadNext();
+    await source.loadNext();
+    assert.equal(source.getSnapshot().status, "idle");
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2, 3, 4, 5]);
+    assert.equal(source.getSnapshot().status, "done");
+    await source.loadNext();
+    assert.equal(backend.requestCount, 3);
+  });
+
+  it("is not shifted by upstream inserts", async () => {
+    const backend = createFakeBackend(makeItems(4), { latency: 0 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchCursor, mode: "cursor", pageSize: 2 });
+
+    await source.loadNext();
+    backend.insert({ id: 100, text: "New" }, 0);
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2, 3, 4]);
+  });
+});
+
+describe("retries", () => {
+  it("retries a failed page, asking retryDelay for each attempt", async () => {
+    const delays = [];
+    const backend = createFakeBackend(makeItems(2), { latency: 0, shouldFail: request => request <= 2 });
+    const source = createPagedDataSource({
+      fetchPage: backend.fetchOffset,
+      pageSize: 2,
+      retryDelay: attempt => {
+        delays.push(attempt);
+        return 0;
+      }
+    });
+
+    await source.loadNext();
+    assert.deepEqual(delays, [0, 1]);
+    assert.equal(backend.requestCount, 3);
+    assert.deepEqual(ids(source), [1, 2]);
+  });
+
+  it("reports an error after maxRetries and loads the same page on retry()", async () => {
+    const backend = createFakeBackend(makeItems(4), { latency: 0, shouldFail: request => request === 2 || request === 3 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchOffset, pageSize: 2, maxRetries: 1, retryDelay: () => 0 });
+
+    await source.loadNext();
+    await source.loadNext();
+    const failed = source.getSnapshot();
+    assert.equal(failed.status, "error");
+    assert.equal(failed.error.message, "Request 3 failed");
+    assert.deepEqual(ids(source), [1, 2]);
+
+    await source.retry();
+    assert.deepEqual(ids(source), [1, 2, 3, 4]);
+  });
+});
+
+describe("reset()", () => {
+  it("ignores a page that arrives after the reset", async () => {
+    const backend = createFakeBackend(makeItems(4), { latency: 10 });
+    const source = createPagedDataSource({ fetchPage: backend.fetchOffset, pageSize: 2 });
+
+    const stale = source.loadNext();
+    source.reset();
+    await stale;
+    assert.deepEqual(source.getSnapshot(), { items: [], status: "idle", error: null, hasMore: true });
+
+    await source.loadNext();
+    assert.deepEqual(ids(source), [1, 2]);
+  });
+
+  it("drops a page from before the reset that succeeds on retry", async () => {
+    const backend = createFakeBackend(makeItems(2), { latency: 0, shouldFail: request => request === 1 });
+    const source = createPagedDataSource({
+      fetchPage: backend.fetchOffset,
+      pageSize: 2,
+      retryDelay: () => {
+        source.reset();
+        return 0;
+      }
+    });
+
+    await source.loadNext();
+    assert.equal(backend.requestCount, 2);
+    assert.deepEqual(source.getSnapshot().items, []);
+    assert.equal(source.getSnapshot().status, "idle");
+  });
+
+  it("notifies subscribers", () => {
+    const source = createPagedDataSource({ fetchPage: createFakeBackend([]).fetchOffset });
+    let calls = 0;
+    const unsubscribe = source.subscribe(() => calls++);
+    source.reset();
+    unsubscribe();
+    source.reset();
+    assert.equal(calls, 1);
+  });
+});
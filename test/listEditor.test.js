@@ -0,0 +1,189 @@
+// Tests for useListForm in listEditor.js: async validation races, what submit
+// sends, and reset
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, flush } = require("./dom");
+const React = require("react");
+const { useListForm, required, uniqueField } = require("../listEditor");
+
+const items = [
+  { id: 1, text: "Item 1" },
+  { id: 2, text: "Item 2" }
+];
+
+// An async check whose answers the test releases by hand, newest last
+function createManualCheck() {
+  const calls = [];
+  const check = value => new Promise(resolve => {
+    calls.push({ value, resolve });
+  });
+  return { check, calls };
+}
+
+function mount(options) {
+  const form = { current: null };
+  const Probe = () => {
+    form.current = useListForm({ items, validateRows: [uniqueField("text")], onSubmit: async () => ({}), ...options });
+    return null;
+  };
+  const view = render(<Probe />);
+  return { form, ...view };
+}
+
+describe("async validation", () => {
+  it("drops a stale result when a newer check answers first", async () => {
+    const { check, calls } = createManualCheck();
+    const { form, unmount } = mount({ fields: { text: { validate: [required()], validateAsync: check } } });
+
+    act(() => form.current.setValue("saved-1", "text", "taken"));
+    act(() => form.current.setValue("saved-1", "text", "free"));
+    assert.equal(form.current.isValidating("saved-1", "text"), true);
+
+    calls[1].resolve(undefined);
+    await flush();
+    calls[0].resolve("Name is already taken");
+    await flush();
+    assert.equal(form.current.errors["saved-1"], undefined);
+    assert.equal(form.current.isValidating("saved-1", "text"), false);
+    unmount();
+  });
+
+  it("blocks submit when the async check fails", async () => {
+    const sent = [];
+    const { form, unmount } = mount({
+      fields: { text: { validateAsync: async value => (value === "taken" ? "Name is already taken" : undefined) } },
+      onSubmit: async changes => {
+        sent.push(changes);
+      }
+    });
+
+    act(() => form.current.setValue("saved-1", "text", "taken"));
+    const result = await act(() => form.current.submit());
+    assert.equal(result.ok, false);
+    assert.deepEqual(sent, []);
+    assert.equal(form.current.visibleError("saved-1", "text"), "Name is already taken");
+    unmount();
+  });
+
+  it("waits for the newest check when an edit supersedes the submit's check", async () => {
+    const { check, calls } = createManualCheck();
+    const sent = [];
+    const { form, unmount } = mount({
+      fields: { text: { validateAsync: check } },
+      onSubmit: async changes => {
+        sent.push(changes);
+      }
+    });
+
+    act(() => form.current.setValue("saved-1", "text", "first"));
+    calls[0].resolve(undefined);
+    await flush();
+
+    let submitting;
+    act(() => {
+      submitting = form.current.submit();
+    });
+    act(() => form.current.setValue("saved-1", "text", "taken"));
+    calls[1].resolve(undefined); // the submit's check, now superseded
+    calls[2].resolve("Name is already taken");
+    const result = await act(() => submitting);
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(sent, []);
+    unmount();
+  });
+
+  it("ignores a second submit while the first is still checking", async () => {
+    const { check, calls } = createManualCheck();
+    const sent = [];
+    const { form, unmount } = mount({
+      fields: { text: { validateAsync: check } },
+      onSubmit: async changes => {
+        sent.push(changes);
+      }
+    });
+
+    act(() => form.current.setValue("saved-1", "text", "renamed"));
+    calls[0].resolve(undefined);
+    await flush();
+
+    let first;
+    act(() => {
+      first = form.current.submit();
+    });
+    const second = await act(() => form.current.submit());
+    assert.deepEqual(second, { ok: false, busy: true });
+    calls[1].resolve(undefined);
+    assert.equal((await act(() => first)).ok, true);
+    assert.equal(sent.length, 1);
+    unmount();
+  });
+});
+
+describe("submit", () => {
+  it("sends only what changed as { added, updated, removed }", async () => {
+    const sent = [];
+    const { form, unmount } = mount({
+      fields: { text: { validate: [required()] } },
+      onSubmit: async changes => {
+        sent.push(changes);
+        return { ids: { [changes.added[0].key]: 3 } };
+      }
+    });
+
+    let key;
+    act(() => form.current.setValue("saved-1", "text", "Renamed"));
+    act(() => form.current.removeRow("saved-2"));
+    act(() => {
+      key = form.current.addRow({ text: "New" });
+    });
+    const result = await act(() => form.current.submit());
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(sent, [{
+      added: [{ key, text: "New" }],
+      updated: [{ id: 1, changes: { text: "Renamed" } }],
+      removed: [2]
+    }]);
+    assert.equal(form.current.isDirty, false);
+    assert.equal(form.current.rows.find(row => row.key === key).id, 3);
+    unmount();
+  });
+
+  it("does not send rows with sync errors", async () => {
+    const sent = [];
+    const { form, unmount } = mount({
+      fields: { text: { validate: [required()] } },
+      onSubmit: async changes => {
+        sent.push(changes);
+      }
+    });
+
+    act(() => form.current.setValue("saved-1", "text", "Item 2"));
+    const result = await act(() => form.current.submit());
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors, { "saved-1": { text: "Must be unique" }, "saved-2": { text: "Must be unique" } });
+    assert.deepEqual(sent, []);
+    unmount();
+  });
+});
+
+describe("reset", () => {
+  it("puts rows, errors and touched fields back to the saved state", () => {
+    const { form, unmount } = mount({ fields: { text: { validate: [required()] } } });
+
+    act(() => form.current.setValue("saved-1", "text", ""));
+    act(() => {
+      form.current.addRow();
+    });
+    assert.equal(form.current.visibleError("saved-1", "text"), "Required");
+    assert.equal(form.current.isDirty, true);
+
+    act(() => form.current.reset());
+    assert.deepEqual(form.current.rows.map(row => row.values.text), ["Item 1", "Item 2"]);
+    assert.equal(form.current.isDirty, false);
+    assert.equal(form.current.visibleError("saved-1", "text"), null);
+    unmount();
+  });
+});
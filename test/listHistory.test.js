@@ -0,0 +1,168 @@
+// Tests for listHistory.js: undo/redo, grouped changes, the history limit,
+// ids, persistence, and typing into DynamicList (keyslists.js)
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, window } = require("./dom");
+const React = require("react");
+const { useListHistory, createMemoryStorageAdapter, serializeList } = require("../listHistory");
+const { DynamicList } = require("../keyslists");
+
+const initialItems = [
+  { id: 1, text: "Item 1" },
+  { id: 2, text: "Item 2" }
+];
+
+function mount(items = initialItems, options) {
+  const list = { current: null };
+  const Probe = () => {
+    list.current = useListHistory(items, options);
+    return null;
+  };
+  const view = render(<Probe />);
+  return { list, ...view };
+}
+
+const texts = list => list.current.items.map(item => item.text);
+
+describe("undo / redo", () => {
+  it("steps back and forth through changes", () => {
+    const { list, unmount } = mount();
+    act(() => list.current.updateItem(1, "First"));
+    act(() => list.current.removeItem(2));
+    assert.deepEqual(texts(list), ["First"]);
+
+    act(() => list.current.undo());
+    assert.deepEqual(texts(list), ["First", "Item 2"]);
+    act(() => list.current.undo());
+    assert.deepEqual(texts(list), ["Item 1", "Item 2"]);
+    assert.equal(list.current.canUndo, false);
+
+    act(() => list.current.redo());
+    assert.deepEqual(texts(list), ["First", "Item 2"]);
+    assert.equal(list.current.canRedo, true);
+    unmount();
+  });
+
+  it("drops the redo steps after a new change", () => {
+    const { list, unmount } = mount();
+    act(() => list.current.updateItem(1, "First"));
+    act(() => list.current.undo());
+    act(() => list.current.updateItem(2, "Second"));
+    assert.equal(list.current.canRedo, false);
+    unmount();
+  });
+});
+
+describe("groups", () => {
+  it("makes everything between beginGroup and endGroup one undo step", () => {
+    const { list, unmount } = mount();
+    act(() => list.current.beginGroup());
+    ["I", "It", "Ite"].forEach(text => act(() => list.current.updateItem(1, text)));
+    act(() => list.current.endGroup());
+    act(() => list.current.updateItem(2, "Next"));
+
+    act(() => list.current.undo());
+    assert.deepEqual(texts(list), ["Ite", "Item 2"]);
+    act(() => list.current.undo());
+    assert.deepEqual(texts(list), ["Item 1", "Item 2"]);
+    assert.equal(list.current.canUndo, false);
+    unmount();
+  });
+
+  it("treats nested groups as part of the outer one", () => {
+    const { list, unmount } = mount();
+    act(() => {
+      list.current.batch(() => {
+        list.current.addItem("A");
+        list.current.batch(() => list.current.addItem("B"));
+        list.current.removeItem(1);
+      });
+    });
+    assert.deepEqual(texts(list), ["Item 2", "A", "B"]);
+    act(() => list.current.undo());
+    assert.deepEqual(texts(list), ["Item 1", "Item 2"]);
+    unmount();
+  });
+});
+
+describe("history limit", () => {
+  it("keeps only the last maxHistory steps", () => {
+    const { list, unmount } = mount(initialItems, { maxHistory: 2 });
+    ["a", "b", "c"].forEach(text => act(() => list.current.updateItem(1, text)));
+
+    act(() => list.current.undo());
+    act(() => list.current.undo());
+    assert.equal(list.current.canUndo, false);
+    assert.deepEqual(texts(list), ["a", "Item 2"]);
+    unmount();
+  });
+});
+
+describe("ids", () => {
+  it("starts at 1 on an empty list and never reuses ids", () => {
+    const { list, unmount } = mount([]);
+    act(() => list.current.addItem(id => `Item ${id}`));
+    assert.deepEqual(list.current.items, [{ id: 1, text: "Item 1" }]);
+
+    act(() => list.current.removeItem(1));
+    act(() => list.current.undo());
+    act(() => list.current.undo());
+    act(() => list.current.addItem("again"));
+    assert.deepEqual(list.current.items, [{ id: 2, text: "again" }]);
+    unmount();
+  });
+});
+
+describe("persistence", () => {
+  it("saves changes and restores them with the id counter", () => {
+    const storage = createMemoryStorageAdapter();
+    const first = mount(initialItems, { storage });
+    act(() => first.list.current.addItem("Saved"));
+    act(() => first.list.current.removeItem(3));
+    first.unmount();
+
+    const second = mount([], { storage });
+    assert.deepEqual(texts(second.list), ["Item 1", "Item 2"]);
+    assert.equal(second.list.current.nextId, 4);
+    second.unmount();
+  });
+
+  it("migrates older saved data and reports what it cannot load", () => {
+    const migrations = { 1: data => ({ ...data, items: data.items.map(item => ({ ...item, text: item.text.toUpperCase() })) }) };
+    const old = createMemoryStorageAdapter(serializeList({ items: [{ id: 5, text: "old" }], nextId: 6 }, 1));
+    const migrated = mount([], { storage: old, version: 2, migrations });
+    assert.deepEqual(migrated.list.current.items, [{ id: 5, text: "OLD" }]);
+    migrated.unmount();
+
+    const errors = [];
+    const newer = createMemoryStorageAdapter(serializeList({ items: [], nextId: 1 }, 3));
+    const fallback = mount(initialItems, { storage: newer, version: 2, onStorageError: error => errors.push(error.message) });
+    assert.deepEqual(texts(fallback.list), ["Item 1", "Item 2"]);
+    assert.match(errors[0], /newer than supported version 2/);
+    fallback.unmount();
+  });
+});
+
+describe("DynamicList", () => {
+  const setInputValue = (input, value) => {
+    Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, "value").set.call(input, value);
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  };
+
+  it("undoes what was typed into an item in one step", () => {
+    const { container, unmount } = render(<DynamicList storage={createMemoryStorageAdapter()} />);
+    const input = container.querySelector('input[aria-label="Item 1"]');
+    const undo = Array.from(container.querySelectorAll("button")).find(button => button.textContent === "Undo");
+
+    act(() => input.focus());
+    ["Item 1!", "Item 1!!", "Item 1!!!"].forEach(value => act(() => setInputValue(input, value)));
+    act(() => input.blur());
+    assert.equal(input.value, "Item 1!!!");
+
+    act(() => undo.click());
+    assert.equal(input.value, "Item 1");
+    assert.equal(undo.disabled, true);
+    unmount();
+  });
+});
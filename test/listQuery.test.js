@@ -0,0 +1,79 @@
+// Tests for listQuery.js: the query <-> URL round trip with typed filters,
+// and applying a query to items
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyListQuery, queryToSearchParams, queryFromSearchParams, inferFieldTypes, emptyQuery } = require("../listQuery");
+
+const products = [
+  { id: 1, sku: "42", text: "Apple", price: 3, inStock: true },
+  { id: 2, sku: "0042", text: "Banana", price: 1, inStock: false },
+  { id: 3, sku: "7", text: "Carrot", price: 3, inStock: true }
+];
+const fieldTypes = inferFieldTypes(products);
+
+const roundTrip = query => queryFromSearchParams(queryToSearchParams(query), emptyQuery(), fieldTypes);
+
+describe("inferFieldTypes", () => {
+  it("takes each field's type from the items", () => {
+    assert.deepEqual(fieldTypes, { id: "number", sku: "string", text: "string", price: "number", inStock: "boolean" });
+  });
+
+  it("skips empty values", () => {
+    assert.deepEqual(inferFieldTypes([{ price: null }, { price: 2 }]), { price: "number" });
+  });
+});
+
+describe("URL round trip", () => {
+  it("keeps numeric-looking values of string fields as strings", () => {
+    const query = { ...emptyQuery(), filters: { sku: "42" } };
+    assert.equal(queryToSearchParams(query), "filter.sku=42&pageSize=20");
+    assert.deepEqual(roundTrip(query).filters, { sku: "42" });
+    assert.deepEqual(roundTrip({ ...emptyQuery(), filters: { sku: "0042" } }).filters, { sku: "0042" });
+  });
+
+  it("turns number and boolean filters back into their types", () => {
+    const query = { ...emptyQuery(), filters: { price: 3, inStock: true } };
+    assert.deepEqual(roundTrip(query).filters, { price: 3, inStock: true });
+  });
+
+  it("keeps multi-value filters as arrays of the field's type", () => {
+    const query = { ...emptyQuery(), filters: { price: [1, 3], sku: ["7", "42"] } };
+    assert.deepEqual(roundTrip(query).filters, { price: [1, 3], sku: ["7", "42"] });
+  });
+
+  it("leaves values that don't fit the type as strings", () => {
+    const parsed = queryFromSearchParams("filter.price=cheap&filter.inStock=yes", emptyQuery(), fieldTypes);
+    assert.deepEqual(parsed.filters, { price: "cheap", inStock: "yes" });
+  });
+
+  it("keeps everything a string without field types", () => {
+    assert.deepEqual(queryFromSearchParams("filter.price=3&filter.inStock=true").filters, { price: "3", inStock: "true" });
+  });
+
+  it("round-trips sort, search and page", () => {
+    const query = { ...emptyQuery(10), sort: [{ field: "price", direction: "desc" }, { field: "text", direction: "asc" }], search: "an", page: 2 };
+    assert.deepEqual(roundTrip(query), { ...query, pageSize: 10 });
+  });
+
+  it("filters the same items after the round trip", () => {
+    const query = { ...emptyQuery(), filters: { sku: "42", inStock: true } };
+    const before = applyListQuery(products, query).items.map(item => item.id);
+    assert.deepEqual(before, [1]);
+    assert.deepEqual(applyListQuery(products, roundTrip(query)).items.map(item => item.id), before);
+  });
+});
+
+describe("applyListQuery", () => {
+  it("sorts stably, keeping ties in their original order", () => {
+    const query = { ...emptyQuery(), sort: [{ field: "price", direction: "desc" }] };
+    assert.deepEqual(applyListQuery(products, query).items.map(item => item.id), [1, 3, 2]);
+  });
+
+  it("searches the given fields and paginates", () => {
+    const view = applyListQuery(products, { ...emptyQuery(1), search: "an", page: 5 }, { searchFields: ["text"] });
+    assert.equal(view.total, 1);
+    assert.equal(view.page, 1);
+    assert.deepEqual(view.items.map(item => item.text), ["Banana"]);
+  });
+});
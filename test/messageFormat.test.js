@@ -0,0 +1,76 @@
+// Tests for the ICU MessageFormat subset in messageFormat.js
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMessage, formatMessage, fallbackChain } = require("../messageFormat");
+
+describe("plural", () => {
+  const messages = "{count, plural, =0 {no messages} one {# message} other {# messages}}";
+
+  it("prefers an exact =n option, then the locale's category", () => {
+    assert.equal(formatMessage(messages, { count: 0 }), "no messages");
+    assert.equal(formatMessage(messages, { count: 1 }), "1 message");
+    assert.equal(formatMessage(messages, { count: 1200 }), "1,200 messages");
+  });
+
+  it("formats # with the locale's number format", () => {
+    assert.equal(formatMessage("{count, plural, one {# Nachricht} other {# Nachrichten}}", { count: 1200 }, "de"), "1.200 Nachrichten");
+  });
+
+  it("subtracts the offset for categories and #", () => {
+    const message = "{n, plural, offset:1 =0 {nobody} =1 {you} one {you and # other} other {you and # others}}";
+    assert.equal(formatMessage(message, { n: 1 }), "you");
+    assert.equal(formatMessage(message, { n: 2 }), "you and 1 other");
+    assert.equal(formatMessage(message, { n: 3 }), "you and 2 others");
+  });
+
+  it("supports selectordinal", () => {
+    const message = "{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}";
+    assert.deepEqual([1, 2, 3, 4, 11, 23].map(place => formatMessage(message, { place })), ["1st", "2nd", "3rd", "4th", "11th", "23rd"]);
+  });
+});
+
+describe("select", () => {
+  it("picks the matching option or other", () => {
+    const message = "{role, select, admin {Admin} other {User}}";
+    assert.equal(formatMessage(message, { role: "admin" }), "Admin");
+    assert.equal(formatMessage(message, { role: "editor" }), "User");
+  });
+
+  it("replaces # with the plural's number inside a select nested in a plural", () => {
+    const message = "{count, plural, one {{gender, select, female {# Freundin} other {# Freund}}} other {{gender, select, female {# Freundinnen} other {# Freunde}}}}";
+    assert.equal(formatMessage(message, { count: 1, gender: "female" }, "de"), "1 Freundin");
+    assert.equal(formatMessage(message, { count: 3, gender: "male" }, "de"), "3 Freunde");
+  });
+
+  it("keeps # literal in a select outside any plural", () => {
+    assert.equal(formatMessage("{tag, select, hash {#1} other {none}}", { tag: "hash" }), "#1");
+  });
+});
+
+describe("arguments and quoting", () => {
+  it("formats numbers and leaves missing values visible", () => {
+    assert.equal(formatMessage("{n, number}", { n: 1234.5 }, "de"), "1.234,5");
+    assert.equal(formatMessage("{ratio, number, percent}", { ratio: 0.25 }), "25%");
+    assert.equal(formatMessage("Hello {name}"), "Hello {name}");
+  });
+
+  it("reads apostrophes as quotes around braces", () => {
+    assert.equal(formatMessage("It''s '{'literal'}' {n}", { n: 1 }), "It's {literal} 1");
+    assert.equal(formatMessage("{n, plural, other {'#' #}}", { n: 5 }), "# 5");
+  });
+
+  it("rejects malformed messages", () => {
+    assert.throws(() => parseMessage("{n, plural, one {x}}"), /Missing "other" option/);
+    assert.throws(() => parseMessage("{n, currency}"), /Unknown argument type "currency"/);
+    assert.throws(() => parseMessage("oops}"), /Unexpected "}"/);
+  });
+});
+
+describe("fallbackChain", () => {
+  it("drops subtags, then ends with the fallback locale", () => {
+    assert.deepEqual(fallbackChain("de-AT"), ["de-AT", "de", "en"]);
+    assert.deepEqual(fallbackChain("en-GB"), ["en-GB", "en"]);
+    assert.deepEqual(fallbackChain("fr", "de"), ["fr", "de"]);
+  });
+});
@@ -0,0 +1,161 @@
+// Tests for the notification store in notifications.js: the toast cap,
+// merging repeats, and auto-dismiss timers (with mocked timers)
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act } = require("./dom");
+const React = require("react");
+const { createNotificationStore, NotificationProvider, NotificationBadge, Toasts } = require("../notifications");
+
+const toastMessages = store => store.getSnapshot().toasts.map(toast => toast.message);
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+describe("toast cap", () => {
+  it("shows at most maxToasts and queues the rest in order", () => {
+    const store = createNotificationStore({ maxToasts: 2 });
+    ["a", "b", "c", "d"].forEach(message => store.notify(message));
+
+    assert.deepEqual(toastMessages(store), ["a", "b"]);
+    assert.equal(store.getSnapshot().queuedToasts, 2);
+
+    store.dismissToast(store.getSnapshot().toasts[0].id);
+    assert.deepEqual(toastMessages(store), ["b", "c"]);
+    assert.equal(store.getSnapshot().queuedToasts, 1);
+  });
+
+  it("keeps notifications with toast: false out of the toasts", () => {
+    const store = createNotificationStore();
+    store.notify({ message: "quiet", toast: false });
+    assert.deepEqual(toastMessages(store), []);
+    assert.equal(store.getSnapshot().unreadCount, 1);
+  });
+});
+
+describe("auto-dismiss", () => {
+  it("dismisses a toast after the duration for its severity", () => {
+    const store = createNotificationStore({ durations: { info: 1000, success: 500, warning: 2000, error: null } });
+    store.notify({ message: "saved", severity: "success" });
+    store.notify({ message: "fyi" });
+
+    mock.timers.tick(499);
+    assert.deepEqual(toastMessages(store), ["saved", "fyi"]);
+    mock.timers.tick(1);
+    assert.deepEqual(toastMessages(store), ["fyi"]);
+    mock.timers.tick(500);
+    assert.deepEqual(toastMessages(store), []);
+    assert.equal(store.getSnapshot().notifications.length, 2);
+  });
+
+  it("keeps errors until they are dismissed", () => {
+    const store = createNotificationStore();
+    store.notify({ message: "failed", severity: "error" });
+    mock.timers.tick(60 * 60 * 1000);
+    assert.deepEqual(toastMessages(store), ["failed"]);
+  });
+
+  it("starts a queued toast's timer only once it is shown", () => {
+    const store = createNotificationStore({ maxToasts: 1 });
+    store.notify({ message: "first", duration: 1000 });
+    store.notify({ message: "second", duration: 1000 });
+
+    mock.timers.tick(1000);
+    assert.deepEqual(toastMessages(store), ["second"]);
+    mock.timers.tick(999);
+    assert.deepEqual(toastMessages(store), ["second"]);
+    mock.timers.tick(1);
+    assert.deepEqual(toastMessages(store), []);
+  });
+
+  it("cancels the timer of a removed toast", () => {
+    const store = createNotificationStore({ maxToasts: 1 });
+    const first = store.notify({ message: "first", duration: 1000 });
+    store.notify({ message: "second", duration: 1000 });
+    mock.timers.tick(500);
+    store.remove(first);
+
+    mock.timers.tick(500);
+    assert.deepEqual(toastMessages(store), ["second"]);
+    mock.timers.tick(500);
+    assert.deepEqual(toastMessages(store), []);
+  });
+});
+
+describe("repeats", () => {
+  it("counts a repeat on the toast that is still up instead of adding one", () => {
+    const store = createNotificationStore();
+    const id = store.notify({ message: "Offline", severity: "warning" });
+    assert.equal(store.notify({ message: "Offline", severity: "warning" }), id);
+
+    const { notifications, toasts } = store.getSnapshot();
+    assert.equal(notifications.length, 1);
+    assert.equal(toasts.length, 1);
+    assert.equal(toasts[0].count, 2);
+  });
+
+  it("restarts the timer of the repeated toast", () => {
+    const store = createNotificationStore();
+    store.notify({ message: "Offline", duration: 1000 });
+    mock.timers.tick(800);
+    store.notify({ message: "Offline", duration: 1000 });
+
+    mock.timers.tick(800);
+    assert.deepEqual(toastMessages(store), ["Offline"]);
+    mock.timers.tick(200);
+    assert.deepEqual(toastMessages(store), []);
+  });
+
+  it("marks the repeat unread and moves it to the top", () => {
+    const store = createNotificationStore();
+    const id = store.notify("Offline");
+    store.notify("Saved");
+    store.markRead(id);
+    store.notify("Offline");
+
+    const { notifications, unreadCount } = store.getSnapshot();
+    assert.deepEqual(notifications.map(notification => notification.message), ["Offline", "Saved"]);
+    assert.equal(unreadCount, 2);
+  });
+
+  it("adds a new notification once the earlier toast is gone, or for another key", () => {
+    const store = createNotificationStore();
+    const first = store.notify({ message: "Offline", duration: 1000 });
+    mock.timers.tick(1000);
+    assert.notEqual(store.notify({ message: "Offline", duration: 1000 }), first);
+
+    store.notify({ message: "Offline", severity: "error" });
+    store.notify({ message: "Sync failed", key: "sync" });
+    store.notify({ message: "Sync failed again", key: "sync" });
+    assert.deepEqual(store.getSnapshot().toasts.map(toast => [toast.message, toast.count]), [
+      ["Offline", 1],
+      ["Offline", 1],
+      ["Sync failed", 2]
+    ]);
+  });
+});
+
+describe("components", () => {
+  it("renders nothing in the badge at zero", () => {
+    const { container, unmount } = render(<div><NotificationBadge count={0} /></div>);
+    assert.equal(container.textContent, "");
+    unmount();
+  });
+
+  it("renders the capped toasts, the repeat count and the queue size", () => {
+    const store = createNotificationStore({ maxToasts: 1 });
+    const { container, unmount } = render(
+      <NotificationProvider store={store}>
+        <Toasts />
+      </NotificationProvider>
+    );
+    act(() => {
+      store.notify("Offline");
+      store.notify("Offline");
+      store.notify("Saved");
+    });
+    assert.equal(container.querySelector("[role=status]").textContent, "Offline ×2×");
+    assert.equal(container.querySelector(".toast-more").textContent, "+1 more");
+    unmount();
+  });
+});
@@ -0,0 +1,35 @@
+// Tests for route matching in ssr/pages.js and the 404 it leads to in ssr/render.js
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { matchRoute, noteTopics } = require("../ssr/pages");
+const { renderPage } = require("../ssr/render");
+
+describe("matchRoute", () => {
+  it("matches exact paths and fills parameters", () => {
+    assert.equal(matchRoute("/lists").route.path, "/lists");
+    const match = matchRoute(`/notes/${noteTopics[0]}`);
+    assert.equal(match.route.path, "/notes/:topic");
+    assert.deepEqual(match.params, { topic: noteTopics[0] });
+  });
+
+  it("decodes parameters", () => {
+    assert.deepEqual(matchRoute("/notes/a%20b").params, { topic: "a b" });
+  });
+
+  it("does not match an empty parameter or an unknown path", () => {
+    assert.equal(matchRoute("/notes/"), null);
+    assert.equal(matchRoute("/nope"), null);
+  });
+
+  it("treats a malformed escape as no match instead of throwing", () => {
+    assert.equal(matchRoute("/notes/%E0%A4%A"), null);
+  });
+});
+
+describe("renderPage", () => {
+  it("answers 404 for a malformed escape", async () => {
+    const page = await renderPage("/notes/%E0%A4%A");
+    assert.equal(page.status, 404);
+  });
+});
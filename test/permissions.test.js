@@ -0,0 +1,116 @@
+// Tests for permissions.js: the dashboards rendered as each role in
+// roleFixtures, and the RequirePermission route guard
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render } = require("./dom");
+const React = require("react");
+const { MemoryRouter, Routes, Route } = require("react-router-dom");
+const {
+  PermissionsProvider,
+  RequirePermission,
+  definePolicy,
+  defaultPolicy,
+  roleFixtures
+} = require("../permissions");
+const {
+  DashboardWithPermissions,
+  DashboardIIFE,
+  DashboardConditionalComponents,
+  DashboardSwitch
+} = require("../condtional-rendering");
+
+const renderAs = (roles, element) => render(<PermissionsProvider roles={roles}>{element}</PermissionsProvider>);
+
+describe("DashboardWithPermissions", () => {
+  const expected = { guest: "Please sign in.", user: "User Panel", editor: "User Panel", admin: "Admin Panel" };
+
+  Object.entries(roleFixtures).forEach(([name, roles]) => {
+    it(`shows the ${expected[name]} to ${name}`, () => {
+      const { container, unmount } = renderAs(roles, <DashboardWithPermissions />);
+      assert.equal(container.querySelector("h1").textContent, expected[name]);
+      unmount();
+    });
+  });
+
+  it("has an expectation for every fixture", () => {
+    assert.deepEqual(Object.keys(roleFixtures).sort(), Object.keys(expected).sort());
+  });
+});
+
+describe("dashboards with a role prop", () => {
+  const cases = [
+    [DashboardIIFE, { guest: "Please sign in.", user: "Welcome, User!", admin: "Welcome, Admin!" }],
+    [DashboardSwitch, { guest: "Please sign in.", user: "Welcome, User!", admin: "Welcome, Admin!" }],
+    [DashboardConditionalComponents, { guest: "Please sign in.", user: "User Panel", admin: "Admin Panel" }]
+  ];
+
+  cases.forEach(([Dashboard, expected]) => {
+    Object.entries(expected).forEach(([role, text]) => {
+      it(`${Dashboard.name} shows "${text}" to ${role}`, () => {
+        const { container, unmount } = render(<Dashboard role={role} />);
+        assert.equal(container.querySelector("h1").textContent, text);
+        unmount();
+      });
+    });
+  });
+
+  it("grants by permission, not by the role's name", () => {
+    const policy = definePolicy({ owner: { permissions: ["*"] } });
+    const { container, unmount } = render(
+      <PermissionsProvider roles={["owner"]} policy={policy}>
+        <DashboardIIFE />
+      </PermissionsProvider>
+    );
+    assert.equal(container.querySelector("h1").textContent, "Welcome, Admin!");
+    unmount();
+  });
+});
+
+describe("RequirePermission", () => {
+  const guarded = props => (
+    <RequirePermission permission="admin:panel" {...props}>
+      <p>Secret</p>
+    </RequirePermission>
+  );
+
+  it("renders the children when the permission is granted", () => {
+    const { container, unmount } = renderAs(roleFixtures.admin, guarded());
+    assert.equal(container.textContent, "Secret");
+    unmount();
+  });
+
+  it("shows the forbidden screen in place without a Router", () => {
+    const { container, unmount } = renderAs(roleFixtures.user, guarded());
+    assert.match(container.querySelector("[role=alert]").textContent, /403/);
+    unmount();
+  });
+
+  it("redirects inside a Router when redirectTo is set", () => {
+    const { container, unmount } = renderAs(
+      roleFixtures.user,
+      <MemoryRouter initialEntries={["/admin"]}>
+        <Routes>
+          <Route path="/admin" element={guarded({ redirectTo: "/login" })} />
+          <Route path="/login" element={<p>Login</p>} />
+        </Routes>
+      </MemoryRouter>
+    );
+    assert.equal(container.textContent, "Login");
+    unmount();
+  });
+});
+
+describe("definePolicy", () => {
+  it("resolves inherited and wildcard permissions", () => {
+    const permissions = defaultPolicy.permissionsFor(["editor"]);
+    assert.ok(permissions.has("dashboard:view"));
+    assert.ok(permissions.has("content:*"));
+    assert.ok(!permissions.has("admin:panel"));
+  });
+
+  it("rejects unknown roles and inheritance cycles", () => {
+    assert.throws(() => definePolicy({ a: { inherits: ["missing"] } }), /Unknown role "missing"/);
+    assert.throws(() => definePolicy({ a: { inherits: ["b"] }, b: { inherits: ["a"] } }), /cycle: a -> b -> a/);
+  });
+});
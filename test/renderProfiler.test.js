@@ -0,0 +1,60 @@
+// Does React.memo save work? OptimizedList from keyslists.js rendered with a
+// profiled ListItem, once memoized and once plain, through the same updates.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act } = require("./dom");
+const React = require("react");
+const { createRenderProfiler, compareMemoizedListItems } = require("../renderProfiler");
+
+describe("createRenderProfiler", () => {
+  it("counts mounts, prop changes and parent renders", () => {
+    const profiler = createRenderProfiler();
+    const Label = profiler.profile(({ text }) => <span>{text}</span>, "Label");
+    const Parent = ({ text, tick }) => <div data-tick={tick}><Label text={text} /></div>;
+
+    const { rerender, unmount } = render(<Parent text="a" tick={0} />);
+    rerender(<Parent text="b" tick={1} />);
+    rerender(<Parent text="b" tick={2} />);
+    unmount();
+
+    const [row] = profiler.report();
+    assert.deepEqual(
+      { renders: row.renders, mount: row.mount, props: row.props, parent: row.parent, changedProps: row.changedProps },
+      { renders: 3, mount: 1, props: 1, parent: 1, changedProps: "text x1" }
+    );
+    assert.deepEqual(profiler.getEvents().map(event => event.reason), ["mount", "props", "parent"]);
+  });
+
+  it("rejects class components", () => {
+    class Legacy extends React.Component {
+      render() {
+        return null;
+      }
+    }
+    assert.throws(() => createRenderProfiler().profile(Legacy), /function components/);
+  });
+});
+
+describe("React.memo on OptimizedList's items", () => {
+  const report = Object.fromEntries(compareMemoizedListItems({ act }).map(row => [row.component, row]));
+  const memoized = report["ListItem (React.memo)"];
+  const plain = report["ListItem (plain)"];
+
+  it("renders only new and edited items when memoized", () => {
+    // 3 mounts, then: nothing, 1 new item, 1 edited item
+    assert.equal(memoized.mount, 4);
+    assert.equal(memoized.props, 1);
+    assert.equal(memoized.parent, 0);
+    assert.equal(memoized.renders, 5);
+  });
+
+  it("re-renders every item whenever the list renders when plain", () => {
+    // The memoized OptimizedList skips the first update. Appending re-renders
+    // the 3 old items, the edit re-renders the 3 unchanged ones.
+    assert.equal(plain.mount, 4);
+    assert.equal(plain.props, 1);
+    assert.equal(plain.parent, 6);
+    assert.ok(plain.renders > memoized.renders);
+  });
+});
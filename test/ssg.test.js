@@ -0,0 +1,75 @@
+// Tests for incremental rebuilds in ssr/ssg.js: building twice into a temp
+// directory only renders what changed
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generate } = require("../ssr/ssg");
+const siteManifest = require("../ssr/ssg.manifest");
+
+// The server bundle requires react at runtime, so it is built inside the repo
+const buildDir = fs.mkdtempSync(path.join(__dirname, ".ssg-build-"));
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "ssg-out-"));
+
+const topicRoute = siteManifest.routes.find(route => route.path === "/notes/:topic");
+const manifestWith = topics => ({
+  dataFiles: siteManifest.dataFiles,
+  routes: [{ path: "/" }, { path: topicRoute.path, paths: () => topics.map(topic => ({ topic })) }]
+});
+const run = (manifest, options = {}) => generate({ manifest, outDir, buildDir, log: () => {}, ...options });
+
+describe("incremental builds", { timeout: 120000 }, () => {
+  let topics;
+  let first;
+
+  before(async () => {
+    topics = (await topicRoute.paths()).slice(0, 2).map(params => params.topic);
+    first = await run(manifestWith(topics));
+  });
+
+  after(() => {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it("renders every page on the first build", () => {
+    assert.deepEqual(first.built, ["/", `/notes/${topics[0]}`, `/notes/${topics[1]}`]);
+    assert.match(fs.readFileSync(path.join(outDir, "index.html"), "utf8"), /<html/i);
+    assert.ok(fs.existsSync(path.join(outDir, "notes", topics[0], "index.html")));
+    assert.ok(fs.existsSync(path.join(outDir, "client.js")));
+  });
+
+  it("skips unchanged pages on the second build", async () => {
+    const file = path.join(outDir, "index.html");
+    fs.writeFileSync(file, fs.readFileSync(file, "utf8") + "<!-- kept -->");
+
+    const second = await run(manifestWith(topics));
+    assert.deepEqual(second.built, []);
+    assert.deepEqual(second.unchanged, first.built);
+    assert.match(fs.readFileSync(file, "utf8"), /<!-- kept -->$/);
+  });
+
+  it("renders a page again when its file is gone", async () => {
+    fs.unlinkSync(path.join(outDir, "notes", topics[1], "index.html"));
+    const result = await run(manifestWith(topics));
+    assert.deepEqual(result.built, [`/notes/${topics[1]}`]);
+  });
+
+  it("deletes pages that left the manifest", async () => {
+    const result = await run(manifestWith(topics.slice(0, 1)));
+    assert.deepEqual(result.removed, [`/notes/${topics[1]}`]);
+    assert.equal(fs.existsSync(path.join(outDir, "notes", topics[1])), false);
+    assert.deepEqual(result.built, []);
+  });
+
+  it("rebuilds everything when the code hash changed or with force", async () => {
+    const stateFile = path.join(outDir, ".ssg-manifest.json");
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    fs.writeFileSync(stateFile, JSON.stringify({ ...state, codeHash: "stale" }));
+    assert.deepEqual((await run(manifestWith(topics.slice(0, 1)))).built, ["/", `/notes/${topics[0]}`]);
+
+    assert.deepEqual((await run(manifestWith(topics.slice(0, 1)), { force: true })).built, ["/", `/notes/${topics[0]}`]);
+  });
+});
@@ -0,0 +1,72 @@
+// Tests for streamPage in ssr/streamRender.js, written into an in-memory response
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Writable } = require("stream");
+const { streamPage } = require("../ssr/streamRender");
+const { defaultDelays } = require("../ssr/fakeData");
+
+// Enough of http.ServerResponse for streamPage; destroy() is a client disconnect
+class FakeResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = null;
+    this.headers = {};
+    this.body = "";
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.body += chunk.toString();
+    callback();
+  }
+}
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("flush order", () => {
+  // user 50, messages 200, items 400 -> user 400, messages 200, items 50
+  const keys = Object.keys(defaultDelays);
+  const values = Object.values(defaultDelays).reverse();
+  const reversed = Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+
+  it("sends the shell first, then boundaries in the order their data arrives", async () => {
+    const res = new FakeResponse();
+    const { flushes, dataLog } = await streamPage(res, { delays: reversed });
+
+    assert.equal(flushes[0].kind, "shell");
+    assert.equal(flushes[0].fallbacks, keys.length);
+    assert.ok(flushes[0].at < Math.min(...values), "the shell does not wait for data");
+
+    // Boundaries are numbered in page order (user, messages, items) but arrive reversed
+    const boundaries = flushes.filter(flush => flush.kind === "boundary").flatMap(flush => flush.boundaries);
+    assert.deepEqual(boundaries, ["B:2", "B:1", "B:0"]);
+    const resolved = dataLog.filter(entry => entry.event === "resolve").map(entry => entry.key);
+    assert.deepEqual(resolved, [...keys].reverse());
+  });
+});
+
+describe("client disconnects", () => {
+  it("aborts the render and settles when the client goes away", async () => {
+    const res = new FakeResponse();
+    const streaming = streamPage(res, { delays: { user: 10, messages: 200, items: 1000 }, timeout: 60000 });
+
+    await tick(50);
+    res.destroy();
+    const result = await streaming;
+    assert.equal(result.disconnected, true);
+    assert.equal(result.flushes[0].kind, "shell");
+    assert.ok(!result.dataLog.some(entry => entry.key === "items" && entry.event === "resolve"));
+  });
+
+  it("is not reported as a disconnect after a normal end", async () => {
+    const res = new FakeResponse();
+    const result = await streamPage(res, { delays: { user: 0, messages: 0, items: 0 } });
+    assert.equal(result.disconnected, false);
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /<\/html>/);
+  });
+});
@@ -0,0 +1,166 @@
+// Tests for TreeView in treeView.js: tri-state checkboxes and lazily loaded
+// children that fail and are retried
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act, flush, window } = require("./dom");
+const React = require("react");
+const { TreeView } = require("../treeView");
+
+const data = [
+  {
+    id: 1,
+    title: "Category 1",
+    items: [
+      { id: "sub1", text: "Sub-item 1" },
+      { id: "sub2", text: "Sub-item 2" }
+    ]
+  },
+  {
+    id: 2,
+    title: "Category 2",
+    items: [
+      { id: "sub3", text: "Sub-item 3" },
+      { id: "sub4", text: "Sub-item 4", hasChildren: true }
+    ]
+  }
+];
+
+const treeItem = (container, label) =>
+  Array.from(container.querySelectorAll("[role=treeitem]")).find(item => item.querySelector(":scope > span").textContent === label);
+const checkbox = (container, label) => treeItem(container, label).querySelector(":scope > span > input");
+const click = element => act(() => element.click());
+const expand = (container, label) => click(treeItem(container, label));
+
+describe("checkboxes", () => {
+  const mount = (props = {}) => {
+    const checked = [];
+    const view = render(<TreeView label="Categories" nodes={data} checkable onCheckedChange={ids => checked.push(ids)} {...props} />);
+    expand(view.container, "Category 1");
+    return { ...view, checked };
+  };
+
+  it("marks a parent mixed when only some children are checked", () => {
+    const { container, unmount } = mount();
+    click(checkbox(container, "Sub-item 1"));
+    assert.equal(treeItem(container, "Sub-item 1").getAttribute("aria-checked"), "true");
+    assert.equal(treeItem(container, "Category 1").getAttribute("aria-checked"), "mixed");
+    assert.equal(checkbox(container, "Category 1").indeterminate, true);
+    assert.equal(checkbox(container, "Category 1").checked, false);
+    unmount();
+  });
+
+  it("marks a parent checked once every child is, and unchecked again", () => {
+    const { container, unmount } = mount();
+    click(checkbox(container, "Sub-item 1"));
+    click(checkbox(container, "Sub-item 2"));
+    assert.equal(treeItem(container, "Category 1").getAttribute("aria-checked"), "true");
+    assert.equal(checkbox(container, "Category 1").indeterminate, false);
+
+    click(checkbox(container, "Sub-item 1"));
+    click(checkbox(container, "Sub-item 2"));
+    assert.equal(treeItem(container, "Category 1").getAttribute("aria-checked"), "false");
+    unmount();
+  });
+
+  it("checks and unchecks the whole subtree from the parent", () => {
+    const { container, checked, unmount } = mount();
+    click(checkbox(container, "Sub-item 1"));
+    click(checkbox(container, "Category 1"));
+    assert.deepEqual([...checked[1]].sort(), [1, "sub1", "sub2"].sort());
+    assert.equal(treeItem(container, "Sub-item 2").getAttribute("aria-checked"), "true");
+
+    click(checkbox(container, "Category 1"));
+    assert.deepEqual(checked[2], []);
+    assert.equal(treeItem(container, "Sub-item 1").getAttribute("aria-checked"), "false");
+    unmount();
+  });
+
+  it("toggles the focused item with Space", () => {
+    const { container, unmount } = mount();
+    const tree = container.querySelector("[role=tree]");
+    act(() => tree.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true })));
+    act(() => tree.dispatchEvent(new window.KeyboardEvent("keydown", { key: " ", bubbles: true })));
+    assert.equal(treeItem(container, "Sub-item 1").getAttribute("aria-checked"), "true");
+    assert.equal(treeItem(container, "Category 1").getAttribute("aria-checked"), "mixed");
+    unmount();
+  });
+});
+
+describe("lazy loading", () => {
+  const failingOnce = () => {
+    let calls = 0;
+    const loadChildren = node => {
+      calls++;
+      if (calls === 1) return Promise.reject(new Error("Network down"));
+      return Promise.resolve([{ id: `${node.id}-a`, text: "Detail A" }]);
+    };
+    return { loadChildren, calls: () => calls };
+  };
+
+  const mount = loadChildren => {
+    const view = render(<TreeView label="Categories" nodes={data} loadChildren={loadChildren} checkable />);
+    expand(view.container, "Category 2");
+    return view;
+  };
+
+  it("shows the error and loads again on Retry", async () => {
+    const { loadChildren, calls } = failingOnce();
+    const { container, unmount } = mount(loadChildren);
+
+    expand(container, "Sub-item 4");
+    assert.equal(treeItem(container, "Sub-item 4").getAttribute("aria-busy"), "true");
+    await flush();
+    const group = treeItem(container, "Sub-item 4").querySelector("[role=group]");
+    assert.match(group.textContent, /Could not load: Network down/);
+    assert.equal(treeItem(container, "Sub-item 4").hasAttribute("aria-busy"), false);
+
+    click(group.querySelector("button"));
+    await flush();
+    assert.equal(calls(), 2);
+    assert.ok(treeItem(container, "Detail A"));
+    assert.doesNotMatch(treeItem(container, "Sub-item 4").textContent, /Could not load/);
+    unmount();
+  });
+
+  it("retries a failed load when the node is opened again", async () => {
+    const { loadChildren, calls } = failingOnce();
+    const { container, unmount } = mount(loadChildren);
+
+    expand(container, "Sub-item 4");
+    await flush();
+    expand(container, "Sub-item 4");
+    expand(container, "Sub-item 4");
+    await flush();
+    assert.equal(calls(), 2);
+    assert.ok(treeItem(container, "Detail A"));
+    unmount();
+  });
+
+  it("keeps a failed node out of the checkbox state", async () => {
+    const { loadChildren } = failingOnce();
+    const { container, unmount } = mount(loadChildren);
+
+    expand(container, "Sub-item 4");
+    await flush();
+    click(checkbox(container, "Sub-item 3"));
+    assert.equal(treeItem(container, "Category 2").getAttribute("aria-checked"), "mixed");
+    click(checkbox(container, "Sub-item 4"));
+    assert.equal(treeItem(container, "Category 2").getAttribute("aria-checked"), "true");
+    unmount();
+  });
+
+  it("checks loaded children of a checked node", async () => {
+    const { loadChildren } = failingOnce();
+    const { container, unmount } = mount(loadChildren);
+
+    expand(container, "Sub-item 4");
+    await flush();
+    click(checkbox(container, "Sub-item 4"));
+    click(treeItem(container, "Sub-item 4").querySelector("[role=group] button"));
+    await flush();
+    assert.equal(treeItem(container, "Detail A").getAttribute("aria-checked"), "true");
+    assert.equal(treeItem(container, "Sub-item 4").getAttribute("aria-checked"), "true");
+    unmount();
+  });
+});
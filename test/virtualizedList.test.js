@@ -0,0 +1,101 @@
+// Tests for VirtualizedList and findVisibleRange in keyslists.js. jsdom has
+// no layout, so the viewport is the `height` prop and row heights come from
+// `itemHeight` or a fake `measureElement`.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render, act } = require("./dom");
+const React = require("react");
+const { VirtualizedList, findVisibleRange } = require("../keyslists");
+
+const rows = count => Array.from({ length: count }, (_, i) => ({ id: `row-${i}`, text: `Row ${i}` }));
+const offsetsFor = heights => heights.reduce((offsets, height) => [...offsets, offsets[offsets.length - 1] + height], [0]);
+const renderedTexts = container => Array.from(container.querySelectorAll("li")).map(li => li.textContent);
+const listStyle = container => container.querySelector("ul").style;
+
+describe("findVisibleRange", () => {
+  const offsets = offsetsFor(Array(10).fill(20));
+
+  it("covers the rows inside the viewport", () => {
+    assert.deepEqual(findVisibleRange(offsets, 0, 50, 0), { start: 0, end: 3 });
+    assert.deepEqual(findVisibleRange(offsets, 45, 50, 0), { start: 2, end: 5 });
+  });
+
+  it("adds overscan on both sides, clamped to the list", () => {
+    assert.deepEqual(findVisibleRange(offsets, 45, 50, 2), { start: 0, end: 7 });
+    assert.deepEqual(findVisibleRange(offsets, 150, 50, 2), { start: 5, end: 10 });
+  });
+
+  it("works with rows of different heights", () => {
+    const mixed = offsetsFor([100, 10, 10, 10, 100]);
+    assert.deepEqual(findVisibleRange(mixed, 105, 20, 0), { start: 1, end: 4 });
+  });
+
+  it("returns an empty range for an empty list", () => {
+    assert.deepEqual(findVisibleRange([0], 0, 100, 5), { start: 0, end: 0 });
+  });
+});
+
+describe("VirtualizedList", () => {
+  it("only mounts the visible rows of a long list", () => {
+    const { container, unmount } = render(<VirtualizedList items={rows(10000)} height={100} itemHeight={20} overscan={2} />);
+    assert.deepEqual(renderedTexts(container), ["Row 0", "Row 1", "Row 2", "Row 3", "Row 4", "Row 5", "Row 6"]);
+    assert.equal(listStyle(container).paddingTop, "0px");
+    assert.equal(listStyle(container).paddingBottom, `${(10000 - 7) * 20}px`);
+    unmount();
+  });
+
+  it("follows scroll events", () => {
+    const { container, unmount } = render(<VirtualizedList items={rows(1000)} height={100} itemHeight={20} overscan={0} />);
+    const viewport = container.firstChild;
+    act(() => {
+      viewport.scrollTop = 400;
+      viewport.dispatchEvent(new window.Event("scroll"));
+    });
+    assert.deepEqual(renderedTexts(container), ["Row 20", "Row 21", "Row 22", "Row 23", "Row 24"]);
+    assert.equal(listStyle(container).paddingTop, "400px");
+    unmount();
+  });
+
+  it("scrolls to an item with start, center and end alignment", () => {
+    const ref = React.createRef();
+    const { container, unmount } = render(<VirtualizedList ref={ref} items={rows(1000)} height={100} itemHeight={20} overscan={0} />);
+    const viewport = container.firstChild;
+
+    act(() => ref.current.scrollToItem("row-50"));
+    assert.equal(viewport.scrollTop, 1000);
+    assert.equal(renderedTexts(container)[0], "Row 50");
+
+    act(() => ref.current.scrollToItem("row-50", { align: "center" }));
+    assert.equal(viewport.scrollTop, 960);
+
+    act(() => ref.current.scrollToItem("row-50", { align: "end" }));
+    assert.equal(viewport.scrollTop, 920);
+    assert.equal(renderedTexts(container).at(-1), "Row 50");
+
+    // Never past the end of the list, and unknown ids are ignored
+    act(() => ref.current.scrollToItem("row-999"));
+    assert.equal(viewport.scrollTop, 1000 * 20 - 100);
+    act(() => ref.current.scrollToItem("missing"));
+    assert.equal(viewport.scrollTop, 1000 * 20 - 100);
+    unmount();
+  });
+
+  it("measures rows without a fixed height", () => {
+    // Even rows are 50px, odd rows 30px, instead of the estimated 20px
+    const measureElement = el => (Number(el.textContent.split(" ")[1]) % 2 === 0 ? 50 : 30);
+    const ref = React.createRef();
+    const { container, unmount } = render(
+      <VirtualizedList ref={ref} items={rows(100)} height={60} estimatedItemHeight={20} overscan={0} measureElement={measureElement} />
+    );
+    // 3 estimated rows fit in 60px, only 2 measured ones do; row 2 keeps the
+    // height it was measured at on the first render
+    assert.deepEqual(renderedTexts(container), ["Row 0", "Row 1"]);
+    assert.equal(listStyle(container).paddingBottom, `${50 + 97 * 20}px`);
+
+    act(() => ref.current.scrollToItem("row-2"));
+    assert.equal(container.firstChild.scrollTop, 80);
+    assert.equal(listStyle(container).paddingTop, "80px");
+    unmount();
+  });
+});
@@ -0,0 +1,328 @@
+// =============================================
+// Accessible Tree View (NestedList, any depth)
+// =============================================
+
+// NestedList in keyslists.js renders exactly category -> items. TreeView
+// renders any depth and follows the WAI-ARIA tree pattern:
+// https://www.w3.org/WAI/ARIA/apg/patterns/treeview/
+//
+// - Expand/collapse state is kept per node id, so a subtree remembers what was
+//   open inside it; pass `persistKey` to keep it across reloads.
+// - `loadChildren(node)` is called the first time a node marked
+//   `hasChildren: true` (and without a children array) is expanded, or shows
+//   up expanded from `persistKey`, with loading and error (retry) states.
+// - Keyboard: Up/Down move, Right opens / goes to first child, Left closes /
+//   goes to parent, Home/End, Enter selects, Space toggles the checkbox,
+//   * expands all siblings, typing a letter jumps to the next matching label.
+// - `checkable` adds checkboxes; parents are checked, unchecked or mixed
+//   depending on their children.
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// NestedList data ({ title, items: [{ text }] }) works without adapters
+const defaultGetLabel = node => node.label ?? node.title ?? node.text;
+const defaultGetChildren = node => node.children ?? node.items;
+
+const loadExpanded = (persistKey) => {
+  if (!persistKey || typeof window === 'undefined') return new Set();
+  try {
+    return new Set(JSON.parse(window.sessionStorage.getItem(persistKey)) || []);
+  } catch {
+    return new Set();
+  }
+};
+
+const TreeView = ({
+  nodes,
+  label,
+  getLabel = defaultGetLabel,
+  getChildren = defaultGetChildren,
+  loadChildren,
+  checkable = false,
+  onSelect,
+  onCheckedChange,
+  persistKey
+}) => {
+  const [expandedIds, setExpandedIds] = useState(() => loadExpanded(persistKey));
+  const [loaded, setLoaded] = useState({}); // id -> { status: 'loading' | 'error' | 'loaded', children, error }
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  const [selectedId, setSelectedId] = useState(null);
+  const [focusedId, setFocusedId] = useState(nodes[0]?.id ?? null);
+  const itemRefs = useRef(new Map());
+  const moveFocus = useRef(false);
+
+  useEffect(() => {
+    if (persistKey) window.sessionStorage.setItem(persistKey, JSON.stringify([...expandedIds]));
+  }, [expandedIds, persistKey]);
+
+  // Children known so far: from the data, from loadChildren, or unknown (undefined)
+  const childrenOf = useCallback(node => {
+    const own = getChildren(node);
+    if (own) return own;
+    return loaded[node.id]?.status === 'loaded' ? loaded[node.id].children : undefined;
+  }, [getChildren, loaded]);
+
+  const isParent = useCallback(node => {
+    const children = childrenOf(node);
+    return children ? children.length > 0 : Boolean(loadChildren && node.hasChildren);
+  }, [childrenOf, loadChildren]);
+
+  // ---- Checkbox state ----
+  const checkState = useCallback(function stateOf(node) {
+    const children = childrenOf(node);
+    if (!children || children.length === 0) return checkedIds.has(node.id) ? 'true' : 'false';
+    const states = children.map(stateOf);
+    if (states.every(state => state === 'true')) return 'true';
+    if (states.every(state => state === 'false')) return 'false';
+    return 'mixed';
+  }, [checkedIds, childrenOf]);
+
+  const toggleChecked = (node) => {
+    const value = checkState(node) !== 'true';
+    const next = new Set(checkedIds);
+    const mark = (current) => {
+      if (value) next.add(current.id);
+      else next.delete(current.id);
+      (childrenOf(current) || []).forEach(mark);
+    };
+    mark(node);
+    setCheckedIds(next);
+    onCheckedChange?.([...next]);
+  };
+
+  // ---- Expand / lazy load ----
+  const load = useCallback(async (node) => {
+    setLoaded(current => ({ ...current, [node.id]: { status: 'loading' } }));
+    try {
+      const children = await loadChildren(node);
+      setLoaded(current => ({ ...current, [node.id]: { status: 'loaded', children } }));
+      // Children of a checked node start out checked
+      setCheckedIds(current => {
+        if (!current.has(node.id)) return current;
+        const next = new Set(current);
+        children.forEach(child => next.add(child.id));
+        return next;
+      });
+    } catch (error) {
+      setLoaded(current => ({ ...current, [node.id]: { status: 'error', error } }));
+    }
+  }, [loadChildren]);
+
+  const setExpanded = (node, open) => {
+    setExpandedIds(current => {
+      const next = new Set(current);
+      if (open) next.add(node.id);
+      else next.delete(node.id);
+      return next;
+    });
+    // Unloaded nodes are picked up by the effect below; re-opening retries a failed load
+    if (open && loaded[node.id]?.status === 'error') load(node);
+  };
+
+  // ---- Visible nodes in display order, for keyboard navigation ----
+  const visible = useMemo(() => {
+    const result = [];
+    const visit = (list, parent) => {
+      list.forEach(node => {
+        result.push({ node, parent, siblings: list });
+        const children = childrenOf(node);
+        if (expandedIds.has(node.id) && children) visit(children, node);
+      });
+    };
+    visit(nodes, null);
+    return result;
+  }, [nodes, expandedIds, childrenOf]);
+
+  // Load every expanded node that is shown but has no children yet. This also
+  // covers nodes restored from persistKey, including nested ones once their
+  // parent has loaded.
+  useEffect(() => {
+    if (!loadChildren) return;
+    visible.forEach(({ node }) => {
+      if (expandedIds.has(node.id) && !getChildren(node) && node.hasChildren && !loaded[node.id]) load(node);
+    });
+  }, [visible, expandedIds, loaded, getChildren, loadChildren, load]);
+
+  const focus = (id) => {
+    moveFocus.current = true;
+    setFocusedId(id);
+  };
+
+  useEffect(() => {
+    if (!moveFocus.current) return;
+    moveFocus.current = false;
+    itemRefs.current.get(focusedId)?.focus();
+  }, [focusedId]);
+
+  const handleKeyDown = (e) => {
+    const index = visible.findIndex(entry => entry.node.id === focusedId);
+    if (index === -1) return;
+    const { node, parent, siblings } = visible[index];
+    const open = expandedIds.has(node.id);
+    let handled = true;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        if (index < visible.length - 1) focus(visible[index + 1].node.id);
+        break;
+      case 'ArrowUp':
+        if (index > 0) focus(visible[index - 1].node.id);
+        break;
+      case 'ArrowRight':
+        if (isParent(node) && !open) setExpanded(node, true);
+        else if (open && childrenOf(node)?.length) focus(childrenOf(node)[0].id);
+        break;
+      case 'ArrowLeft':
+        if (open) setExpanded(node, false);
+        else if (parent) focus(parent.id);
+        break;
+      case 'Home':
+        focus(visible[0].node.id);
+        break;
+      case 'End':
+        focus(visible[visible.length - 1].node.id);
+        break;
+      case 'Enter':
+        setSelectedId(node.id);
+        onSelect?.(node);
+        break;
+      case ' ':
+        if (checkable) toggleChecked(node);
+        else {
+          setSelectedId(node.id);
+          onSelect?.(node);
+        }
+        break;
+      case '*':
+        siblings.filter(isParent).forEach(sibling => setExpanded(sibling, true));
+        break;
+      default:
+        // Typeahead: next visible node whose label starts with the typed character
+        if (e.key.length === 1 && /\S/.test(e.key)) {
+          const char = e.key.toLowerCase();
+          const ordered = [...visible.slice(index + 1), ...visible.slice(0, index + 1)];
+          const match = ordered.find(entry => String(getLabel(entry.node)).toLowerCase().startsWith(char));
+          if (match) focus(match.node.id);
+        } else {
+          handled = false;
+        }
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  };
+
+  const renderNodes = (list, level) => list.map((node, index) => {
+    const parentNode = isParent(node);
+    const open = expandedIds.has(node.id);
+    const children = childrenOf(node);
+    const status = loaded[node.id]?.status;
+
+    return (
+      <li
+        key={node.id}
+        ref={el => {
+          if (el) itemRefs.current.set(node.id, el);
+          else itemRefs.current.delete(node.id);
+        }}
+        role="treeitem"
+        aria-level={level}
+        aria-posinset={index + 1}
+        aria-setsize={list.length}
+        aria-expanded={parentNode ? open : undefined}
+        aria-selected={selectedId === node.id}
+        aria-checked={checkable ? checkState(node) : undefined}
+        aria-busy={status === 'loading' || undefined}
+        tabIndex={focusedId === node.id ? 0 : -1}
+        onClick={(e) => {
+          e.stopPropagation();
+          focus(node.id);
+          setSelectedId(node.id);
+          onSelect?.(node);
+          if (parentNode) setExpanded(node, !open);
+        }}
+      >
+        <span>
+          {checkable && (
+            <input
+              type="checkbox"
+              tabIndex={-1}
+              aria-hidden="true"
+              checked={checkState(node) === 'true'}
+              ref={el => {
+                if (el) el.indeterminate = checkState(node) === 'mixed';
+              }}
+              onClick={(e) => e.stopPropagation()}
+              onChange={() => toggleChecked(node)}
+            />
+          )}
+          {getLabel(node)}
+        </span>
+        {open && (
+          <ul role="group">
+            {status === 'loading' && <li role="none">Loading…</li>}
+            {status === 'error' && (
+              <li role="none">
+                Could not load: {loaded[node.id].error?.message || 'unknown error'}
+                <button
+                  tabIndex={-1}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    load(node);
+                  }}
+                >
+                  Retry
+                </button>
+              </li>
+            )}
+            {children && renderNodes(children, level + 1)}
+          </ul>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <ul role="tree" aria-label={label} aria-multiselectable={checkable || undefined} onKeyDown={handleKeyDown}>
+      {renderNodes(nodes, 1)}
+    </ul>
+  );
+};
+
+// =============================================
+// Example: NestedList data, plus a lazily loaded third level
+// =============================================
+
+const NestedTreeExample = () => {
+  const data = [
+    {
+      id: 1,
+      title: 'Category 1',
+      items: [
+        { id: 'sub1', text: 'Sub-item 1' },
+        { id: 'sub2', text: 'Sub-item 2', hasChildren: true }
+      ]
+    },
+    {
+      id: 2,
+      title: 'Category 2',
+      items: [
+        { id: 'sub3', text: 'Sub-item 3' },
+        { id: 'sub4', text: 'Sub-item 4' }
+      ]
+    }
+  ];
+
+  const loadChildren = (node) => new Promise(resolve => {
+    setTimeout(() => resolve([
+      { id: `${node.id}-a`, text: `${node.text} detail A` },
+      { id: `${node.id}-b`, text: `${node.text} detail B` }
+    ]), 300);
+  });
+
+  return <TreeView label="Categories" nodes={data} loadChildren={loadChildren} checkable persistKey="nested-tree" />;
+};
+
+export { TreeView, NestedTreeExample };